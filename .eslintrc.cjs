@@ -16,5 +16,13 @@ module.exports = {
     'no-var': 'error',
     'eqeqeq': ['error', 'always'],
     'curly': ['error', 'all']
-  }
+  },
+  overrides: [
+    {
+      // espree cannot parse import attributes (import ... with { type: 'json' }) yet
+      files: ['src/config/archetypeRegistry.js'],
+      parser: '@babel/eslint-parser',
+      parserOptions: { requireConfigFile: false }
+    }
+  ]
 };
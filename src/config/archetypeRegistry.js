@@ -0,0 +1,128 @@
+/**
+ * Bike Archetype Registry
+ * Loads the bike archetypes from archetypes.json and checks them, so a new
+ * archetype only needs a new entry there. Each entry has:
+ *
+ *   name         - Display name
+ *   icon         - Emoji shown next to the rider and in the reports
+ *   color        - Hex colour for the balance tester cards and charts
+ *   description  - Text per language; "es" (the game's language) is required
+ *   multipliers  - topSpeedMultiplier, accelerationMultiplier,
+ *                  corneringMultiplier and maxSteerMultiplier
+ *   balanceHints - Optional { nerf, buff } advice for the balance report
+ *
+ * @module config/archetypeRegistry
+ */
+
+import archetypeData from './archetypes.json' with { type: 'json' };
+
+// Allowed range per multiplier: outside it the physics breaks down (bikes that never make a
+// corner or never stop) or one archetype wins every race. Top speed compounds over a whole lap,
+// so it gets the narrowest range.
+export const ARCHETYPE_MULTIPLIER_RANGES = {
+  topSpeedMultiplier: { min: 0.8, max: 1.2 },
+  accelerationMultiplier: { min: 0.5, max: 2.0 },
+  corneringMultiplier: { min: 0.5, max: 1.5 },
+  maxSteerMultiplier: { min: 0.5, max: 1.5 }
+};
+
+export const ARCHETYPE_MULTIPLIER_KEYS = Object.keys(ARCHETYPE_MULTIPLIER_RANGES);
+
+export const DEFAULT_ARCHETYPE_LANGUAGE = 'es';
+
+// Keys the balance report already uses for other bikes (see core/bikeSetup)
+const RESERVED_KEYS = ['custom'];
+
+/**
+ * Check raw registry data and turn it into archetypes
+ *
+ * @param {Object} data - Archetype entries by key (the shape of archetypes.json)
+ * @returns {Object} Archetypes by key, each with name, icon, color, description
+ *          (in the default language), descriptions (every language), balanceHints
+ *          and the four multipliers
+ * @throws {Error} On a missing or malformed field
+ */
+export function validateArchetypeRegistry(data) {
+  if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+    throw new Error('Archetype registry needs at least one archetype');
+  }
+
+  const archetypes = {};
+  for (const [key, entry] of Object.entries(data)) {
+    if (!/^[a-z][a-zA-Z0-9]*$/.test(key) || RESERVED_KEYS.includes(key)) {
+      throw new Error(`Invalid archetype key '${key}'`);
+    }
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Archetype '${key}' must be an object`);
+    }
+
+    for (const field of ['name', 'icon']) {
+      if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+        throw new Error(`Archetype '${key}' needs a ${field}`);
+      }
+    }
+    if (typeof entry.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(entry.color)) {
+      throw new Error(`Archetype '${key}' needs a color like '#3b82f6', got '${entry.color}'`);
+    }
+
+    const descriptions = entry.description;
+    if (!descriptions || typeof descriptions[DEFAULT_ARCHETYPE_LANGUAGE] !== 'string') {
+      throw new Error(`Archetype '${key}' needs a description in '${DEFAULT_ARCHETYPE_LANGUAGE}'`);
+    }
+    for (const language in descriptions) {
+      if (typeof descriptions[language] !== 'string') {
+        throw new Error(`Archetype '${key}' description for '${language}' must be text`);
+      }
+    }
+
+    const multipliers = entry.multipliers || {};
+    for (const field of Object.keys(multipliers)) {
+      if (!ARCHETYPE_MULTIPLIER_KEYS.includes(field)) {
+        throw new Error(`Unknown archetype multiplier '${field}' in '${key}'`);
+      }
+    }
+    for (const field of ARCHETYPE_MULTIPLIER_KEYS) {
+      const { min, max } = ARCHETYPE_MULTIPLIER_RANGES[field];
+      const value = multipliers[field];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Archetype '${key}' ${field} must be a number from ${min} to ${max}, got ${value}`);
+      }
+    }
+
+    const hints = entry.balanceHints || {};
+    for (const field of ['nerf', 'buff']) {
+      if (hints[field] !== undefined && typeof hints[field] !== 'string') {
+        throw new Error(`Archetype '${key}' balance hint '${field}' must be text`);
+      }
+    }
+
+    archetypes[key] = {
+      name: entry.name,
+      icon: entry.icon,
+      color: entry.color,
+      description: descriptions[DEFAULT_ARCHETYPE_LANGUAGE],
+      descriptions: { ...descriptions },
+      balanceHints: { ...hints },
+      ...multipliers
+    };
+  }
+
+  return archetypes;
+}
+
+/**
+ * Archetype description in a language, falling back to the default language
+ *
+ * @param {Object} archetype - Archetype from the registry
+ * @param {string} [language] - Language code, e.g. 'en'
+ * @returns {string} Description
+ */
+export function getArchetypeDescription(archetype, language = DEFAULT_ARCHETYPE_LANGUAGE) {
+  const descriptions = archetype.descriptions || {};
+  return descriptions[language] || descriptions[DEFAULT_ARCHETYPE_LANGUAGE] || archetype.description;
+}
+
+export const BIKE_ARCHETYPES = validateArchetypeRegistry(archetypeData);
+
+// Archetype keys in registry order, for random and equal assignment
+export const BIKE_ARCHETYPE_KEYS = Object.keys(BIKE_ARCHETYPES);
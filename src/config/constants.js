@@ -1,43 +1,298 @@
 // --- Racing Constants ---
 // Extracted from index.html lines 97-100
 
-export const RACER_NAMES_SOURCE = ["Joan", "Juan", "Brayan", "Fico", "Juani", "Edu", "Mechi", "Coco", "Gonza", "Dani", "Martin"];
+// --- Driver Roster ---
+// Driver ratings from 0 to 100 (50 is an average rider) used by PhysicsEngine: pace is raw
+// speed, consistency keeps lap-to-lap variation and steering noise down, racecraft makes
+// overtaking and defending more effective, tyreManagement slows wear and wetSkill keeps
+// grip in the rain. team is a key of TEAMS, scored together in the championship
+export const RACER_ROSTER = [
+  { name: "Joan", pace: 78, consistency: 70, racecraft: 72, tyreManagement: 60, wetSkill: 65, team: "vector" },
+  { name: "Juan", pace: 70, consistency: 80, racecraft: 60, tyreManagement: 72, wetSkill: 55, team: "vector" },
+  { name: "Brayan", pace: 82, consistency: 45, racecraft: 75, tyreManagement: 40, wetSkill: 50, team: "patagonia" },
+  { name: "Fico", pace: 60, consistency: 75, racecraft: 55, tyreManagement: 80, wetSkill: 70, team: "patagonia" },
+  { name: "Juani", pace: 65, consistency: 60, racecraft: 68, tyreManagement: 58, wetSkill: 82, team: "andes" },
+  { name: "Edu", pace: 55, consistency: 68, racecraft: 50, tyreManagement: 65, wetSkill: 45, team: "andes" },
+  { name: "Mechi", pace: 74, consistency: 72, racecraft: 66, tyreManagement: 70, wetSkill: 60, team: "pampa" },
+  { name: "Coco", pace: 50, consistency: 55, racecraft: 80, tyreManagement: 50, wetSkill: 58, team: "pampa" },
+  { name: "Gonza", pace: 68, consistency: 50, racecraft: 62, tyreManagement: 45, wetSkill: 75, team: "austral" },
+  { name: "Dani", pace: 62, consistency: 85, racecraft: 45, tyreManagement: 68, wetSkill: 52, team: "austral" },
+  { name: "Martin", pace: 58, consistency: 62, racecraft: 58, tyreManagement: 62, wetSkill: 62, team: "privado" }
+];
+
+export const DRIVER_ATTRIBUTE_KEYS = ['pace', 'consistency', 'racecraft', 'tyreManagement', 'wetSkill'];
+// Every rating at 50: no driver effect at all, for testing bikes on their own
+export const NEUTRAL_DRIVER = { pace: 50, consistency: 50, racecraft: 50, tyreManagement: 50, wetSkill: 50 };
 export const RACER_COLORS_SOURCE = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4899', '#f43f5e', '#64748b', '#14b8a6'];
 export const RACER_NUMBERS_SOURCE = [1, 5, 7, 14, 18, 21, 25, 27, 31, 33, 37];
+// Racer ids the players control; they always ride these RACER_ROSTER entries (the rest are shuffled)
 export const PLAYER_INDICES = [0, 1];
 
+// --- Teams ---
+// Two riders each, except the privateer who races alone
+export const TEAMS = {
+  vector: { name: 'Vector Racing', color: '#2563eb' },
+  patagonia: { name: 'Patagonia Motors', color: '#16a34a' },
+  andes: { name: 'Andes Racing', color: '#dc2626' },
+  pampa: { name: 'Pampa Speed', color: '#f59e0b' },
+  austral: { name: 'Austral GP', color: '#7c3aed' },
+  privado: { name: 'Privado', color: '#64748b' }
+};
+
 // --- Bike Archetypes ---
 // Each archetype has different strengths - balanced for competitive racing
-// Trade-offs: Speeders are fast on straights but MUST brake hard for corners
-export const BIKE_ARCHETYPES = {
-  speeder: {
-    name: 'Speeder',
-    icon: '🚀',
-    description: 'Alta velocidad, debe frenar en curvas',
-    topSpeedMultiplier: 1.06,      // 6% faster top speed on straights (reduced from 12%)
-    accelerationMultiplier: 0.85,  // 15% slower acceleration
-    corneringMultiplier: 0.70,     // 30% slower in corners - MUST brake!
-    maxSteerMultiplier: 0.85       // Worse turning radius
-  },
-  accelerator: {
-    name: 'Accelerator',
-    icon: '⚡',
-    description: 'Aceleración rápida, velocidad media',
-    topSpeedMultiplier: 0.98,      // 2% slower top speed
-    accelerationMultiplier: 1.40,  // 40% faster acceleration
-    corneringMultiplier: 0.90,     // 10% slower in corners
-    maxSteerMultiplier: 1.0        // Normal turning
-  },
-  turner: {
-    name: 'Turner',
-    icon: '🔄',
-    description: 'Mejor en curvas, menor velocidad',
-    topSpeedMultiplier: 0.92,      // 8% slower top speed
-    accelerationMultiplier: 1.0,   // Normal acceleration
-    corneringMultiplier: 1.15,     // 15% faster in corners
-    maxSteerMultiplier: 1.25       // Much better turning
+// Trade-offs: Speeders are fast on straights but MUST brake hard for corners.
+// Defined in archetypes.json and checked on load (see archetypeRegistry)
+export { BIKE_ARCHETYPES, BIKE_ARCHETYPE_KEYS } from './archetypeRegistry.js';
+
+// --- Bike Setup ---
+// A custom archetype tuned before the race (see core/bikeSetup). Each setting
+// is a number of clicks from the base bike; every click adds its effects to
+// the base multipliers. Clicks either way cost one point of the budget, so
+// no bike can be good at everything.
+export const BIKE_SETUP = {
+  budget: 8,
+  base: {
+    topSpeedMultiplier: 0.98,
+    accelerationMultiplier: 1.05,
+    corneringMultiplier: 0.90,
+    maxSteerMultiplier: 1.0
+  },
+  settings: {
+    gearing: {
+      name: 'Desarrollo',
+      description: 'Largo = más velocidad punta, corto = más aceleración',
+      min: -5,
+      max: 5,
+      effects: { topSpeedMultiplier: 0.012, accelerationMultiplier: -0.06 }
+    },
+    downforce: {
+      name: 'Carga aerodinámica',
+      description: 'Más carga = más paso por curva, menos velocidad punta',
+      min: -5,
+      max: 5,
+      effects: { corneringMultiplier: 0.04, topSpeedMultiplier: -0.01 }
+    },
+    steeringLock: {
+      name: 'Ángulo de dirección',
+      description: 'Más ángulo = giros más cerrados',
+      min: 0,
+      max: 5,
+      effects: { maxSteerMultiplier: 0.05 }
+    }
   }
 };
 
-// Archetype keys for random assignment
-export const BIKE_ARCHETYPE_KEYS = ['speeder', 'accelerator', 'turner'];
+export const BIKE_SETUP_KEYS = ['gearing', 'downforce', 'steeringLock'];
+
+// The base bike with nothing changed
+export const DEFAULT_BIKE_SETUP = { gearing: 0, downforce: 0, steeringLock: 0 };
+
+// --- Championship ---
+// Points for each finishing position; retired riders score nothing. fastestLap is
+// a bonus for the fastest lap of the race when its holder finishes in the points
+export const POINTS_SYSTEMS = {
+  motogp: { name: 'MotoGP', points: [25, 20, 16, 13, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1], fastestLap: 0 },
+  f1: { name: 'F1', points: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1], fastestLap: 1 },
+  classic: { name: 'Clásico', points: [10, 6, 4, 3, 2, 1], fastestLap: 0 }
+};
+
+export const POINTS_SYSTEM_KEYS = ['motogp', 'f1', 'classic'];
+export const DEFAULT_POINTS_SYSTEM = 'motogp';
+
+// --- Tyre Compounds ---
+// gripBonus is added to the archetype corneringMultiplier.
+// Wear per frame is scaled by wearRate and grows as the tyre ages (wearCurve).
+// Below the cliff (tyre %), grip falls away sharply.
+// On a wet track grip blends towards wetGrip and wear is scaled by wetWearFactor.
+export const TIRE_COMPOUNDS = {
+  soft: {
+    name: 'Soft',
+    label: 'S',
+    color: '#ef4444',
+    description: 'Máximo agarre, se degrada rápido',
+    gripBonus: 0.08,               // Noticeably quicker through corners
+    wearRate: 1.5,                 // 50% faster base wear
+    wearCurve: 0.5,                // Wear accelerates strongly when old
+    cliff: 35,                     // Falls off early
+    wetGrip: -0.30,                // Slicks aquaplane in the rain
+    wetWearFactor: 0.6             // Cooler track, slower wear
+  },
+  medium: {
+    name: 'Medium',
+    label: 'M',
+    color: '#eab308',
+    description: 'Equilibrio entre agarre y duración',
+    gripBonus: 0.0,
+    wearRate: 0.9,
+    wearCurve: 0.2,
+    cliff: 20,
+    wetGrip: -0.32,
+    wetWearFactor: 0.6
+  },
+  hard: {
+    name: 'Hard',
+    label: 'H',
+    color: '#f8fafc',
+    description: 'Poco agarre, dura toda la carrera',
+    gripBonus: -0.05,              // Slower in corners
+    wearRate: 0.6,
+    wearCurve: 0.1,
+    cliff: 12,
+    wetGrip: -0.35,
+    wetWearFactor: 0.6
+  },
+  wet: {
+    name: 'Wet',
+    label: 'W',
+    color: '#3b82f6',
+    description: 'Para lluvia, se destruye en seco',
+    gripBonus: -0.12,              // Overheats and slides on a dry track
+    wearRate: 2.2,
+    wearCurve: 0.6,
+    cliff: 30,
+    wetGrip: 0.10,                 // Built for standing water
+    wetWearFactor: 0.35
+  }
+};
+
+export const TIRE_COMPOUND_KEYS = ['soft', 'medium', 'hard', 'wet'];
+
+// Compounds AI racers pick from in dry conditions
+export const DRY_TIRE_COMPOUND_KEYS = ['soft', 'medium', 'hard'];
+
+export const DEFAULT_TIRE_COMPOUND = 'medium';
+
+// --- Engine Issues ---
+// Labels for PhysicsEngine.updateReliability's engine states
+export const ENGINE_ISSUES = {
+  'power-loss': {
+    name: 'Pérdida de potencia',
+    icon: '⚠️'
+  },
+  limp: {
+    name: 'Modo de emergencia',
+    icon: '🆘'
+  }
+};
+
+// --- Track Surfaces ---
+// Local effects of the surface zones from getSurfaceZones(): multipliers on cornering grip,
+// top speed, tyre wear and steering noise while a rider is on the zone
+export const SURFACE_TYPES = {
+  kerb: {
+    name: 'Piano',
+    color: '#ef4444',
+    grip: 0.92,
+    topSpeed: 1.0,
+    tireWear: 1.6,
+    steerNoise: 1.5
+  },
+  bumpy: {
+    name: 'Baches',
+    color: '#a16207',
+    grip: 0.9,
+    topSpeed: 0.96,
+    tireWear: 1.2,
+    steerNoise: 3
+  },
+  'low-grip': {
+    name: 'Baja adherencia',
+    color: '#64748b',
+    grip: 0.8,
+    topSpeed: 1.0,
+    tireWear: 0.9,
+    steerNoise: 1.2
+  }
+};
+
+// --- Start Procedures ---
+// standing: lights sequence with reaction times; rolling: formation run behind a pace bike
+export const START_PROCEDURES = {
+  standing: {
+    name: 'Parada',
+    icon: '🚦'
+  },
+  rolling: {
+    name: 'Lanzada',
+    icon: '🏍️'
+  }
+};
+
+export const START_PROCEDURE_KEYS = ['standing', 'rolling'];
+
+export const DEFAULT_START_PROCEDURE = 'standing';
+
+// --- AI Difficulty ---
+// How StrategyAI re-plans AI riders' params: replanSeconds between plans, estimateError is how far
+// off (±share) its fuel and tyre sums can be, fuel/tyre margins are kept in hand at the end of a
+// stint, and pushMap/pushRisk are added when attacking (half when defending)
+export const AI_DIFFICULTIES = {
+  easy: {
+    name: 'Fácil',
+    icon: '🟢',
+    replanSeconds: 15,
+    estimateError: 0.25,
+    fuelMargin: 0,
+    tyreMargin: 0,
+    pushMap: 0,
+    pushRisk: 0
+  },
+  normal: {
+    name: 'Normal',
+    icon: '🟡',
+    replanSeconds: 6,
+    estimateError: 0.1,
+    fuelMargin: 2,
+    tyreMargin: 3,
+    pushMap: 10,
+    pushRisk: 10
+  },
+  hard: {
+    name: 'Difícil',
+    icon: '🔴',
+    replanSeconds: 2,
+    estimateError: 0,
+    fuelMargin: 1,
+    tyreMargin: 2,
+    pushMap: 20,
+    pushRisk: 20
+  }
+};
+
+export const AI_DIFFICULTY_KEYS = ['easy', 'normal', 'hard'];
+
+export const DEFAULT_AI_DIFFICULTY = 'normal';
+
+// --- Fuel Loads ---
+// Starting fuel choices as a percentage of a full tank. A lighter bike accelerates and
+// corners better (see PhysicsEngine.calculateSpeedMultiplier) but may have to stop or run dry.
+export const FUEL_LOAD_LEVELS = [40, 55, 70, 85, 100];
+
+export const DEFAULT_FUEL_LOAD = 100;
+
+// --- Weather Conditions ---
+// wetness drives every weather effect in PhysicsEngine (0 = bone dry, 1 = full rain)
+export const WEATHER_CONDITIONS = {
+  dry: {
+    name: 'Seco',
+    icon: '☀️',
+    wetness: 0
+  },
+  damp: {
+    name: 'Húmedo',
+    icon: '🌥️',
+    wetness: 0.5
+  },
+  wet: {
+    name: 'Lluvia',
+    icon: '🌧️',
+    wetness: 1
+  }
+};
+
+// Ordered driest to wettest - random weather only moves one step at a time
+export const WEATHER_CONDITION_KEYS = ['dry', 'damp', 'wet'];
+
+// A race starts in one condition, or 'random' (starts dry and may change during the race)
+export const DEFAULT_WEATHER = 'dry';
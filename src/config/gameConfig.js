@@ -29,11 +29,20 @@ export const GAME_CONFIG = {
   speedBaseMultiplier: 0.85,        // Increased from 0.82
   speedEngineBonus: 0.35,           // Increased from 0.3
   speedNoFuelPenalty: 0.4,
+  fuelWeightAccelPenalty: 0.2,      // Acceleration lost carrying a full tank
+  fuelWeightCornerPenalty: 0.08,    // Cornering grip lost carrying a full tank
   speedLowTireThreshold: 20,
   speedLowTireBase: 0.6,
   speedLowTireMultiplier: 0.4,
   speedRandomVariation: 0.03,       // Reduced randomness slightly
 
+  // Driver skill (effects at a 100 rating; 0 gives the opposite, 50 none - see Racer.getSkill)
+  driverPaceEffect: 0.02,           // Top speed gained by the fastest riders
+  driverConsistencyEffect: 0.5,     // Share of speed variation and steering noise removed
+  driverRacecraftEffect: 0.5,       // Share of the closing speed needed to attack removed, defence chance added
+  driverTyreEffect: 0.2,            // Share of tyre wear saved
+  driverWetEffect: 0.4,             // Share of the rain's grip loss avoided
+
   // Acceleration - longer acceleration periods
   launchAcceleration: 0.004,        // Halved from 0.008 - slower launch
   normalAcceleration: 0.006,        // Halved from 0.012 - much longer to reach top speed
@@ -43,7 +52,9 @@ export const GAME_CONFIG = {
   finishedSpeedMultiplier: 0.5,
 
   // Steering
-  lookAheadDistance: 35,
+  lookAheadDistance: 160,           // Pixels ahead on the racing line that riders steer towards
+  steeringTangentDistance: 24,      // Pixels either side used for the lane offset direction
+  emergencyLookAheadDistance: 100,  // Extra pixels ahead to aim for when turning too sharply
   maxSteerAngle: 0.12,
   steeringRandomNoise: 0.02,
   emergencyTurnThreshold: Math.PI / 1.9,
@@ -56,10 +67,117 @@ export const GAME_CONFIG = {
   // Collision detection
   riskBufferScale: 8,
   collisionForce: 0.2,
+  broadphaseMinRacers: 16,          // Grids this size or larger use the spatial grid broadphase
+  broadphaseMargin: 8,              // Extra broadphase reach for riders pushed together mid-pass
+
+  // Contact damage and crashes
+  contactSeverityThreshold: 1.0,    // Contacts below this severity are harmless rubbing
+  contactAngleFactor: 1.5,          // Side-on hits are this much more severe than nose-to-tail
+  contactDamageScale: 12,           // Damage per unit of severity above the threshold
+  contactCooldownFrames: 30,        // One damaging hit per contact
+  crashSeverityThreshold: 2.5,      // Hits above this severity may cause a crash...
+  crashChance: 0.2,                 // ...with this chance at 100 risk (scaled by risk)
+  damageTopSpeedPenalty: 0.15,      // Top speed lost at 100 damage
+  damageSteerPenalty: 0.3,          // Steering lock lost at 100 damage
+
+  // Engine reliability (engine issues go power loss -> limp mode -> retirement)
+  engineCoolMap: 50,                // Engine maps at or below this run cool
+  engineHeatRate: 0.003,            // How fast heat (0-100) approaches the map's running temperature
+  engineHeatWarning: 70,            // Heat shown as a warning to the player
+  reliabilityCheckFrames: 60,       // How often a failure is rolled for (once a second)
+  engineFailureBaseChance: 0.00005, // Failure chance per check for a cold engine...
+  engineFailureHeatChance: 0.002,   // ...plus this much more at full heat (scaled by heat²)
+  engineIssueEscalation: 3,         // An engine that already has an issue fails this much more often
+  powerLossSpeedFactor: 0.93,       // Top speed with a power loss...
+  powerLossAccelFactor: 0.85,       // ...and acceleration
+  limpSpeedFactor: 0.6,             // Top speed in limp mode...
+  limpAccelFactor: 0.5,             // ...and acceleration
+
+  // Start procedures (see StartProcedure)
+  startLightFrames: 60,             // Frames between countdown lights (3, 2, 1, GO)
+  reactionTimeMin: 0.15,            // Quickest reaction to lights out (seconds)...
+  reactionTimeSpread: 0.25,         // ...plus up to this much more
+  jumpStartChance: 0.04,            // Chance a 100-risk AI rider goes before the lights (scales with risk)
+  jumpStartMaxFrames: 12,           // Furthest ahead of the lights a jump start goes
+  jumpStartPenalty: 5,              // Seconds added to a jump starter's race time
+  rollingStartSpeed: 1.2,           // Pace bike speed on the formation run
+  rollingStartDistance: 300,        // Extra distance the grid forms up behind the line
+  paceBikeGap: 40,                  // Pace bike's lead over the front row
+
+  // Safety car (see SafetyCar)
+  safetyCarChance: 0.7,             // Chance a rider stopping on track brings out the safety car
+  safetyCarLaps: 1,                 // Laps the car covers before it pulls in
+  safetyCarSpeed: 1.8,              // Safety car pace
+  safetyCarJoinGap: 150,            // Distance ahead of the leader the car joins the track
+  safetyCarQueueGap: 35,            // Gap each rider keeps to the one ahead in the queue
+  safetyCarCatchUpSpeed: 2.4,       // Speed cap for riders closing up on the queue
+
+  // Lapped traffic (blue flags)
+  blueFlagRange: 120,               // A backmarker is shown blue when a lapping rider is this close behind
+  blueFlagSpeedFactor: 0.95,        // Top speed kept by a backmarker while it lets a leader through
+
+  // Slipstream (drafting)
+  slipstreamRange: 90,              // Max distance behind a rider that still gives a tow
+  slipstreamConeAngle: 0.35,        // Half-angle (rad) of the tow cone behind a rider
+  slipstreamTopSpeedBonus: 0.06,    // Up to 6% higher top speed right on the leader's tail
+  slipstreamAccelBonus: 0.25,       // Up to 25% stronger acceleration in the tow
+  dirtyAirCornerPenalty: 0.3,       // Up to 30% less cornering grip in the wake
+
+  // Track limits
+  offTrackSpeedFactor: 0.45,        // Top speed on grass/gravel relative to the normal target
+  offTrackDrag: 0.04,               // Extra speed lost per frame while off the surface
+  offTrackTireWear: 0.01,           // Extra tyre wear per frame off the surface
+  trackEdgeMargin: 4,               // Riders keep their line this far inside the edges
+  trackLimitSearchDistance: 150,    // Pixels searched either side for the nearest line point
+
+  // Overtaking and defending
+  overtakeDetectRange: 70,          // Look for a car to attack within this distance ahead
+  overtakeMinClosingSpeed: 0.15,    // Closing speed a 0-risk rider needs before attacking
+  overtakeLaneGap: 18,              // Lateral gap to the attacked rider's line
+  overtakeCommitFrames: 90,         // Frames a rider sticks to a chosen line (~1.5s)
+  overtakeCornerLookAhead: 300,     // Pixels scanned for the next corner's direction
+  overtakeCornerThreshold: 0.3,     // Heading change (rad) that counts as a corner
+  defendRange: 50,                  // Attackers closer than this can be defended against
+  defendCommitFrames: 60,           // Frames a defender holds the covering line
+  defendCooldownFrames: 180,        // One defensive move per attack (~3s)
+  maxLaneOffset: 28,                // Widest line a rider will take either side of the path
+  laneChangeRate: 0.6,              // Lateral movement per frame when changing line
+
+  // Pit stops
+  pitStopBaseFrames: 90,            // Stationary time for any stop (~1.5s)
+  pitRefuelFramesPerUnit: 0.6,      // Extra frames per fuel unit added
+  pitTireChangeFrames: 120,         // Tyre change time (~2s)
+  pitLaneBraking: 0.04,             // Deceleration approaching the box
+  pitLaneAcceleration: 0.02,
+  pitLaneSteerBlend: 0.2,           // How quickly racers settle onto the lane path
+  pitLaneJunctionTolerance: 5,      // Furthest the lane path ends may sit from the racing line
+  aiPitFuelThreshold: 20,           // AI boxes below this fuel level...
+  aiPitTireThreshold: 20,           // ...or this tyre level (or the compound cliff, if higher)
+  aiSoftTireMaxLaps: 1,             // AI fits softs when this few laps remain after a stop
+
+  // AI strategy (see StrategyAI; per-level tuning is in AI_DIFFICULTIES)
+  aiAttackDistance: 120,            // A rider this close ahead is worth pushing for
+  aiDefendDistance: 90,             // A rider this close behind is worth defending against
+  aiHotEngineMap: 60,               // Highest engine map an AI runs once the engine is hot
+
+  // Weather (effects scale with track wetness 0-1)
+  weatherTopSpeedPenalty: 0.12,     // Up to 12% lower top speed in full rain
+  weatherCornerPenalty: 0.5,        // Up to 50% less cornering grip in full rain
+  weatherCollisionBuffer: 6,        // Extra spacing riders leave in spray
+  weatherTransitionSeconds: 20,     // Time for the track to fully wet or dry
+  weatherCheckSeconds: 20,          // Random weather: how often a change may happen
+  weatherChangeChance: 0.2,         // Random weather: chance of a change per check
+  aiWetTireThreshold: 0.5,          // AI switches to wets above this wetness...
+  aiDryTireThreshold: 0.25,         // ...and back to slicks below this one
+
+  // Corner speed profile (see math/speedProfile.js)
+  curvatureWindow: 30,              // Pixels either side used to measure curvature
+  cornerLateralGrip: 0.04,          // Lateral acceleration limit for a neutral bike (px/frame²)
+  cornerBraking: 0.02,              // Braking deceleration into corners (px/frame²)
 
   // Path following
-  pathCheckDistance: 60,
-  pathCheckSkip: 100,
-  lapWrapThreshold: 0.9,
+  pathCheckDistance: 60,            // Racing line points closer than this can be the racer's index
+  pathCheckRange: 500,              // Pixels ahead searched for the racer's index
+  lapWrapDistance: 600,             // Index must go from this close to the end to this close to the start
   lapWrapMinDistance: 30
 };
@@ -1,7 +1,9 @@
 // --- Track Definitions ---
 // Extracted from index.html lines 127-265
 
-import { STEP_SIZE } from './gameConfig.js';
+import { STEP_SIZE, GAME_CONFIG } from './gameConfig.js';
+import { generateRacingLineFromNodes } from '../math/bezier.js';
+import { nearestPoint } from '../math/polyline.js';
 
 // --- TRACK REGISTRY ---
 export const AVAILABLE_TRACKS = [
@@ -35,6 +37,136 @@ export function getStartLine(type) {
     }
 }
 
+// --- PIT LANE CONFIGURATION ---
+// The lane path splits off the racing line at its first point and rejoins it at its last
+// (the physics engine finds the matching lap fractions); boxes are fractions along the lane
+// path; speedLimit is in pixels per frame.
+export function getPitLane(type) {
+    if (type === 'track1') {
+        // Runs inside the main straight, crossing the lap line
+        return {
+            speedLimit: 1.5,
+            boxes: [0.3, 0.38, 0.46, 0.54, 0.62, 0.7],
+            path: [
+                {x: 734, y: 429}, {x: 842, y: 437}, {x: 954, y: 445}, {x: 1062, y: 452},
+                {x: 1160, y: 458}, {x: 1224, y: 464}, {x: 1297, y: 471}, {x: 1370, y: 475},
+                {x: 1439, y: 475}, {x: 1497, y: 472}, {x: 1553, y: 463}, {x: 1616, y: 451},
+                {x: 1681, y: 437}, {x: 1744, y: 424}
+            ]
+        };
+    } else if (type === 'general-roca') {
+        // Runs inside the start/finish straight, crossing the lap line
+        return {
+            speedLimit: 1.5,
+            boxes: [0.3, 0.38, 0.46, 0.54, 0.62, 0.7],
+            path: [
+                {x: 1595, y: 500}, {x: 1714, y: 460}, {x: 1827, y: 426}, {x: 1918, y: 410},
+                {x: 1978, y: 420}, {x: 2053, y: 421}, {x: 2131, y: 407}, {x: 2202, y: 380},
+                {x: 2260, y: 352}, {x: 2297, y: 331}, {x: 2332, y: 321}, {x: 2377, y: 324},
+                {x: 2405, y: 333}
+            ]
+        };
+    } else {
+        // Fallback tracks have no pit lane
+        return null;
+    }
+}
+
+// --- TRACK WIDTH ---
+// Half-widths in pixels either side of the racing line (left/right as seen by a rider going
+// round). Sections override them between two lap fractions and may wrap past the lap line.
+// Riders steer well ahead and cut inside the line through corners, so the edges sit wide of it.
+export function getTrackWidth(type) {
+    if (type === 'track1') {
+        // Wider along the start/finish straight
+        return {
+            left: 70,
+            right: 70,
+            sections: [
+                { from: 0.9, to: 0.05, left: 80, right: 80 }
+            ]
+        };
+    } else if (type === 'general-roca') {
+        return {
+            left: 68,
+            right: 68,
+            sections: [
+                { from: 0.93, to: 0.03, left: 78, right: 78 }
+            ]
+        };
+    } else {
+        // Fallback stadium is drawn 140px wide
+        return { left: 70, right: 70, sections: [] };
+    }
+}
+
+// --- TIMING SECTORS ---
+// Lap fractions (0-1) where each timing sector starts; the first sector always starts at the
+// lap line. The racing line is sampled evenly, so equal fractions are equal lengths.
+export const DEFAULT_SECTORS = [0, 1 / 3, 2 / 3];
+
+export function getSectors(type) {
+    if (type === 'track1') {
+        return [0, 0.3, 0.62];
+    } else if (type === 'general-roca') {
+        return [0, 0.35, 0.7];
+    } else {
+        return DEFAULT_SECTORS;
+    }
+}
+
+// --- TRACK PHYSICS ---
+// Multipliers on GAME_CONFIG for the track's surface: grip scales cornering grip,
+// abrasiveness scales tyre wear and fuelEffect scales how much a heavy fuel load costs.
+export const DEFAULT_TRACK_PHYSICS = { grip: 1, abrasiveness: 1, fuelEffect: 1 };
+
+export function getTrackPhysics(type) {
+    if (type === 'general-roca') {
+        // Coarse asphalt: less grip, harder on tyres, and the climbs punish a heavy bike
+        return { grip: 0.94, abrasiveness: 1.25, fuelEffect: 1.2 };
+    } else {
+        return DEFAULT_TRACK_PHYSICS;
+    }
+}
+
+// Game configuration for a track: GAME_CONFIG with the track's physics merged in
+export function getTrackConfig(type) {
+    const physics = { ...DEFAULT_TRACK_PHYSICS, ...getTrackPhysics(type) };
+    return {
+        ...GAME_CONFIG,
+        cornerLateralGrip: GAME_CONFIG.cornerLateralGrip * physics.grip,
+        tireDrainBase: GAME_CONFIG.tireDrainBase * physics.abrasiveness,
+        tireDrainTireMultiplier: GAME_CONFIG.tireDrainTireMultiplier * physics.abrasiveness,
+        fuelWeightAccelPenalty: GAME_CONFIG.fuelWeightAccelPenalty * physics.fuelEffect,
+        fuelWeightCornerPenalty: GAME_CONFIG.fuelWeightCornerPenalty * physics.fuelEffect
+    };
+}
+
+// --- SURFACE ZONES ---
+// Stretches of the racing line between two lap fractions (may wrap past the lap line) with a
+// surface from SURFACE_TYPES that changes grip, top speed, tyre wear and stability locally.
+export function getSurfaceZones(type) {
+    if (type === 'track1') {
+        return [
+            { from: 0.21, to: 0.222, surface: 'kerb' },
+            { from: 0.3, to: 0.34, surface: 'bumpy' },
+            { from: 0.428, to: 0.442, surface: 'low-grip' },
+            { from: 0.53, to: 0.543, surface: 'kerb' },
+            { from: 0.798, to: 0.81, surface: 'kerb' }
+        ];
+    } else if (type === 'general-roca') {
+        return [
+            { from: 0.1, to: 0.15, surface: 'bumpy' },
+            { from: 0.31, to: 0.334, surface: 'kerb' },
+            { from: 0.548, to: 0.56, surface: 'kerb' },
+            { from: 0.645, to: 0.685, surface: 'low-grip' },
+            { from: 0.786, to: 0.813, surface: 'kerb' }
+        ];
+    } else {
+        return [];
+    }
+}
+
 // --- GEOMETRY (Visual Track) ---
 function addLine(path, x1, y1, x2, y2) {
     const dist = Math.hypot(x2 - x1, y2 - y1);
@@ -150,3 +282,27 @@ export function getBezierNodes(type) {
         ];
     }
 }
+
+// --- PIT LANE CHECK ---
+// Every built-in pit lane must start and end on its track's racing line, or its entry and
+// exit land in the wrong place. Checked once at load outside production builds; at runtime the
+// physics engine only warns, since the track editor can move the line away from the lane.
+export function checkPitLane(type) {
+    const pitLane = getPitLane(type);
+    if (!pitLane) {
+        return;
+    }
+    const racingPath = generateRacingLineFromNodes(getBezierNodes(type), GAME_CONFIG.stepSize);
+    const tolerance = getTrackConfig(type).pitLaneJunctionTolerance;
+    const ends = { entry: pitLane.path[0], exit: pitLane.path[pitLane.path.length - 1] };
+    for (const [name, point] of Object.entries(ends)) {
+        const { distance } = nearestPoint(racingPath, point);
+        if (distance > tolerance) {
+            throw new Error(`Pit lane ${name} on '${type}' is ${Math.round(distance)}px from the racing line (at most ${tolerance}px)`);
+        }
+    }
+}
+
+if (!import.meta.env || import.meta.env.DEV) {
+    AVAILABLE_TRACKS.forEach(track => checkPitLane(track.id));
+}
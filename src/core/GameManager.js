@@ -14,6 +14,7 @@
 
 import { GameState } from '../state/GameState.js';
 import { GAME_CONFIG } from '../config/gameConfig.js';
+import { sortByRacePosition } from './standings.js';
 
 export class GameManager {
   /**
@@ -188,7 +189,9 @@ export class GameManager {
     this.sessions.forEach(session => {
       if (session.racers) {
         const racer = session.racers.find(r => r.id === racerId);
-        if (racer && racer.params) {
+        if (racer && racer.controller && racer.controller.setParams) {
+          racer.controller.setParams({ [param]: parseInt(value) });
+        } else if (racer && racer.params) {
           racer.params[param] = parseInt(value);
         }
       }
@@ -198,6 +201,72 @@ export class GameManager {
     this.updateUI();
   }
 
+  /**
+   * Toggle the "box this lap" request for a racer
+   *
+   * @param {number} racerId - ID of the racer
+   */
+  togglePitRequest(racerId) {
+    this.sessions.forEach(session => {
+      if (session.racers) {
+        const racer = session.racers.find(r => r.id === racerId);
+        if (racer && !racer.isInPitLane()) {
+          racer.requestPit(!racer.pitRequested);
+        }
+      }
+    });
+
+    // Update UI
+    this.updateUI();
+  }
+
+  /**
+   * Choose a tyre compound for a racer.
+   * On the grid it replaces the starting set; once moving it is fitted at the next stop.
+   *
+   * @param {number} racerId - ID of the racer
+   * @param {string} compound - Compound key ('soft', 'medium', 'hard', 'wet')
+   */
+  setTireCompound(racerId, compound) {
+    this.sessions.forEach(session => {
+      if (session.racers) {
+        const racer = session.racers.find(r => r.id === racerId);
+        if (!racer) {
+          return;
+        }
+
+        if (racer.isOnGrid()) {
+          racer.setStartingTireCompound(compound);
+        } else {
+          racer.nextTireCompound = compound;
+        }
+      }
+    });
+
+    // Update UI
+    this.updateUI();
+  }
+
+  /**
+   * Choose a racer's starting fuel load. Only possible while it is still on the grid.
+   *
+   * @param {number} racerId - ID of the racer
+   * @param {number} amount - Fuel load (% of a full tank)
+   */
+  setStartingFuel(racerId, amount) {
+    this.sessions.forEach(session => {
+      if (session.racers) {
+        const racer = session.racers.find(r => r.id === racerId);
+        if (racer && racer.isOnGrid()) {
+          racer.setStartingFuel(amount);
+        }
+      }
+    });
+
+    // Update UI
+    this.updateUI();
+  }
+
   /**
    * Main game loop with fixed timestep physics
    * Uses accumulator pattern for consistent physics regardless of frame rate
@@ -296,15 +365,7 @@ export class GameManager {
     if (!session.racers) return;
 
     // Sort racers by position
-    const sorted = [...session.racers].sort((a, b) => {
-      if (a.finished && b.finished) {
-        return a.finishTime - b.finishTime;
-      }
-      if (a.finished !== b.finished) {
-        return a.finished ? -1 : 1;
-      }
-      return b.progress - a.progress;
-    });
+    const sorted = sortByRacePosition(session.racers);
 
     // Update scoreboard component
     if (this.scoreboard.update) {
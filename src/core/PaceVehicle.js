@@ -0,0 +1,78 @@
+/**
+ * Pace vehicle entity
+ * A non-racing bike that follows the racing line at a set speed, leading the
+ * field on a rolling start. It never collides with or is classified among racers.
+ *
+ * @class PaceVehicle
+ * @module core/PaceVehicle
+ */
+export class PaceVehicle {
+  /**
+   * Create a new PaceVehicle instance
+   *
+   * @param {Object} [config] - Vehicle configuration
+   * @param {string} [config.label='PACE'] - Text drawn above the vehicle
+   * @param {string} [config.color='#f59e0b'] - Livery color
+   */
+  constructor(config = {}) {
+    this.label = config.label || 'PACE';
+    this.color = config.color || '#f59e0b';
+
+    // Position along the racing line in (fractional) points from the start
+    // line; negative values are behind the line on the lap before
+    this.pathPosition = 0;
+    this.x = 0;
+    this.y = 0;
+    this.angle = 0;
+
+    this.speed = 0;      // Pixels per frame
+    this.active = false; // Only drawn and moved while leading the field
+  }
+
+  /**
+   * Put the vehicle on the racing line
+   *
+   * @param {Array} racingPath - Array of path points
+   * @param {number} pathPosition - Points from the start line (may be negative or fractional)
+   */
+  placeAt(racingPath, pathPosition) {
+    const n = racingPath.length;
+    this.pathPosition = pathPosition;
+
+    const wrapped = ((pathPosition % n) + n) % n;
+    const i = Math.floor(wrapped);
+    const a = racingPath[i];
+    const b = racingPath[(i + 1) % n];
+    const t = wrapped - i;
+
+    this.x = a.x + (b.x - a.x) * t;
+    this.y = a.y + (b.y - a.y) * t;
+    this.angle = Math.atan2(b.y - a.y, b.x - a.x);
+  }
+
+  /**
+   * Move the vehicle along the racing line by its speed for one frame
+   *
+   * @param {Array} racingPath - Array of path points
+   * @param {number} pathSpacing - Pixels per path point (see PhysicsEngine.getPathSpacing)
+   */
+  advance(racingPath, pathSpacing) {
+    this.placeAt(racingPath, this.pathPosition + this.speed / pathSpacing);
+  }
+
+  /**
+   * Get the vehicle's state for rendering or debugging
+   *
+   * @returns {Object} Position, heading and whether it is on track
+   */
+  getState() {
+    return {
+      label: this.label,
+      x: this.x,
+      y: this.y,
+      angle: this.angle,
+      speed: this.speed,
+      active: this.active
+    };
+  }
+}
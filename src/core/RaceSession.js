@@ -11,18 +11,36 @@
  */
 
 import { PhysicsEngine } from '../engine/physics.js';
+import { WeatherSystem } from '../engine/weather.js';
+import { StartProcedure } from '../engine/startProcedure.js';
+import { SafetyCar } from '../engine/safetyCar.js';
+import { StrategyAI } from '../engine/strategyAI.js';
+import { AIController, PlayerController } from '../engine/controllers.js';
+import { buildSetupArchetype } from './bikeSetup.js';
 import { Renderer } from '../rendering/Renderer.js';
 import { TrackEditor } from '../input/TrackEditor.js';
 import { Racer } from './Racer.js';
-import { getVisualTrackPoints, getBezierNodes, getStartLine } from '../config/tracks.js';
 import {
-    RACER_NAMES_SOURCE,
+    getVisualTrackPoints,
+    getBezierNodes,
+    getStartLine,
+    getPitLane,
+    getTrackWidth,
+    getSectors,
+    getTrackConfig,
+    getSurfaceZones
+} from '../config/tracks.js';
+import {
+    RACER_ROSTER,
     RACER_COLORS_SOURCE,
     RACER_NUMBERS_SOURCE,
-    PLAYER_INDICES
+    PLAYER_INDICES,
+    DEFAULT_START_PROCEDURE,
+    DEFAULT_AI_DIFFICULTY
 } from '../config/constants.js';
 import { GAME_CONFIG } from '../config/gameConfig.js';
 import { shuffleArray } from '../utils/shuffle.js';
+import { createRandom, generateSeed } from '../utils/random.js';
 import { generateRacingLineFromNodes } from '../math/bezier.js';
 import { imageLoader } from '../assets/imageLoader.js';
 
@@ -36,14 +54,31 @@ export class RaceSession {
      * @param {string} containerId - DOM element ID to append the canvas to
      * @param {string} trackType - Track type identifier ('s-curve', 'stadium', 'l-shape')
      * @param {string} title - Display title for this session
+     * @param {Object} [options] - Session options
+     * @param {number} [options.seed] - Random seed for a reproducible race (random if omitted)
+     * @param {string|Object} [options.weather='dry'] - Weather definition (see WeatherSystem)
+     * @param {string} [options.start='standing'] - Start procedure ('standing' | 'rolling', see StartProcedure)
+     * @param {string} [options.aiDifficulty='normal'] - Strategy AI difficulty ('easy' | 'normal' | 'hard', see StrategyAI)
+     * @param {Object} [options.bikeSetups] - Map of player racer ID to bike setup (see core/bikeSetup)
+     * @param {Function} [options.onFinish] - Called with the session once every racer has finished or retired
      */
-    constructor(containerId, trackType, title) {
+    constructor(containerId, trackType, title, options = {}) {
         this.trackType = trackType;
         this.title = title;
+        this.weatherOptions = options.weather || 'dry';
+        this.startType = options.start || DEFAULT_START_PROCEDURE;
+        this.aiDifficulty = options.aiDifficulty || DEFAULT_AI_DIFFICULTY;
+        this.bikeSetups = options.bikeSetups || {};
+        this.onFinish = options.onFinish || null;
+
+        // Seeded randomness - the same seed replays the same race
+        this.seed = options.seed !== undefined ? options.seed : generateSeed();
+        this.random = createRandom(this.seed);
 
         // Track data
         this.visualPath = getVisualTrackPoints(trackType);
         this.bezierNodes = getBezierNodes(trackType);
+        this.pitLane = getPitLane(trackType);
         this.racingPath = [];
 
         // Game state
@@ -51,6 +86,9 @@ export class RaceSession {
         this.totalLaps = 5;
         this.raceFrameCount = 0;
         this.raceFinished = false;
+        this.startProcedure = null;
+        this.safetyCar = null;
+        this.strategy = null;
 
         // Create canvas container
         this.container = document.createElement('div');
@@ -83,14 +121,19 @@ export class RaceSession {
         const parentContainer = document.getElementById(containerId);
         parentContainer.appendChild(this.container);
 
-        // Initialize subsystems with fixed canvas dimensions
-        this.physics = new PhysicsEngine(GAME_CONFIG);
+        // Initialize subsystems with fixed canvas dimensions (physics uses the track's config)
+        this.config = getTrackConfig(trackType);
+        this.physics = new PhysicsEngine(this.config, this.random);
+        this.physics.setPitLane(this.pitLane);
+        this.physics.setTrackWidth(getTrackWidth(trackType));
+        this.physics.setSectors(getSectors(trackType));
+        this.physics.setSurfaceZones(getSurfaceZones(trackType));
         this.renderer = new Renderer(this.canvas, this.canvas.width, this.canvas.height);
         this.camera = this.renderer.getCamera();
         this.trackEditor = new TrackEditor(this);
 
         // Store reference to generateRacingLineFromNodes for TrackEditor
-        this.generateRacingLineFromNodes = generateRacingLineFromNodes;
+        this.generateRacingLineFromNodes = nodes => generateRacingLineFromNodes(nodes, GAME_CONFIG.stepSize);
     }
 
     /**
@@ -101,7 +144,8 @@ export class RaceSession {
         this.backgroundImage = await imageLoader.loadImage(this.trackType);
 
         // Generate racing line from bezier nodes
-        this.racingPath = generateRacingLineFromNodes(this.bezierNodes);
+        this.racingPath = generateRacingLineFromNodes(this.bezierNodes, GAME_CONFIG.stepSize);
+        this.physics.getPitLaneJunctions(this.racingPath); // Kept if the line is later edited away from the lane
 
         // Fixed lap count for balanced races
         this.totalLaps = 3;
@@ -112,7 +156,15 @@ export class RaceSession {
             if (el) el.textContent = this.totalLaps;
         }
 
-        // Reset state
+        // Reset state (re-seed so every init replays identically)
+        this.random = createRandom(this.seed);
+        this.physics.random = this.random;
+        this.weather = new WeatherSystem(this.weatherOptions, this.random, this.config);
+        this.physics.setWeather(this.weather);
+        this.physics.overtakingAllowed = true;
+        this.startProcedure = new StartProcedure(this.startType, this.random, this.config);
+        this.safetyCar = new SafetyCar(this.random, this.config);
+        this.strategy = new StrategyAI(this.aiDifficulty, this.random, this.config);
         this.racers = [];
         this.raceFrameCount = 0;
         this.raceFinished = false;
@@ -133,7 +185,8 @@ export class RaceSession {
         } else {
             // Fallback: calculate from racing path
             startPoint = this.racingPath[0];
-            const lookaheadPoint = this.racingPath[Math.min(30, this.racingPath.length - 1)];
+            const lookaheadIndex = Math.round(150 / GAME_CONFIG.stepSize);
+            const lookaheadPoint = this.racingPath[Math.min(lookaheadIndex, this.racingPath.length - 1)];
             const dx = lookaheadPoint.x - startPoint.x;
             const dy = lookaheadPoint.y - startPoint.y;
             angle = Math.atan2(dy, dx);
@@ -144,40 +197,57 @@ export class RaceSession {
             perpY = dirX;
         }
 
-        // Shuffle racer attributes
-        const names = shuffleArray([...RACER_NAMES_SOURCE]);
-        const colors = shuffleArray([...RACER_COLORS_SOURCE]);
-        const numbers = shuffleArray([...RACER_NUMBERS_SOURCE]);
+        // Shuffle racer attributes. Player slots keep their own rider, colour and number
+        // every race, so a championship follows the same riders from round to round.
+        const shuffleAiSlots = (source) => {
+            const ai = shuffleArray(source.filter((_, i) => !PLAYER_INDICES.includes(i)), this.random);
+            return source.map((item, i) => PLAYER_INDICES.includes(i) ? item : ai.shift());
+        };
+        const roster = shuffleAiSlots(RACER_ROSTER);
+        const colors = shuffleAiSlots(RACER_COLORS_SOURCE);
+        const numbers = shuffleAiSlots(RACER_NUMBERS_SOURCE);
 
         // Create racers
-        for (let i = 0; i < names.length; i++) {
+        for (let i = 0; i < roster.length; i++) {
             const row = Math.floor(i / 3);
             const col = i % 3;
             let colOffset = col - 1;
             if (row === 3) colOffset = col - 0.5;
 
-            const distBack = 60 + (row * 35);
+            const distBack = 60 + (row * 35) + this.startProcedure.getGridOffset();
             const distSide = colOffset * 25;
 
             const posX = startPoint.x - (dirX * distBack) + (perpX * distSide);
             const posY = startPoint.y - (dirY * distBack) + (perpY * distSide);
             const isPlayer = PLAYER_INDICES.includes(i);
+            const setup = isPlayer ? this.bikeSetups[i] : null;
 
             // Create racer using Racer class
             const racer = new Racer({
                 id: i,
-                name: names[i],
+                name: roster[i].name,
+                driver: roster[i],
                 color: colors[i],
                 racingNumber: numbers[i],
                 position: { x: posX, y: posY },
                 angle: angle,
                 isPlayer: isPlayer,
-                params: isPlayer ? { tireAggression: 60, engineMap: 60, risk: 60 } : undefined
+                bikeArchetype: setup ? buildSetupArchetype(setup) : undefined,
+                params: isPlayer ? { tireAggression: 60, engineMap: 60, risk: 60 } : undefined,
+                controller: isPlayer ? new PlayerController() : new AIController(),
+                random: this.random
             });
 
+            // AI starts on wets if the race starts in the rain
+            if (!isPlayer && this.weather.wetness > this.config.aiWetTireThreshold) {
+                racer.setStartingTireCompound('wet');
+            }
+
             this.racers.push(racer);
         }
 
+        this.startProcedure.prepare(this.racers, this.racingPath, this.physics);
+
         // Update camera and draw initial frame
         this.updateCamera();
         this.draw();
@@ -188,16 +258,23 @@ export class RaceSession {
      * Handles physics updates, collision resolution, and camera updates
      */
     update() {
-        // Update frame counter
+        // Update frame counter and conditions
         this.raceFrameCount++;
-
-        // Update each racer using physics engine
+        this.weather.update(this.raceFrameCount);
+        this.startProcedure.update(this.raceFrameCount, this.racers, this.racingPath, this.physics);
+        this.safetyCar.update(this.raceFrameCount, this.racers, this.racingPath, this.physics, this.totalLaps);
+        this.strategy.update(this.raceFrameCount, this.racers, this.racingPath, this.physics, this.totalLaps);
+
+        // Work out tows, overtaking moves and what each rider wants, then update each racer using physics engine
+        this.physics.updateSlipstream(this.racers);
+        this.physics.updateRacecraft(this.racers, this.racingPath);
+        this.physics.updateControllers(this.racers, this.racingPath, this.raceFrameCount, this.totalLaps);
         this.racers.forEach(racer => {
             this.physics.updateRacer(racer, this.racingPath, this.raceFrameCount, this.totalLaps);
         });
 
         // Resolve collisions between racers
-        this.physics.resolveCollisions(this.racers);
+        this.physics.resolveCollisions(this.racers, this.raceFrameCount);
 
         // Update camera to follow selected racer
         this.updateCamera();
@@ -239,14 +316,21 @@ export class RaceSession {
      * Check and update race finish state
      */
     checkFinishState() {
-        const finishedCount = this.racers.filter(r => r.finished).length;
+        const finishedCount = this.racers.filter(r => !r.isRunning()).length;
         let statusText = "Carrera en Curso";
         let statusClass = "mt-4 p-2 bg-gray-100 rounded text-center text-sm font-bold text-gray-600";
 
-        if (!this.raceFinished && finishedCount === this.racers.length) {
+        const justFinished = !this.raceFinished && finishedCount === this.racers.length;
+        if (justFinished) {
             this.raceFinished = true;
             statusText = "🏁 FINALIZADO";
             statusClass = "mt-4 p-2 bg-green-200 text-green-800 border border-green-300 rounded text-center text-sm font-bold";
+        } else if (this.safetyCar.active) {
+            statusText = "🟡 SAFETY CAR";
+            statusClass = "mt-4 p-2 bg-yellow-300 text-yellow-900 border border-yellow-400 rounded text-center text-sm font-bold";
+        } else if (this.raceFrameCount < GAME_CONFIG.startDelayFrames && this.startProcedure.paceVehicle) {
+            statusText = "🏍️ VUELTA DE FORMACIÓN";
+            statusClass = "mt-4 p-2 bg-amber-100 text-amber-800 border border-amber-200 rounded text-center text-sm font-bold";
         } else if (this.raceFrameCount < GAME_CONFIG.startDelayFrames) {
             statusText = "🔴 PREPARADOS...";
             statusClass = "mt-4 p-2 bg-red-100 text-red-800 border border-red-200 rounded text-center text-sm font-bold";
@@ -260,6 +344,10 @@ export class RaceSession {
             el.textContent = statusText;
             el.className = statusClass;
         }
+
+        if (justFinished && this.onFinish) {
+            this.onFinish(this);
+        }
     }
 
     /**
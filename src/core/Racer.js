@@ -1,4 +1,13 @@
-import { BIKE_ARCHETYPES, BIKE_ARCHETYPE_KEYS } from '../config/constants.js';
+import {
+  BIKE_ARCHETYPES,
+  BIKE_ARCHETYPE_KEYS,
+  TIRE_COMPOUNDS,
+  DRY_TIRE_COMPOUND_KEYS,
+  DEFAULT_TIRE_COMPOUND,
+  DEFAULT_FUEL_LOAD,
+  DRIVER_ATTRIBUTE_KEYS,
+  NEUTRAL_DRIVER
+} from '../config/constants.js';
 
 /**
  * Racer entity class
@@ -20,7 +29,15 @@ export class Racer {
    * @param {number} config.angle - Initial heading angle in radians
    * @param {boolean} config.isPlayer - Whether this racer is controlled by the player
    * @param {Object} [config.params] - Racing parameters (tireAggression, engineMap, risk)
-   * @param {string} [config.bikeType] - Bike archetype (speeder, accelerator, turner)
+   * @param {string} [config.bikeType] - Bike archetype key from the registry (see config/archetypes.json)
+   * @param {Object} [config.bikeArchetype] - Custom archetype from a bike setup (see core/bikeSetup);
+   *        overrides bikeType, which becomes 'custom'
+   * @param {string} [config.tireCompound] - Starting tyre compound (soft, medium, hard, wet)
+   * @param {number} [config.startingFuel=100] - Starting fuel load (% of a full tank)
+   * @param {Object} [config.driver] - Driver ratings 0-100 (pace, consistency, racecraft,
+   *        tyreManagement, wetSkill; see RACER_ROSTER). Missing ratings are an average 50.
+   * @param {Object} [config.controller] - Decides the racer's intents each frame (see engine/controllers)
+   * @param {Function} [config.random] - Random source for per-racer variation (defaults to Math.random)
    */
   constructor(config) {
     const {
@@ -32,9 +49,18 @@ export class Racer {
       angle,
       isPlayer,
       params,
-      bikeType
+      bikeType,
+      bikeArchetype,
+      tireCompound,
+      startingFuel = DEFAULT_FUEL_LOAD,
+      driver = {},
+      controller = null,
+      random = Math.random
     } = config;
 
+    // Random source (seeded in reproducible races)
+    this.random = random;
+
     // Identity
     this.id = id;
     this.name = name;
@@ -46,8 +72,9 @@ export class Racer {
     this.y = position.y;
     this.angle = angle;
 
-    // Resources
-    this.fuel = 100;
+    // Resources (fuel is a percentage of a full tank; its weight slows the bike)
+    this.startingFuel = startingFuel;
+    this.fuel = startingFuel;
     this.tires = 100;
 
     // Motion state
@@ -55,33 +82,107 @@ export class Racer {
     this.pathIndex = 0;
     this.lap = 0;
     this.progress = 0;
+    this.offTrack = false;
+    this.offTrackCount = 0;
+    this.slipstream = 0; // 0 = clean air, 1 = right on someone's tail (see PhysicsEngine.updateSlipstream)
 
-    // Race state
+    // Race state (finishTime is race-clock seconds, see PhysicsEngine.getRaceTime)
     this.finished = false;
     this.finishTime = 0;
-    this.state = 'waiting'; // 'waiting' | 'racing' | 'finished'
+    this.state = 'waiting'; // 'waiting' | 'racing' | 'finished' | 'retired'
+
+    // Lap timing in race-clock seconds (see PhysicsEngine.updateSectorTiming)
+    this.lapStartTime = 0;       // When the lap in progress started
+    this.sectorTimes = [];       // Sector splits of the lap in progress
+    this.lapTimes = [];          // Completed laps: { lap, time, sectors, setAt }
+    this.lastLapTime = null;
+    this.bestLapTime = null;
+    this.bestSectorTimes = [];   // Personal best per sector
+
+    // Contact damage (0-100) and retirement (DNF)
+    this.damage = 0;
+    this.contactCooldown = 0;    // Frames before another contact can cause damage
+    this.retired = false;
+    this.retireReason = null;    // null | 'crash' | 'damage' | 'engine'
+    this.retireTime = null;      // Race-clock seconds
+
+    // Engine reliability (see PhysicsEngine.updateReliability)
+    this.engineHeat = 0;         // 0 = cold, 100 = running flat out for a long time
+    this.engineIssue = null;     // null | 'power-loss' | 'limp'
+    this.engineIssueTime = null; // Race-clock seconds of the first issue
+
+    // Pit stop state
+    this.pitRequested = false;   // Box at the next pit entry
+    this.pitPhase = null;        // null | 'entering' | 'stopped' | 'exiting'
+    this.pitLaneDistance = 0;    // Distance travelled along the pit lane
+    this.pitTimer = 0;           // Frames left stationary in the box
+    this.pitStops = 0;
+
+    // Driver skill, separate from the bike (see getSkill)
+    this.driver = { ...NEUTRAL_DRIVER };
+    for (const key of DRIVER_ATTRIBUTE_KEYS) {
+      if (driver[key] !== undefined) {
+        this.driver[key] = driver[key];
+      }
+    }
 
     // Racing parameters (player-controlled or AI defaults)
     this.params = params || {
-      tireAggression: 40 + Math.random() * 40,
-      engineMap: 40 + Math.random() * 40,
-      risk: 30 + Math.random() * 40
+      tireAggression: 40 + random() * 40,
+      engineMap: 40 + random() * 40,
+      risk: 30 + random() * 40
     };
 
-    // Launch behavior (randomized per racer)
-    this.launchDelay = Math.floor(Math.random() * 15);
-    this.launchAccel = 0.05 + Math.random() * 0.02;
+    // Launch behavior (randomized per racer; StartProcedure sets the delay from the start type)
+    this.launchDelay = Math.floor(random() * 15);
+    this.launchAccel = 0.05 + random() * 0.02;
+
+    // Start procedure (see StartProcedure)
+    this.reactionTime = null;    // Seconds from lights out to moving (negative = jumped the start)
+    this.speedLimit = null;      // Speed cap behind a pace vehicle (px/frame), null when racing
+    this.jumpStart = false;      // Penalised for moving before lights out
+    this.penaltyTime = 0;        // Seconds added to the finish time
 
     // Path following behavior
-    this.laneOffset = (Math.random() * 40) - 20;
-    this.wobblePhase = Math.random() * Math.PI * 2;
+    this.laneOffset = (random() * 40) - 20;
+    this.wobblePhase = random() * Math.PI * 2;
+
+    // Racecraft (see PhysicsEngine.updateRacecraft): preferred line, line being
+    // steered towards, and the current overtaking/defending move
+    this.racingLine = this.laneOffset;
+    this.targetLaneOffset = this.laneOffset;
+    this.racecraft = null;       // null | 'overtaking' | 'defending'
+    this.racecraftTargetId = null;
+    this.racecraftFrames = 0;
+    this.defendCooldown = 0;
+    this.overtakes = 0;
+    this.blueFlagFor = null;     // Id of the rider lapping this one while it yields (see updateBlueFlags)
 
     // Player flag
     this.isPlayer = isPlayer;
+    this.strategyAI = !isPlayer; // Params re-planned during the race (see StrategyAI)
+    this.controller = controller;
+    this.intent = null;          // This frame's throttle/steer/lane/params (see PhysicsEngine.updateControllers)
+
+    // Bike archetype - a custom setup, or a preset (random if not specified)
+    if (bikeArchetype) {
+      this.bikeType = 'custom';
+      this.bikeArchetype = bikeArchetype;
+    } else {
+      this.bikeType = bikeType || BIKE_ARCHETYPE_KEYS[Math.floor(random() * BIKE_ARCHETYPE_KEYS.length)];
+      this.bikeArchetype = BIKE_ARCHETYPES[this.bikeType];
+      if (!this.bikeArchetype) {
+        throw new Error(`Unknown bike archetype '${this.bikeType}'`);
+      }
+    }
 
-    // Bike archetype - random if not specified
-    this.bikeType = bikeType || BIKE_ARCHETYPE_KEYS[Math.floor(Math.random() * BIKE_ARCHETYPE_KEYS.length)];
-    this.bikeArchetype = BIKE_ARCHETYPES[this.bikeType];
+    // Tyre compound - players start on mediums, AI picks a random dry compound
+    this.startingTireCompound = tireCompound || (isPlayer
+      ? DEFAULT_TIRE_COMPOUND
+      : DRY_TIRE_COMPOUND_KEYS[Math.floor(random() * DRY_TIRE_COMPOUND_KEYS.length)]);
+    this.tireCompound = this.startingTireCompound;
+    this.nextTireCompound = null;              // Compound to fit at the next pit stop
+    this.tireHistory = [this.tireCompound];    // Compounds used, in stint order
   }
 
   /**
@@ -92,6 +193,63 @@ export class Racer {
     return this.bikeArchetype;
   }
 
+  /**
+   * Get a driver rating relative to an average rider
+   * @param {string} attribute - Rating key (pace, consistency, racecraft, tyreManagement, wetSkill)
+   * @returns {number} -1 (rated 0) to 1 (rated 100), 0 for an average rider
+   */
+  getSkill(attribute) {
+    return (this.driver[attribute] - 50) / 50;
+  }
+
+  /**
+   * Get the tyre compound configuration currently fitted
+   * @returns {Object} Compound with grip and wear settings
+   */
+  getTireCompound() {
+    return TIRE_COMPOUNDS[this.tireCompound];
+  }
+
+  /**
+   * Fit a fresh set of tyres (pit stop service)
+   *
+   * @param {string} compound - Compound key to fit
+   */
+  fitTires(compound) {
+    this.tireCompound = compound;
+    this.tires = 100;
+    this.tireHistory.push(compound);
+  }
+
+  /**
+   * Choose the starting compound before the race starts
+   *
+   * @param {string} compound - Compound key
+   */
+  setStartingTireCompound(compound) {
+    this.startingTireCompound = compound;
+    this.tireCompound = compound;
+    this.tireHistory = [compound];
+  }
+
+  /**
+   * Choose the starting fuel load before the race starts
+   *
+   * @param {number} amount - Fuel load (% of a full tank)
+   */
+  setStartingFuel(amount) {
+    this.startingFuel = amount;
+    this.fuel = amount;
+  }
+
+  /**
+   * Get the tyre strategy used so far, e.g. "soft-medium"
+   * @returns {string} Compound keys joined in stint order
+   */
+  getTireStrategy() {
+    return this.tireHistory.join('-');
+  }
+
   /**
    * Update racer's racing parameters
    *
@@ -104,6 +262,33 @@ export class Racer {
     this.params = { ...this.params, ...params };
   }
 
+  /**
+   * Request (or cancel) a pit stop at the next pit entry
+   *
+   * @param {boolean} [requested=true] - Whether to box this lap
+   */
+  requestPit(requested = true) {
+    this.pitRequested = requested;
+  }
+
+  /**
+   * Check if racer is currently in the pit lane
+   *
+   * @returns {boolean} True while entering, stopped in or leaving the pits
+   */
+  isInPitLane() {
+    return this.pitPhase !== null;
+  }
+
+  /**
+   * Check if racer is still stationary in its grid slot before the start
+   *
+   * @returns {boolean} False once the racer moves off (including a rolling start's formation run)
+   */
+  isOnGrid() {
+    return this.state === 'waiting' && this.currentSpeed === 0;
+  }
+
   /**
    * Reset racer to initial state (for race restart)
    *
@@ -114,31 +299,144 @@ export class Racer {
     this.x = position.x;
     this.y = position.y;
     this.angle = angle;
-    this.fuel = 100;
+    this.fuel = this.startingFuel;
     this.tires = 100;
+    this.tireCompound = this.startingTireCompound;
+    this.nextTireCompound = null;
+    this.tireHistory = [this.tireCompound];
     this.currentSpeed = 0;
     this.pathIndex = 0;
     this.lap = 0;
     this.progress = 0;
+    this.offTrack = false;
+    this.offTrackCount = 0;
+    this.slipstream = 0;
+    this.laneOffset = this.racingLine;
+    this.targetLaneOffset = this.racingLine;
+    this.racecraft = null;
+    this.racecraftTargetId = null;
+    this.racecraftFrames = 0;
+    this.defendCooldown = 0;
+    this.overtakes = 0;
+    this.blueFlagFor = null;
     this.finished = false;
     this.finishTime = 0;
     this.state = 'waiting';
-    this.launchDelay = Math.floor(Math.random() * 15);
+    this.lapStartTime = 0;
+    this.sectorTimes = [];
+    this.lapTimes = [];
+    this.lastLapTime = null;
+    this.bestLapTime = null;
+    this.bestSectorTimes = [];
+    this.damage = 0;
+    this.contactCooldown = 0;
+    this.retired = false;
+    this.retireReason = null;
+    this.retireTime = null;
+    this.engineHeat = 0;
+    this.engineIssue = null;
+    this.engineIssueTime = null;
+    this.pitRequested = false;
+    this.pitPhase = null;
+    this.pitLaneDistance = 0;
+    this.pitTimer = 0;
+    this.pitStops = 0;
+    this.reactionTime = null;
+    this.speedLimit = null;
+    this.jumpStart = false;
+    this.penaltyTime = 0;
+    this.launchDelay = Math.floor(this.random() * 15);
+  }
+
+  /**
+   * Record the split for the sector just completed
+   *
+   * @param {number} raceTime - Race-clock time the sector ended in seconds
+   */
+  completeSector(raceTime) {
+    const lapSoFar = this.sectorTimes.reduce((sum, t) => sum + t, 0);
+    const split = raceTime - this.lapStartTime - lapSoFar;
+    const index = this.sectorTimes.length;
+    this.sectorTimes.push(split);
+    if (this.bestSectorTimes[index] === undefined || split < this.bestSectorTimes[index]) {
+      this.bestSectorTimes[index] = split;
+    }
+  }
+
+  /**
+   * Record a completed lap (closing its final sector) and start the next one
+   *
+   * @param {number} raceTime - Race-clock time the lap line was crossed in seconds
+   */
+  completeLap(raceTime) {
+    this.completeSector(raceTime);
+    const time = raceTime - this.lapStartTime;
+    this.lapTimes.push({ lap: this.lapTimes.length + 1, time, sectors: this.sectorTimes, setAt: raceTime });
+    this.lastLapTime = time;
+    if (this.bestLapTime === null || time < this.bestLapTime) {
+      this.bestLapTime = time;
+    }
+    this.lapStartTime = raceTime;
+    this.sectorTimes = [];
+  }
+
+  /**
+   * Time spent on the lap in progress
+   *
+   * @param {number} raceTime - Current race-clock time in seconds
+   * @returns {number} Seconds since the lap started (0 before the start)
+   */
+  getCurrentLapTime(raceTime) {
+    return Math.max(0, raceTime - this.lapStartTime);
+  }
+
+  /**
+   * Add a time penalty, served by adding it to the finish time
+   *
+   * @param {number} seconds - Penalty in seconds
+   */
+  addPenalty(seconds) {
+    this.penaltyTime += seconds;
   }
 
   /**
    * Mark racer as finished
    *
-   * @param {number} timestamp - Performance.now() timestamp of finish
+   * @param {number} raceTime - Race-clock finish time in seconds (sub-frame accurate)
    * @param {number} totalLaps - Total laps in the race
    */
-  finish(timestamp, totalLaps) {
+  finish(raceTime, totalLaps) {
     this.finished = true;
-    this.finishTime = timestamp;
+    this.finishTime = raceTime + this.penaltyTime;
     this.progress = totalLaps + 1000;
     this.state = 'finished';
   }
 
+  /**
+   * Retire the racer from the race (DNF). It stops where it is and is
+   * classified behind every racer still running or finished.
+   *
+   * @param {string} reason - Why the racer retired ('crash' | 'damage' | 'engine')
+   * @param {number} raceTime - Race-clock time of the retirement in seconds
+   */
+  retire(reason, raceTime) {
+    this.retired = true;
+    this.retireReason = reason;
+    this.retireTime = raceTime;
+    this.currentSpeed = 0;
+    this.pitRequested = false;
+    this.state = 'retired';
+  }
+
+  /**
+   * Whether the racer is still taking part (neither finished nor retired)
+   *
+   * @returns {boolean} True while racing
+   */
+  isRunning() {
+    return !this.finished && !this.retired;
+  }
+
   /**
    * Get current position as a vector
    *
@@ -172,10 +470,10 @@ export class Racer {
   /**
    * Check if racer has critical tire wear
    *
-   * @returns {boolean} True if tires are below 20%
+   * @returns {boolean} True if tires are past the compound's grip cliff
    */
   hasCriticalTireWear() {
-    return this.tires < 20;
+    return this.tires < this.getTireCompound().cliff;
   }
 
   /**
@@ -187,13 +485,39 @@ export class Racer {
     return {
       id: this.id,
       name: this.name,
+      driver: { ...this.driver },
+      controller: this.controller ? this.controller.name : null,
       position: this.getPosition(),
       lap: this.lap,
       progress: this.progress,
       finished: this.finished,
+      finishTime: this.finishTime,
+      reactionTime: this.reactionTime,
+      jumpStart: this.jumpStart,
+      penaltyTime: this.penaltyTime,
+      lastLapTime: this.lastLapTime,
+      bestLapTime: this.bestLapTime,
+      sectorTimes: [...this.sectorTimes],
+      bestSectorTimes: [...this.bestSectorTimes],
+      lapTimes: this.lapTimes.map(l => ({ ...l, sectors: [...l.sectors] })),
+      retired: this.retired,
+      retireReason: this.retireReason,
+      damage: this.damage,
+      engineHeat: this.engineHeat,
+      engineIssue: this.engineIssue,
       fuel: this.fuel,
+      startingFuel: this.startingFuel,
       tires: this.tires,
-      speed: this.currentSpeed
+      tireCompound: this.tireCompound,
+      speed: this.currentSpeed,
+      slipstream: this.slipstream,
+      offTrack: this.offTrack,
+      racecraft: this.racecraft,
+      overtakes: this.overtakes,
+      blueFlagFor: this.blueFlagFor,
+      pitRequested: this.pitRequested,
+      pitPhase: this.pitPhase,
+      pitStops: this.pitStops
     };
   }
 }
@@ -0,0 +1,94 @@
+/**
+ * Bike setup helpers.
+ * Turn a setup (clicks of gearing, downforce and steering lock, see
+ * BIKE_SETUP) into a custom archetype that the physics engine uses exactly
+ * like the built-in BIKE_ARCHETYPES.
+ * @module core/bikeSetup
+ */
+
+import { BIKE_SETUP, BIKE_SETUP_KEYS, DEFAULT_BIKE_SETUP } from '../config/constants.js';
+
+/**
+ * Budget points a setup spends: one per click away from the base bike.
+ *
+ * @param {Object} setup - Clicks per setting (missing settings are 0)
+ * @returns {number} Points spent
+ */
+export function getSetupCost(setup) {
+    return BIKE_SETUP_KEYS.reduce((cost, key) => cost + Math.abs(setup[key] || 0), 0);
+}
+
+/**
+ * Checks a setup against the setting ranges and the budget.
+ *
+ * @param {Object} setup - Clicks per setting
+ * @returns {Object} The setup with every setting filled in
+ * @throws {Error} On an unknown setting, a value out of range or over budget
+ *
+ * @example
+ * validateSetup({ gearing: 2, downforce: -1 });
+ * // { gearing: 2, downforce: -1, steeringLock: 0 }
+ */
+export function validateSetup(setup) {
+    for (const key of Object.keys(setup)) {
+        if (!BIKE_SETUP.settings[key]) {
+            throw new Error(`Unknown bike setup setting '${key}'`);
+        }
+    }
+
+    const full = { ...DEFAULT_BIKE_SETUP, ...setup };
+    for (const key of BIKE_SETUP_KEYS) {
+        const { min, max } = BIKE_SETUP.settings[key];
+        if (!Number.isInteger(full[key]) || full[key] < min || full[key] > max) {
+            throw new Error(`Bike setup '${key}' must be a whole number from ${min} to ${max}, got ${full[key]}`);
+        }
+    }
+
+    const cost = getSetupCost(full);
+    if (cost > BIKE_SETUP.budget) {
+        throw new Error(`Bike setup costs ${cost} points, over the budget of ${BIKE_SETUP.budget}`);
+    }
+
+    return full;
+}
+
+/**
+ * Builds the archetype for a setup: the base bike plus each setting's
+ * effects per click.
+ *
+ * @param {Object} setup - Clicks per setting (validated first)
+ * @param {string} [name='Custom'] - Archetype display name
+ * @returns {Object} Archetype with the same fields as a BIKE_ARCHETYPES entry, plus the setup
+ */
+export function buildSetupArchetype(setup, name = 'Custom') {
+    const full = validateSetup(setup);
+    const archetype = {
+        name,
+        icon: '🔧',
+        description: describeSetup(full),
+        ...BIKE_SETUP.base,
+        setup: full
+    };
+
+    for (const key of BIKE_SETUP_KEYS) {
+        const effects = BIKE_SETUP.settings[key].effects;
+        for (const field in effects) {
+            archetype[field] = Math.round((archetype[field] + effects[field] * full[key]) * 1000) / 1000;
+        }
+    }
+
+    return archetype;
+}
+
+/**
+ * Short description of a setup, e.g. "Desarrollo +2 · Carga aerodinámica -1".
+ *
+ * @param {Object} setup - Clicks per setting
+ * @returns {string} Changed settings, or "Base" when nothing is changed
+ */
+export function describeSetup(setup) {
+    const changed = BIKE_SETUP_KEYS
+        .filter(key => setup[key])
+        .map(key => `${BIKE_SETUP.settings[key].name} ${setup[key] > 0 ? '+' : ''}${setup[key]}`);
+    return changed.length > 0 ? changed.join(' · ') : 'Base';
+}
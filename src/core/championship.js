@@ -0,0 +1,276 @@
+/**
+ * Championship season.
+ * Chains races over a list of tracks, scores each finishing order with a
+ * points system (see POINTS_SYSTEMS) and keeps the driver and team
+ * standings between rounds. Shared by the game and the headless simulator.
+ * @module core/championship
+ */
+
+import { sortByRacePosition, getFastestLap } from './standings.js';
+import { AVAILABLE_TRACKS } from '../config/tracks.js';
+import { POINTS_SYSTEMS, DEFAULT_POINTS_SYSTEM, RACER_ROSTER, TEAMS } from '../config/constants.js';
+
+/**
+ * Turns a points system key or definition into a checked points system.
+ *
+ * @param {string|Object} system - Key of POINTS_SYSTEMS, or { name, points, fastestLap }
+ * @returns {{name: string, points: Array<number>, fastestLap: number}} Points system
+ * @throws {Error} On an unknown key or a malformed definition
+ *
+ * @example
+ * resolvePointsSystem({ points: [10, 8, 6, 5, 4, 3, 2, 1] });
+ * // { name: 'Custom', points: [10, 8, 6, 5, 4, 3, 2, 1], fastestLap: 0 }
+ */
+export function resolvePointsSystem(system) {
+    if (typeof system === 'string') {
+        if (!POINTS_SYSTEMS[system]) {
+            throw new Error(`Unknown points system '${system}'`);
+        }
+        return { ...POINTS_SYSTEMS[system], points: [...POINTS_SYSTEMS[system].points] };
+    }
+
+    const points = system && system.points;
+    if (!Array.isArray(points) || points.length === 0 ||
+        points.some(p => !Number.isFinite(p) || p < 0)) {
+        throw new Error('A points system needs a list of points for the finishing positions');
+    }
+    const fastestLap = system.fastestLap || 0;
+    if (!Number.isFinite(fastestLap) || fastestLap < 0) {
+        throw new Error(`Fastest lap bonus must be a number of points, got ${system.fastestLap}`);
+    }
+    return { name: system.name || 'Custom', points: [...points], fastestLap };
+}
+
+/**
+ * Orders standings entries by points, then by countback: most wins, then
+ * most second places and so on, then by name.
+ *
+ * @param {Object} a - First entry ({ name, points, finishes })
+ * @param {Object} b - Second entry
+ * @returns {number} Negative if a ranks higher
+ */
+function compareStandings(a, b) {
+    if (a.points !== b.points) {
+        return b.points - a.points;
+    }
+    const places = Math.max(a.finishes.length, b.finishes.length);
+    for (let i = 0; i < places; i++) {
+        const diff = (b.finishes[i] || 0) - (a.finishes[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return a.name.localeCompare(b.name);
+}
+
+/**
+ * A season of rounds, one per track.
+ *
+ * @example
+ * const season = new Championship({ pointsSystem: 'f1' });
+ * season.recordRace(session.racers);   // after each race
+ * season.getDriverStandings()[0];       // { name, team, points, wins, ... }
+ */
+export class Championship {
+    /**
+     * @param {Object} [options] - Season options
+     * @param {Array<string>} [options.tracks] - Track IDs, one round each, in order (default: every track)
+     * @param {string|Object} [options.pointsSystem='motogp'] - Key of POINTS_SYSTEMS or a custom
+     *        { name, points, fastestLap } definition
+     * @param {Array<Object>} [options.roster] - Riders ({ name, team }) scored for their team (default: RACER_ROSTER)
+     */
+    constructor(options = {}) {
+        this.tracks = options.tracks ? [...options.tracks] : AVAILABLE_TRACKS.map(t => t.id);
+        if (this.tracks.length === 0) {
+            throw new Error('A championship needs at least one track');
+        }
+        for (const trackId of this.tracks) {
+            if (!AVAILABLE_TRACKS.some(t => t.id === trackId)) {
+                throw new Error(`Unknown track '${trackId}'`);
+            }
+        }
+        this.pointsSystem = resolvePointsSystem(options.pointsSystem || DEFAULT_POINTS_SYSTEM);
+
+        this.riderTeams = {};
+        for (const rider of options.roster || RACER_ROSTER) {
+            this.riderTeams[rider.name] = rider.team || null;
+        }
+
+        this.rounds = []; // Completed rounds, in order
+    }
+
+    /**
+     * @returns {number} Number of the next round to race (1-based; past the end once complete)
+     */
+    getRoundNumber() {
+        return this.rounds.length + 1;
+    }
+
+    /**
+     * @returns {string|null} Track of the next round, or null once the season is over
+     */
+    getCurrentTrack() {
+        return this.tracks[this.rounds.length] || null;
+    }
+
+    /**
+     * @returns {boolean} Whether every round has been raced
+     */
+    isComplete() {
+        return this.rounds.length >= this.tracks.length;
+    }
+
+    /**
+     * Scores a finished race as the next round.
+     *
+     * @param {Array<Object>} racers - The race's racers (name, finished, retired, finishTime, lapTimes...)
+     * @returns {Object} The round: { round, track, results: [{ name, team, position, retired, points }], fastestLap }
+     * @throws {Error} When the season is already over
+     */
+    recordRace(racers) {
+        if (this.isComplete()) {
+            throw new Error('The championship is already over');
+        }
+
+        const { points, fastestLap: fastestLapBonus } = this.pointsSystem;
+        const fastestLap = getFastestLap(racers);
+        const results = sortByRacePosition(racers).map((racer, i) => ({
+            name: racer.name,
+            team: this.riderTeams[racer.name] || null,
+            position: i + 1,
+            retired: Boolean(racer.retired),
+            points: racer.retired ? 0 : (points[i] || 0)
+        }));
+
+        // Fastest lap bonus, only for a holder who scored
+        if (fastestLap && fastestLapBonus > 0) {
+            const holder = results.find(r => r.name === fastestLap.racer.name);
+            if (holder && holder.points > 0) {
+                holder.points += fastestLapBonus;
+            }
+        }
+
+        const round = {
+            round: this.rounds.length + 1,
+            track: this.getCurrentTrack(),
+            results,
+            fastestLap: fastestLap ? { name: fastestLap.racer.name, time: fastestLap.time } : null
+        };
+        this.rounds.push(round);
+        return round;
+    }
+
+    /**
+     * Driver standings after the rounds raced so far.
+     * Every roster rider is listed, even before scoring.
+     *
+     * @returns {Array<Object>} Leader first: { name, team, points, wins, podiums, retirements,
+     *          finishes (count per position, index 0 = wins), results (points per round) }
+     */
+    getDriverStandings() {
+        const drivers = new Map();
+        const entry = (name) => {
+            if (!drivers.has(name)) {
+                drivers.set(name, {
+                    name,
+                    team: this.riderTeams[name] || null,
+                    points: 0,
+                    wins: 0,
+                    podiums: 0,
+                    retirements: 0,
+                    finishes: [],
+                    results: this.rounds.map(() => null)
+                });
+            }
+            return drivers.get(name);
+        };
+        Object.keys(this.riderTeams).forEach(entry);
+
+        this.rounds.forEach((round, roundIndex) => {
+            for (const result of round.results) {
+                const driver = entry(result.name);
+                driver.points += result.points;
+                driver.results[roundIndex] = result.points;
+                if (result.retired) {
+                    driver.retirements++;
+                    continue;
+                }
+                driver.finishes[result.position - 1] = (driver.finishes[result.position - 1] || 0) + 1;
+                if (result.position === 1) {
+                    driver.wins++;
+                }
+                if (result.position <= 3) {
+                    driver.podiums++;
+                }
+            }
+        });
+
+        return [...drivers.values()].sort(compareStandings);
+    }
+
+    /**
+     * Team standings: each team scores the points of all its riders.
+     *
+     * @returns {Array<Object>} Leader first: { id, name, color, points, wins, riders, finishes }
+     */
+    getTeamStandings() {
+        const teams = new Map();
+        for (const driver of this.getDriverStandings()) {
+            if (!driver.team) {
+                continue;
+            }
+            if (!teams.has(driver.team)) {
+                const info = TEAMS[driver.team] || { name: driver.team, color: '#64748b' };
+                teams.set(driver.team, {
+                    id: driver.team,
+                    name: info.name,
+                    color: info.color,
+                    points: 0,
+                    wins: 0,
+                    riders: [],
+                    finishes: []
+                });
+            }
+            const team = teams.get(driver.team);
+            team.points += driver.points;
+            team.wins += driver.wins;
+            team.riders.push(driver.name);
+            driver.finishes.forEach((count, i) => {
+                team.finishes[i] = (team.finishes[i] || 0) + (count || 0);
+            });
+        }
+
+        return [...teams.values()].sort(compareStandings);
+    }
+
+    /**
+     * @returns {Object} Plain data to store (see Championship.fromJSON)
+     */
+    toJSON() {
+        return {
+            tracks: [...this.tracks],
+            pointsSystem: { ...this.pointsSystem },
+            rounds: this.rounds
+        };
+    }
+
+    /**
+     * Restores a season saved with toJSON().
+     *
+     * @param {Object} data - Saved season
+     * @param {Array<Object>} [roster] - Riders, as for the constructor
+     * @returns {Championship} The season, with its rounds
+     * @throws {Error} When the data is not a valid season
+     */
+    static fromJSON(data, roster) {
+        if (!data || !Array.isArray(data.rounds)) {
+            throw new Error('Saved championship has no rounds');
+        }
+        const championship = new Championship({ tracks: data.tracks, pointsSystem: data.pointsSystem, roster });
+        if (data.rounds.length > championship.tracks.length) {
+            throw new Error(`Saved championship has ${data.rounds.length} rounds for ${championship.tracks.length} tracks`);
+        }
+        championship.rounds = data.rounds;
+        return championship;
+    }
+}
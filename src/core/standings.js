@@ -0,0 +1,94 @@
+/**
+ * Race standings helpers.
+ * Single source of truth for ordering racers, shared by the scoreboard,
+ * the HUD and the headless simulator.
+ * @module core/standings
+ */
+
+/**
+ * Compares two racers by race position (for Array.prototype.sort).
+ * Finished racers come first, ordered by their race-clock finish time, so a
+ * photo finish inside one frame goes to whoever crossed the line first.
+ * Racers still running are ordered by progress (laps + fraction of lap).
+ * Retired racers (DNF) are classified last, by how far they got.
+ *
+ * @param {Object} a - First racer
+ * @param {Object} b - Second racer
+ * @returns {number} Negative if a is ahead, positive if b is ahead
+ */
+export function compareRacePositions(a, b) {
+    if (a.finished && b.finished) {
+        return (a.finishTime - b.finishTime) || (a.id - b.id);
+    }
+    if (a.finished !== b.finished) {
+        return a.finished ? -1 : 1;
+    }
+    if (Boolean(a.retired) !== Boolean(b.retired)) {
+        return a.retired ? 1 : -1;
+    }
+    return b.progress - a.progress;
+}
+
+/**
+ * Returns a new array of racers sorted by race position.
+ *
+ * @param {Array} racers - Racers to sort (not modified)
+ * @returns {Array} Racers from leader to last place
+ */
+export function sortByRacePosition(racers) {
+    return [...racers].sort(compareRacePositions);
+}
+
+/**
+ * Number of whole laps a running racer is behind the leader.
+ * Once the leader has finished, the gap is measured to the finish line.
+ *
+ * @param {Object} racer - Racer to check
+ * @param {Object} leader - Race leader (first in sortByRacePosition)
+ * @returns {number} Laps down (0 when on the lead lap, finished or retired)
+ */
+export function getLapsDown(racer, leader) {
+    if (!leader || racer === leader || racer.finished || racer.retired) {
+        return 0;
+    }
+    const leaderProgress = leader.finished ? leader.lap : leader.progress;
+    return Math.max(0, Math.floor(leaderProgress - racer.progress));
+}
+
+/**
+ * Finds the fastest lap of the race so far.
+ * Ties go to whoever set the time first.
+ *
+ * @param {Array} racers - Racers to search
+ * @returns {{racer: Object, time: number, lap: number, setAt: number}|null} Fastest lap holder, or null before any lap is complete
+ */
+export function getFastestLap(racers) {
+    let fastest = null;
+    for (const racer of racers) {
+        for (const lap of racer.lapTimes || []) {
+            if (!fastest || lap.time < fastest.time ||
+                (lap.time === fastest.time && lap.setAt < fastest.setAt)) {
+                fastest = { racer, time: lap.time, lap: lap.lap, setAt: lap.setAt };
+            }
+        }
+    }
+    return fastest;
+}
+
+/**
+ * Best time in each sector across all racers.
+ *
+ * @param {Array} racers - Racers to search
+ * @returns {Array<number>} Fastest split per sector (undefined where nobody has completed it)
+ */
+export function getBestSectorTimes(racers) {
+    const best = [];
+    for (const racer of racers) {
+        (racer.bestSectorTimes || []).forEach((time, i) => {
+            if (best[i] === undefined || time < best[i]) {
+                best[i] = time;
+            }
+        });
+    }
+    return best;
+}
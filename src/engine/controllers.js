@@ -0,0 +1,123 @@
+/**
+ * Racer Controllers
+ * Decide what a rider wants to do; the physics engine applies it.
+ *
+ * Every racer carries a controller. Once per frame, after the overtaking
+ * decisions and before the physics update, the controller's decide() returns
+ * an intent (see PhysicsEngine.updateControllers):
+ *
+ *   throttle - 0 to 1, the share of the bike's top speed to aim for. Braking
+ *              for corners and behind a pace vehicle still applies.
+ *   steer    - -1 to 1, a share of full steering lock (positive turns right),
+ *              or null to follow the line the rider has chosen
+ *   lane     - offset from the racing line in pixels to steer for (positive is
+ *              the right-hand side), or null to keep the line picked by
+ *              racecraft and blue flags
+ *   params   - racing params to change ({ engineMap, tireAggression, risk },
+ *              any subset), or null to keep them
+ *
+ * Fields that are left out fall back to DEFAULT_INTENT, which is the built-in
+ * driving. Pit stops, overtaking moves and the strategy AI work the same for
+ * every controller, so a scripted bot only has to override what it wants to.
+ *
+ * @module engine/controllers
+ */
+
+/**
+ * Intent that leaves everything to the built-in driving
+ */
+export const DEFAULT_INTENT = Object.freeze({ throttle: 1, steer: null, lane: null, params: null });
+
+/**
+ * Default AI rider: follows the racing line flat out and keeps its params
+ * (the strategy AI, when enabled, changes them; see StrategyAI)
+ */
+export class AIController {
+  constructor() {
+    this.type = 'ai';
+    this.name = 'AI';
+  }
+
+  /**
+   * @returns {Object} The rider's intent for this frame
+   */
+  decide() {
+    return DEFAULT_INTENT;
+  }
+}
+
+/**
+ * Player rider: drives like the AI, with params set from the controls panel.
+ * Changes are queued and take effect on the next simulated frame.
+ *
+ * @example
+ * racer.controller.setParams({ engineMap: 80 });
+ */
+export class PlayerController {
+  constructor() {
+    this.type = 'player';
+    this.name = 'Player';
+    this.pendingParams = null;
+  }
+
+  /**
+   * Queue a change of racing params
+   *
+   * @param {Object} params - Params to change ({ engineMap, tireAggression, risk }, any subset)
+   */
+  setParams(params) {
+    this.pendingParams = { ...this.pendingParams, ...params };
+  }
+
+  /**
+   * @returns {Object} The rider's intent for this frame
+   */
+  decide() {
+    if (!this.pendingParams) {
+      return DEFAULT_INTENT;
+    }
+    const params = this.pendingParams;
+    this.pendingParams = null;
+    return { ...DEFAULT_INTENT, params };
+  }
+}
+
+/**
+ * Rider driven by a script: a function, or an object with a decide() method
+ * and an optional name, called as decide(racer, view) every frame.
+ * The racer must be treated as read-only; the view holds the rest of the race
+ * (see PhysicsEngine.updateControllers). The same script may drive several
+ * riders, so any state it keeps should be keyed by racer.id.
+ *
+ * @example
+ * // Short-shift to save fuel while leading
+ * new ScriptedController((racer, view) => ({
+ *   throttle: view.order[0] === racer ? 0.95 : 1
+ * }), 'Saver');
+ */
+export class ScriptedController {
+  /**
+   * @param {Function|{decide: Function, name?: string}} script - Decision function
+   * @param {string} [name] - Display name (defaults to the script's name)
+   */
+  constructor(script, name) {
+    const decide = typeof script === 'function' ? script : script && script.decide;
+    if (typeof decide !== 'function') {
+      throw new Error('Scripted controller needs a decide(racer, view) function');
+    }
+
+    this.type = 'scripted';
+    this.name = name || script.name || 'Script';
+    this.script = script;
+    this.decideFn = decide;
+  }
+
+  /**
+   * @param {Racer} racer - Rider being controlled
+   * @param {Object} view - Race state for this frame
+   * @returns {Object} The rider's intent for this frame
+   */
+  decide(racer, view) {
+    return { ...DEFAULT_INTENT, ...this.decideFn.call(this.script, racer, view) };
+  }
+}
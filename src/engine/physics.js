@@ -7,10 +7,271 @@
  */
 
 import { GAME_CONFIG } from '../config/gameConfig.js';
+import { SURFACE_TYPES } from '../config/constants.js';
+import { measurePolyline, pointAtDistance, nearestPoint } from '../math/polyline.js';
+import { buildTrackBoundaries, getPathNormal } from '../math/trackBoundaries.js';
+import { computeCurvature, buildSpeedProfile } from '../math/speedProfile.js';
+import { findNearbyPairs } from '../math/spatialGrid.js';
+import { sortByRacePosition } from '../core/standings.js';
+import { DEFAULT_INTENT } from './controllers.js';
 
 export class PhysicsEngine {
-  constructor(config = GAME_CONFIG) {
+  /**
+   * @param {Object} [config=GAME_CONFIG] - Physics configuration
+   * @param {Function} [random=Math.random] - Random source for speed variation and steering noise
+   */
+  constructor(config = GAME_CONFIG, random = Math.random) {
     this.config = config;
+    this.random = random;
+    this.pitLane = null;
+    this.pitJunctions = null;
+    this.junctionPath = null;
+    this.weather = null;
+    this.trackWidth = null;
+    this.boundaries = null;
+    this.boundaryPath = null;
+    this.curvature = null;
+    this.speedProfiles = new Map();
+    this.profilePath = null;
+    this.pathSpacing = 0;
+    this.spacingPath = null;
+    this.sectors = [0];
+    this.surfaceZones = [];
+    this.surfaceMap = null;
+    this.surfacePath = null;
+    this.overtakingAllowed = true; // Off while the field follows a pace vehicle
+  }
+
+  /**
+   * Average distance between racing line points, remeasured whenever the line
+   * changes. The line is resampled evenly (see generateRacingLineFromNodes),
+   * so this converts pixel distances into point counts.
+   *
+   * @param {Array} racingPath - Array of path points
+   * @returns {number} Pixels per path point
+   */
+  getPathSpacing(racingPath) {
+    if (this.spacingPath !== racingPath) {
+      const lengths = measurePolyline([...racingPath, racingPath[0]]);
+      this.pathSpacing = lengths[lengths.length - 1] / racingPath.length || 1;
+      this.spacingPath = racingPath;
+    }
+    return this.pathSpacing;
+  }
+
+  /**
+   * Number of racing line points covering a distance
+   *
+   * @param {Array} racingPath - Array of path points
+   * @param {number} distance - Distance along the line in pixels
+   * @returns {number} Point count (at least 1)
+   */
+  pointsForDistance(racingPath, distance) {
+    return Math.max(1, Math.round(distance / this.getPathSpacing(racingPath)));
+  }
+
+  /**
+   * Set the track width profile used for track limits (null disables them)
+   *
+   * @param {Object|null} trackWidth - Width profile from getTrackWidth()
+   */
+  setTrackWidth(trackWidth) {
+    this.trackWidth = trackWidth;
+    this.boundaries = null;
+    this.boundaryPath = null;
+  }
+
+  /**
+   * Track edges around a racing line, rebuilt whenever the line changes
+   * (e.g. after editing it in the track editor)
+   *
+   * @param {Array} racingPath - Array of path points
+   * @returns {Object|null} Boundaries from buildTrackBoundaries(), or null without a width profile
+   */
+  getTrackBoundaries(racingPath) {
+    if (!this.trackWidth || racingPath.length < 3) {
+      return null;
+    }
+    if (this.boundaryPath !== racingPath) {
+      this.boundaries = buildTrackBoundaries(racingPath, this.trackWidth);
+      this.boundaryPath = racingPath;
+    }
+    return this.boundaries;
+  }
+
+  /**
+   * Set the weather system that drives track wetness (null for a permanently dry track)
+   *
+   * @param {WeatherSystem|null} weather - Weather system for the session
+   */
+  setWeather(weather) {
+    this.weather = weather;
+  }
+
+  /**
+   * Current track wetness
+   *
+   * @returns {number} 0 (dry) to 1 (full rain)
+   */
+  getWetness() {
+    return this.weather ? this.weather.wetness : 0;
+  }
+
+  /**
+   * Effective grip bonus of a compound for the current conditions
+   *
+   * @param {Object} compound - Tyre compound configuration
+   * @returns {number} Bonus added to the archetype corneringMultiplier
+   */
+  getCompoundGrip(compound) {
+    const wetness = this.getWetness();
+    return compound.gripBonus + (compound.wetGrip - compound.gripBonus) * wetness;
+  }
+
+  /**
+   * Set the pit lane for the current track (null for tracks without one)
+   *
+   * @param {Object|null} pitLane - Pit lane definition from getPitLane()
+   */
+  setPitLane(pitLane) {
+    this.pitJunctions = null;
+    this.junctionPath = null;
+    if (!pitLane) {
+      this.pitLane = null;
+      return;
+    }
+
+    const lengths = measurePolyline(pitLane.path);
+    const length = lengths[lengths.length - 1];
+    this.pitLane = {
+      ...pitLane,
+      lengths,
+      length,
+      boxDistances: pitLane.boxes.map(b => b * length)
+    };
+  }
+
+  /**
+   * Lap fractions where the pit lane leaves and rejoins the racing line (the
+   * line points nearest the two ends of the lane path), found again whenever
+   * the line changes. If an edited line no longer reaches the lane, the last
+   * junctions that did are kept.
+   *
+   * @param {Array} racingPath - Array of path points
+   * @returns {Object|null} { entry, exit, crossesLine }, or null while the pit lane is unusable
+   */
+  getPitLaneJunctions(racingPath) {
+    if (!this.pitLane) {
+      return null;
+    }
+    if (this.junctionPath !== racingPath) {
+      this.junctionPath = racingPath;
+      const path = this.pitLane.path;
+      const entry = nearestPoint(racingPath, path[0]);
+      const exit = nearestPoint(racingPath, path[path.length - 1]);
+      const tolerance = this.config.pitLaneJunctionTolerance;
+      if (entry.distance > tolerance || exit.distance > tolerance) {
+        console.warn(`Pit lane does not meet the racing line (${Math.round(Math.max(entry.distance, exit.distance))}px off), ` +
+                     (this.pitJunctions ? 'keeping its previous entry and exit' : 'pit stops unavailable'));
+      } else {
+        this.pitJunctions = {
+          entry: entry.index / racingPath.length,
+          exit: exit.index / racingPath.length,
+          crossesLine: exit.index < entry.index
+        };
+      }
+    }
+    return this.pitJunctions;
+  }
+
+  /**
+   * Set the timing sectors for the current track
+   *
+   * @param {Array<number>|null} sectors - Sector start lap fractions from getSectors() (null for one sector)
+   */
+  setSectors(sectors) {
+    this.sectors = sectors && sectors.length > 0 ? sectors : [0];
+  }
+
+  /**
+   * Set the surface zones for the current track
+   *
+   * @param {Array<Object>|null} zones - Zones from getSurfaceZones() (null for a uniform surface)
+   */
+  setSurfaceZones(zones) {
+    this.surfaceZones = zones || [];
+    this.surfaceMap = null;
+    this.surfacePath = null;
+    this.speedProfiles = new Map();
+  }
+
+  /**
+   * Surface at every racing line point, rebuilt whenever the line changes
+   *
+   * @param {Array} racingPath - Array of path points
+   * @returns {Array<Object|null>} SURFACE_TYPES entry per point (null for plain asphalt)
+   */
+  getSurfaceMap(racingPath) {
+    if (this.surfacePath !== racingPath) {
+      const n = racingPath.length;
+      this.surfaceMap = new Array(n).fill(null);
+      for (const zone of this.surfaceZones) {
+        const surface = SURFACE_TYPES[zone.surface];
+        if (!surface) {
+          continue;
+        }
+        for (let i = 0; i < n; i++) {
+          const f = i / n;
+          const inside = zone.from <= zone.to ? f >= zone.from && f < zone.to : f >= zone.from || f < zone.to;
+          if (inside) {
+            this.surfaceMap[i] = surface;
+          }
+        }
+      }
+      this.surfacePath = racingPath;
+    }
+    return this.surfaceMap;
+  }
+
+  /**
+   * Curvature of the racing line, recomputed whenever the line changes
+   *
+   * @param {Array} racingPath - Array of path points
+   * @returns {Array<number>} Signed curvature per path point
+   */
+  getCurvature(racingPath) {
+    if (this.profilePath !== racingPath) {
+      this.curvature = computeCurvature(racingPath, this.config.curvatureWindow);
+      this.speedProfiles = new Map();
+      this.profilePath = racingPath;
+    }
+    return this.curvature;
+  }
+
+  /**
+   * Target speed profile for a given cornering grip (archetype cornering
+   * multiplier adjusted for tyres, weather and dirty air), with the grip of
+   * each surface zone applied where it lies. Profiles are cached per grip
+   * level, rounded to keep the cache small.
+   *
+   * @param {Array} racingPath - Array of path points
+   * @param {number} grip - Cornering grip multiplier (1 = neutral bike)
+   * @returns {Array<number>} Target speed per path point
+   */
+  getSpeedProfile(racingPath, grip) {
+    const curvature = this.getCurvature(racingPath);
+    const key = Math.round(Math.max(0.1, grip) * 50) / 50;
+    let profile = this.speedProfiles.get(key);
+    if (!profile) {
+      const lateralGrip = this.config.cornerLateralGrip * key;
+      profile = buildSpeedProfile(racingPath, curvature, {
+        lateralGrip: this.getSurfaceMap(racingPath).map(surface => (surface ? lateralGrip * surface.grip : lateralGrip)),
+        braking: this.config.cornerBraking,
+        maxSpeed: this.config.velocity * 2
+      });
+      this.speedProfiles.set(key, profile);
+    }
+    return profile;
   }
 
   /**
@@ -22,16 +283,27 @@ export class PhysicsEngine {
    * @param {number} totalLaps - Total laps in the race
    */
   updateRacer(racer, racingPath, frameCount, totalLaps) {
-    // Pre-race delay
-    if (frameCount < this.config.startDelayFrames) {
+    if (frameCount >= this.config.startDelayFrames && racer.state === 'waiting') {
+      racer.state = 'racing';
+    }
+
+    // Held on the grid until the racer's launch (set by the start procedure:
+    // a reaction time after lights out, or earlier for a jump or rolling start)
+    if (frameCount < this.config.startDelayFrames + racer.launchDelay) {
       racer.currentSpeed = 0;
       return;
     }
 
-    // Individual launch delay
-    if (frameCount < this.config.startDelayFrames + racer.launchDelay) {
+    // Retired racers stay where they stopped
+    if (racer.retired) {
       return;
     }
+    if (racer.contactCooldown > 0) {
+      racer.contactCooldown--;
+    }
+
+    // Surface under the bike (kerbs, bumps, low-grip patches; the pit lane is plain asphalt)
+    const surface = racer.pitPhase ? null : this.getSurfaceMap(racingPath)[racer.pathIndex];
 
     // Fuel and tire drain (only if not finished)
     if (!racer.finished) {
@@ -39,50 +311,203 @@ export class PhysicsEngine {
                      this.config.fuelDrainEngineMultiplier * (racer.params.engineMap / 100);
       racer.fuel = Math.max(0, racer.fuel - racer.currentSpeed * fDrain);
 
-      const tWear = this.config.tireDrainBase +
-                    this.config.tireDrainTireMultiplier * (racer.params.tireAggression / 100);
+      // Compound wear curve: faster base wear for softer rubber, accelerating as the tyre ages
+      const compound = racer.getTireCompound();
+      const weatherWear = 1 + (compound.wetWearFactor - 1) * this.getWetness();
+      const tWear = (this.config.tireDrainBase +
+                    this.config.tireDrainTireMultiplier * (racer.params.tireAggression / 100)) *
+                    compound.wearRate * (1 + compound.wearCurve * (1 - racer.tires / 100)) * weatherWear *
+                    (surface ? surface.tireWear : 1) *
+                    (1 - this.config.driverTyreEffect * racer.getSkill('tyreManagement'));
       racer.tires = Math.max(0, racer.tires - racer.currentSpeed * tWear);
+
+      // Engine heat and failures
+      this.updateReliability(racer, frameCount);
+      if (racer.retired) {
+        return;
+      }
     }
 
-    // Calculate speed multiplier
-    let speedMult = this.calculateSpeedMultiplier(racer);
+    // Pit lane movement replaces normal driving until the racer rejoins
+    if (racer.pitPhase) {
+      this.updatePitLane(racer, racingPath, frameCount);
+      return;
+    }
+
+    // Engine, tyre and fuel load effects
+    const speedMult = this.calculateSpeedMultiplier(racer);
 
     // Get bike archetype multipliers
     const archetype = racer.getBikeArchetype();
     const topSpeedMult = archetype ? archetype.topSpeedMultiplier : 1.0;
     const accelMult = archetype ? archetype.accelerationMultiplier : 1.0;
-    const cornerMult = archetype ? archetype.corneringMultiplier : 1.0;
+    const gripBonus = this.getCompoundGrip(racer.getTireCompound());
+    const cornerMult = (archetype ? archetype.corneringMultiplier : 1.0) + gripBonus;
     const steerMult = archetype ? archetype.maxSteerMultiplier : 1.0;
 
-    // Calculate target speed with bike archetype bonus
-    const maxSpeed = this.config.velocity * speedMult * topSpeedMult;
+    // Calculate target speed with bike archetype bonus (lower in the wet, higher in a tow)
+    const weatherSpeedMult = 1 - this.config.weatherTopSpeedPenalty * this.getWetness();
+    const paceSpeedMult = 1 + this.config.driverPaceEffect * racer.getSkill('pace');
+    const slipstream = racer.slipstream;
+    const towSpeedMult = 1 + this.config.slipstreamTopSpeedBonus * slipstream;
+    const damageSpeedMult = 1 - this.config.damageTopSpeedPenalty * (racer.damage / 100);
+    const blueFlagSpeedMult = racer.blueFlagFor !== null ? this.config.blueFlagSpeedFactor : 1;
+    const surfaceSpeedMult = surface ? surface.topSpeed : 1;
+    const maxSpeed = this.config.velocity * speedMult.speed * topSpeedMult * weatherSpeedMult * towSpeedMult *
+                     damageSpeedMult * blueFlagSpeedMult * surfaceSpeedMult * paceSpeedMult;
 
-    // Acceleration/deceleration logic with archetype multiplier
-    const launchAccel = racer.launchAccel * accelMult;
-    const normalAccel = this.config.normalAcceleration * accelMult;
+    // Acceleration/deceleration logic with archetype multiplier (a heavy tank pulls slower)
+    const launchAccel = racer.launchAccel * accelMult * speedMult.acceleration;
+    const normalAccel = this.config.normalAcceleration * accelMult * speedMult.acceleration *
+                        (1 + this.config.slipstreamAccelBonus * slipstream);
 
-    if (racer.currentSpeed < maxSpeed) {
+    // Corner speed from the precomputed profile (braking zones included), so
+    // riders brake before a corner. Better cornering bikes carry more speed;
+    // fuel weight, a wet track (less so for a good wet rider) and the dirty air
+    // behind another bike take grip away
+    const wetGripLoss = this.config.weatherCornerPenalty * this.getWetness() *
+                        (1 - this.config.driverWetEffect * racer.getSkill('wetSkill'));
+    const cornerGrip = cornerMult * speedMult.cornering /
+                       ((1 + wetGripLoss) *
+                        (1 + this.config.dirtyAirCornerPenalty * slipstream));
+    const cornerLimit = this.getSpeedProfile(racingPath, cornerGrip)[racer.pathIndex];
+
+    // Behind a pace vehicle its speed is a hard limit, braked for like a corner.
+    // Below full throttle the controller aims for a share of the top speed
+    const intent = racer.intent || DEFAULT_INTENT;
+    const brakeLimit = racer.speedLimit !== null ? Math.min(cornerLimit, racer.speedLimit) : cornerLimit;
+    const throttleSpeed = maxSpeed * intent.throttle;
+    const targetSpeed = Math.min(throttleSpeed, brakeLimit);
+
+    if (racer.currentSpeed < targetSpeed) {
       if (racer.currentSpeed < 0.5 && !racer.finished) {
         racer.currentSpeed += launchAccel;
       } else {
         racer.currentSpeed += normalAccel;
       }
+    } else if (racer.currentSpeed > brakeLimit) {
+      racer.currentSpeed = Math.max(brakeLimit, racer.currentSpeed - this.config.cornerBraking);
     } else {
       racer.currentSpeed -= this.config.deceleration;
-      if (racer.currentSpeed < maxSpeed) {
-        racer.currentSpeed = maxSpeed;
+      if (racer.currentSpeed < throttleSpeed) {
+        racer.currentSpeed = throttleSpeed;
       }
     }
 
-    // Path following and steering
+    // Move towards the chosen line (the controller's, or overtaking, defending or preferred)
     const path = racingPath;
-    const lookAhead = this.config.lookAheadDistance;
+    const targetLane = intent.lane !== null ? intent.lane : racer.targetLaneOffset;
+    const laneDelta = targetLane - racer.laneOffset;
+    const laneStep = this.config.laneChangeRate;
+    racer.laneOffset += Math.max(-laneStep, Math.min(laneStep, laneDelta));
+
+    // Apply archetype steering multiplier (a damaged bike has less steering lock)
+    const maxSteer = this.config.maxSteerAngle * steerMult *
+                     (1 - this.config.damageSteerPenalty * (racer.damage / 100));
+    const steer = intent.steer !== null
+      ? intent.steer * maxSteer
+      : this.getLineSteer(racer, path, frameCount, maxSteer);
+
+    // Apply steering with random noise (bumps and kerbs unsettle the bike, consistent riders less)
+    const steerNoise = this.config.steeringRandomNoise * (surface ? surface.steerNoise : 1) *
+                       (1 - this.config.driverConsistencyEffect * racer.getSkill('consistency'));
+    racer.angle += steer + (this.random() - 0.5) * steerNoise;
+
+    // Update position (keep the previous one for sub-frame line crossing)
+    const prevX = racer.x;
+    const prevY = racer.y;
+    racer.x += Math.cos(racer.angle) * racer.currentSpeed;
+    racer.y += Math.sin(racer.angle) * racer.currentSpeed;
+
+    // Update path index: the nearest point ahead within pathCheckDistance,
+    // searching up to pathCheckRange pixels along the line
+    const prevPathIndex = racer.pathIndex;
+    const range = this.pointsForDistance(path, this.config.pathCheckRange);
+    const wrapPoints = this.pointsForDistance(path, this.config.lapWrapDistance);
+    const nearLapEnd = racer.pathIndex > path.length - wrapPoints;
+    let bestIdx = -1;
+    let bestDist = this.config.pathCheckDistance;
+    for (let i = 1; i <= range; i++) {
+      const cIdx = (racer.pathIndex + i) % path.length;
+      const pt = path[cIdx];
+      const dist = Math.hypot(pt.x - racer.x, pt.y - racer.y);
+
+      // Crossing the lap line needs the racer to be close to the line itself
+      const wraps = nearLapEnd && cIdx < wrapPoints;
+      if (wraps && dist > this.config.lapWrapMinDistance) {
+        continue;
+      }
+
+      if (dist < bestDist) {
+        bestIdx = cIdx;
+        bestDist = dist;
+      } else if (bestIdx !== -1 && dist > this.config.pathCheckDistance) {
+        break; // Past the racer again
+      }
+    }
+
+    if (bestIdx !== -1) {
+      // Check for lap completion (crossing finish line)
+      if (nearLapEnd && bestIdx < wrapPoints && !racer.finished) {
+        // Lap and finish times on the race clock, interpolated to the exact crossing point
+        const crossing = this.getLineCrossingFraction(path, prevX, prevY, racer.x, racer.y);
+        const crossingTime = this.getRaceTime(frameCount - 1 + crossing);
+        racer.lap++;
+        racer.completeLap(crossingTime);
+        if (racer.lap >= totalLaps) {
+          racer.finish(crossingTime, totalLaps);
+        }
+      }
+      racer.pathIndex = bestIdx;
+    }
+
+    // Track limits: grass/gravel slows the bike until it rejoins
+    const boundaries = this.getTrackBoundaries(path);
+    if (boundaries) {
+      this.updateTrackLimits(racer, path, boundaries);
+      if (racer.offTrack) {
+        racer.currentSpeed = Math.min(racer.currentSpeed * (1 - this.config.offTrackDrag),
+          maxSpeed * this.config.offTrackSpeedFactor);
+        racer.tires = Math.max(0, racer.tires - this.config.offTrackTireWear);
+      }
+    }
+
+    // Pit decisions and pit lane entry
+    if (this.pitLane && !racer.finished) {
+      this.updatePitDecision(racer, totalLaps);
+      if (racer.pitRequested && this.isAtPitEntry(racer, prevPathIndex, path, totalLaps)) {
+        racer.pitPhase = 'entering';
+        racer.pitLaneDistance = 0;
+      }
+    }
+
+    // Update progress
+    if (!racer.finished) {
+      racer.progress = racer.lap + (racer.pathIndex / path.length);
+      this.updateSectorTiming(racer, frameCount);
+    }
+  }
+
+  /**
+   * Steering that follows the racer's line: aim at a point lookAheadDistance
+   * down the racing line, offset by the racer's lane (with a little wobble)
+   * and kept on the tarmac.
+   *
+   * @param {Object} racer - The racer object
+   * @param {Array} path - Array of path points
+   * @param {number} frameCount - Current frame count (wobble phase)
+   * @param {number} maxSteer - Steering lock this frame in radians
+   * @returns {number} Steering angle for this frame in radians
+   */
+  getLineSteer(racer, path, frameCount, maxSteer) {
+    const lookAhead = this.pointsForDistance(path, this.config.lookAheadDistance);
     const targetIdx = (racer.pathIndex + lookAhead) % path.length;
     const centerPt = path[targetIdx];
 
     // Calculate tangent for perpendicular offset
-    const nextPt = path[(targetIdx + 5) % path.length];
-    const prevPt = path[(targetIdx - 5 + path.length) % path.length];
+    const tangentSpan = this.pointsForDistance(path, this.config.steeringTangentDistance);
+    const nextPt = path[(targetIdx + tangentSpan) % path.length];
+    const prevPt = path[(targetIdx - tangentSpan + path.length) % path.length];
     let tx = nextPt.x - prevPt.x;
     let ty = nextPt.y - prevPt.y;
     const tLen = Math.hypot(tx, ty);
@@ -96,7 +521,15 @@ export class PhysicsEngine {
     // Apply lane offset with wobble
     const wobble = Math.sin(frameCount * this.config.wobbleFrequency + racer.wobblePhase) *
                    this.config.wobbleAmplitude;
-    const off = racer.laneOffset + wobble;
+    let off = racer.laneOffset + wobble;
+
+    // Keep the chosen line on the tarmac
+    const boundaries = this.getTrackBoundaries(path);
+    if (boundaries) {
+      const margin = this.config.trackEdgeMargin + this.config.racerRadius;
+      off = Math.max(-(boundaries.leftWidths[targetIdx] - margin),
+        Math.min(boundaries.rightWidths[targetIdx] - margin, off));
+    }
     const txPos = centerPt.x + px * off;
     const tyPos = centerPt.y + py * off;
 
@@ -109,34 +542,9 @@ export class PhysicsEngine {
     while (angDiff <= -Math.PI) angDiff += Math.PI * 2;
     while (angDiff > Math.PI) angDiff -= Math.PI * 2;
 
-    // Detect corner intensity (0 = straight, higher = sharper turn)
-    const cornerIntensity = Math.abs(angDiff);
-
-    // ANY direction change causes speed loss based on archetype
-    // Speeders lose MUCH more speed on turns, Turners barely affected
-    if (cornerIntensity > 0.02 && !racer.finished) {
-      // Speed penalty scales with turn sharpness and inversely with cornerMult
-      // Speeder (0.70): penalty factor = (1.5 - 0.70) = 0.8
-      // Accelerator (0.90): penalty factor = (1.5 - 0.90) = 0.6
-      // Turner (1.15): penalty factor = (1.5 - 1.15) = 0.35
-      const turnPenaltyFactor = Math.max(0, 1.5 - cornerMult);
-
-      // VERY strong penalty: intensity * factor * 0.8
-      // For a 0.3 rad turn (moderate): Speeder loses 0.3 * 0.8 * 0.8 = 19.2%
-      const speedPenalty = cornerIntensity * turnPenaltyFactor * 0.8;
-
-      // Apply penalty (minimum 60% speed to allow significant braking)
-      racer.currentSpeed *= Math.max(0.60, 1 - speedPenalty);
-
-      // Turners accelerate through turns (stronger bonus)
-      if (cornerMult > 1.0) {
-        racer.currentSpeed += normalAccel * 0.8 * (cornerMult - 1.0);
-      }
-    }
-
     // Emergency turn prevention (if turning too sharply)
     if (Math.abs(angDiff) > this.config.emergencyTurnThreshold) {
-      const safe = path[(targetIdx + 20) % path.length];
+      const safe = path[(targetIdx + this.pointsForDistance(path, this.config.emergencyLookAheadDistance)) % path.length];
       const safeA = Math.atan2(safe.y - racer.y, safe.x - racer.x);
       angDiff = safeA - racer.angle;
       while (angDiff <= -Math.PI) angDiff += Math.PI * 2;
@@ -148,58 +556,261 @@ export class PhysicsEngine {
       angDiff *= this.config.sharpTurnDamping;
     }
 
-    // Apply archetype steering multiplier
-    const maxSteer = this.config.maxSteerAngle * steerMult;
-    const steer = Math.max(Math.min(angDiff, maxSteer), -maxSteer);
+    return Math.max(Math.min(angDiff, maxSteer), -maxSteer);
+  }
 
-    // Apply steering with random noise
-    racer.angle += steer + (Math.random() - 0.5) * this.config.steeringRandomNoise;
+  /**
+   * Record a sector split when a racer passes the start of the next sector.
+   * The final sector is closed by the lap line (see Racer.completeLap).
+   *
+   * @param {Object} racer - The racer object
+   * @param {number} frameCount - Current frame number
+   */
+  updateSectorTiming(racer, frameCount) {
+    const next = racer.sectorTimes.length + 1;
+    if (next < this.sectors.length && racer.progress - racer.lap >= this.sectors[next]) {
+      racer.completeSector(this.getRaceTime(frameCount));
+    }
+  }
 
-    // Update position
-    racer.x += Math.cos(racer.angle) * racer.currentSpeed;
-    racer.y += Math.sin(racer.angle) * racer.currentSpeed;
+  /**
+   * Detect a racer leaving or rejoining the track surface. While off track
+   * any overtaking move is abandoned so the rider heads back to its own line
+   * (already clamped inside the edges) to rejoin.
+   *
+   * @param {Object} racer - The racer object
+   * @param {Array} path - Array of path points
+   * @param {Object} boundaries - Track boundaries from getTrackBoundaries()
+   */
+  updateTrackLimits(racer, path, boundaries) {
+    // Nearest racing line point around the racer's path index
+    const n = path.length;
+    const window = this.pointsForDistance(path, this.config.trackLimitSearchDistance);
+    let idx = racer.pathIndex;
+    let nearest = Infinity;
+    for (let k = -window; k <= window; k++) {
+      const i = (racer.pathIndex + k + n) % n;
+      const d = Math.hypot(path[i].x - racer.x, path[i].y - racer.y);
+      if (d < nearest) {
+        nearest = d;
+        idx = i;
+      }
+    }
 
-    // Update path index and lap counting
-    const skip = this.config.pathCheckSkip;
-    for (let i = 1; i <= skip; i++) {
-      const cIdx = (racer.pathIndex + i) % path.length;
-      const pt = path[cIdx];
-      const dist = Math.hypot(pt.x - racer.x, pt.y - racer.y);
+    // Only trust the check once the path index is tracking the racer (not on the grid)
+    if (nearest > boundaries.leftWidths[idx] + boundaries.rightWidths[idx]) {
+      return;
+    }
 
-      if (dist < this.config.pathCheckDistance) {
-        // Check for lap completion (crossing finish line)
-        if (racer.pathIndex > path.length * this.config.lapWrapThreshold &&
-            cIdx < path.length * (1 - this.config.lapWrapThreshold)) {
-          if (dist > this.config.lapWrapMinDistance) continue;
-
-          if (!racer.finished) {
-            racer.lap++;
-            if (racer.lap >= totalLaps) {
-              racer.finished = true;
-              racer.finishTime = performance.now();
-              racer.progress = totalLaps + 1000;
-            }
-          }
-        }
-        racer.pathIndex = cIdx;
-        break;
+    const { px, py } = getPathNormal(path, idx);
+    const lateral = (racer.x - path[idx].x) * px + (racer.y - path[idx].y) * py;
+
+    const wasOffTrack = racer.offTrack;
+    racer.offTrack = lateral > boundaries.rightWidths[idx] || lateral < -boundaries.leftWidths[idx];
+    if (racer.offTrack && !wasOffTrack) {
+      racer.offTrackCount++;
+      this.endRacecraft(racer);
+    }
+  }
+
+  /**
+   * AI pit strategy: box when fuel or tyres run low, unless already on the last lap
+   *
+   * @param {Object} racer - The racer object
+   * @param {number} totalLaps - Total laps in the race
+   */
+  updatePitDecision(racer, totalLaps) {
+    if (racer.isPlayer || racer.pitRequested || racer.lap >= totalLaps - 1) {
+      return;
+    }
+
+    // Wrong tyres for the conditions
+    const wetness = this.getWetness();
+    const onWets = racer.tireCompound === 'wet';
+    const wrongTires = (!onWets && wetness > this.config.aiWetTireThreshold) ||
+                       (onWets && wetness < this.config.aiDryTireThreshold);
+
+    if (wrongTires ||
+        racer.fuel < this.config.aiPitFuelThreshold ||
+        racer.tires < Math.max(this.config.aiPitTireThreshold, racer.getTireCompound().cliff)) {
+      racer.pitRequested = true;
+      racer.nextTireCompound = this.chooseTireCompound(totalLaps - racer.lap - 1);
+    }
+  }
+
+  /**
+   * AI compound choice for the next stint: wets on a wet track, otherwise softs
+   * for a short sprint to the flag and mediums when there is distance to cover
+   *
+   * @param {number} lapsRemaining - Laps left after the stop
+   * @returns {string} Compound key
+   */
+  chooseTireCompound(lapsRemaining) {
+    if (this.getWetness() > this.config.aiWetTireThreshold) {
+      return 'wet';
+    }
+    return lapsRemaining <= this.config.aiSoftTireMaxLaps ? 'soft' : 'medium';
+  }
+
+  /**
+   * Check whether a racer passed the pit entry this frame.
+   * Entry is refused if rejoining would complete the final lap inside the pit lane,
+   * or while the pit lane does not meet the racing line.
+   *
+   * @param {Object} racer - The racer object
+   * @param {number} prevPathIndex - Path index before this frame's update
+   * @param {Array} path - Racing path points {x, y}
+   * @param {number} totalLaps - Total laps in the race
+   * @returns {boolean} True if the racer should enter the pit lane now
+   */
+  isAtPitEntry(racer, prevPathIndex, path, totalLaps) {
+    const junctions = this.getPitLaneJunctions(path);
+    if (!junctions || (junctions.crossesLine && racer.lap + 1 >= totalLaps)) {
+      return false;
+    }
+
+    const prevFraction = prevPathIndex / path.length;
+    const fraction = racer.pathIndex / path.length;
+    return prevFraction < junctions.entry && fraction >= junctions.entry;
+  }
+
+  /**
+   * Drive a racer through the pit lane: brake to the box, stop for service,
+   * then accelerate to the exit and rejoin the racing line.
+   *
+   * @param {Object} racer - The racer object (pitPhase set)
+   * @param {Array} path - Racing path points {x, y}
+   * @param {number} frameCount - Current frame number (lap timing)
+   */
+  updatePitLane(racer, path, frameCount) {
+    const lane = this.pitLane;
+    const { entry, exit, crossesLine } = this.getPitLaneJunctions(path);
+    const boxDistance = lane.boxDistances[racer.id % lane.boxDistances.length];
+
+    if (racer.pitPhase === 'stopped') {
+      racer.currentSpeed = 0;
+      racer.pitTimer--;
+      if (racer.pitTimer <= 0) {
+        // Service complete
+        racer.fuel = 100;
+        racer.fitTires(racer.nextTireCompound || racer.tireCompound);
+        racer.nextTireCompound = null;
+        racer.pitStops++;
+        racer.pitPhase = 'exiting';
       }
+      return;
     }
 
-    // Update progress
-    if (!racer.finished) {
+    // Speed limit, with a braking curve that brings the racer to rest at its box
+    let targetSpeed = lane.speedLimit;
+    if (racer.pitPhase === 'entering') {
+      const toBox = boxDistance - racer.pitLaneDistance;
+      targetSpeed = Math.min(targetSpeed,
+                             Math.max(0.2, Math.sqrt(2 * this.config.pitLaneBraking * Math.max(0, toBox))));
+    }
+
+    if (racer.currentSpeed > targetSpeed) {
+      racer.currentSpeed = Math.max(targetSpeed, racer.currentSpeed - this.config.pitLaneBraking);
+    } else {
+      racer.currentSpeed = Math.min(targetSpeed, racer.currentSpeed + this.config.pitLaneAcceleration);
+    }
+
+    racer.pitLaneDistance += racer.currentSpeed;
+
+    // Arrive at the box
+    if (racer.pitPhase === 'entering' && racer.pitLaneDistance >= boxDistance - 0.5) {
+      racer.pitLaneDistance = boxDistance;
+      racer.currentSpeed = 0;
+      racer.pitPhase = 'stopped';
+      racer.pitTimer = Math.round(this.config.pitStopBaseFrames +
+                                  (100 - racer.fuel) * this.config.pitRefuelFramesPerUnit +
+                                  this.config.pitTireChangeFrames);
+    }
+
+    // Settle onto the lane path
+    const target = pointAtDistance(lane.path, lane.lengths, racer.pitLaneDistance);
+    const blend = this.config.pitLaneSteerBlend;
+    racer.x += (target.x - racer.x) * blend;
+    racer.y += (target.y - racer.y) * blend;
+    racer.angle = target.angle;
+
+    // Progress along the lane maps onto the lap section it bypasses
+    const span = (exit - entry + 1) % 1;
+    const laneFraction = entry + span * (racer.pitLaneDistance / lane.length);
+    racer.progress = racer.lap + laneFraction;
+    this.updateSectorTiming(racer, frameCount);
+
+    // Rejoin the racing line at the exit
+    if (racer.pitLaneDistance >= lane.length) {
+      racer.pitPhase = null;
+      racer.pitRequested = false;
+      racer.pathIndex = Math.round(exit * path.length) % path.length;
+      if (crossesLine) {
+        racer.lap++;
+        racer.completeLap(this.getRaceTime(frameCount));
+      }
       racer.progress = racer.lap + (racer.pathIndex / path.length);
     }
   }
 
   /**
-   * Calculate speed multiplier based on racer state
+   * Convert a (possibly fractional) frame number into race-clock time.
+   * The clock starts at zero when the start delay ends.
+   *
+   * @param {number} frame - Simulation frame number
+   * @returns {number} Race time in seconds
+   */
+  getRaceTime(frame) {
+    return (frame - this.config.startDelayFrames) / this.config.fps;
+  }
+
+  /**
+   * Find where within the last frame a racer crossed the finish line.
+   * The line passes through the first path point, perpendicular to the path.
+   * Lap detection works on path indices and can fire slightly before or after
+   * the geometric crossing, so the result is extrapolated linearly in that case.
+   *
+   * @param {Array} path - Racing path points {x, y}
+   * @param {number} x0 - Position x at the start of the frame
+   * @param {number} y0 - Position y at the start of the frame
+   * @param {number} x1 - Position x at the end of the frame
+   * @param {number} y1 - Position y at the end of the frame
+   * @returns {number} Fraction of the frame (0 = frame start, 1 = frame end)
+   */
+  getLineCrossingFraction(path, x0, y0, x1, y1) {
+    const origin = path[0];
+    const ahead = path[1 % path.length];
+    let tx = ahead.x - origin.x;
+    let ty = ahead.y - origin.y;
+    const tLen = Math.hypot(tx, ty);
+    if (tLen === 0) {
+      return 1;
+    }
+    tx /= tLen;
+    ty /= tLen;
+
+    // Signed distance past the line before and after the move
+    const d0 = (x0 - origin.x) * tx + (y0 - origin.y) * ty;
+    const d1 = (x1 - origin.x) * tx + (y1 - origin.y) * ty;
+    if (d1 <= d0) {
+      return 1;
+    }
+    return -d0 / (d1 - d0);
+  }
+
+  /**
+   * Calculate speed multipliers based on racer state.
+   * Engine map, engine issues, tyre wear and running dry set top speed; the weight of the
+   * fuel on board costs acceleration and cornering grip, so a bike gets
+   * lighter and quicker as its tank empties.
    *
    * @param {Object} racer - The racer object
-   * @returns {number} Speed multiplier (0-1+)
+   * @returns {{speed: number, acceleration: number, cornering: number}} Multipliers (1 = unaffected)
    */
   calculateSpeedMultiplier(racer) {
     let speedMult = 1.0;
+    let accelMult = 1.0;
+    let cornerMult = 1.0;
 
     if (racer.finished) {
       speedMult = this.config.finishedSpeedMultiplier;
@@ -212,55 +823,561 @@ export class PhysicsEngine {
         speedMult *= this.config.speedNoFuelPenalty;
       }
 
-      // Tire degradation effects
-      if (racer.tires < this.config.speedLowTireThreshold) {
+      // Tire degradation effects - grip falls off below the compound's cliff
+      const cliff = racer.getTireCompound().cliff;
+      if (racer.tires < cliff) {
         speedMult *= this.config.speedLowTireBase +
                      this.config.speedLowTireMultiplier *
-                     (racer.tires / this.config.speedLowTireThreshold);
+                     (racer.tires / cliff);
+      }
+
+      // Engine issues
+      if (racer.engineIssue === 'power-loss') {
+        speedMult *= this.config.powerLossSpeedFactor;
+        accelMult *= this.config.powerLossAccelFactor;
+      } else if (racer.engineIssue === 'limp') {
+        speedMult *= this.config.limpSpeedFactor;
+        accelMult *= this.config.limpAccelFactor;
       }
 
-      // Random variation
-      speedMult *= (1 + (Math.random() * this.config.speedRandomVariation -
-                         this.config.speedRandomVariation / 2));
+      // Fuel load (percent of a full tank)
+      const fuelLoad = racer.fuel / 100;
+      accelMult *= 1 - this.config.fuelWeightAccelPenalty * fuelLoad;
+      cornerMult *= 1 - this.config.fuelWeightCornerPenalty * fuelLoad;
+
+      // Random variation (smaller for consistent riders)
+      const variation = this.config.speedRandomVariation *
+                        (1 - this.config.driverConsistencyEffect * racer.getSkill('consistency'));
+      speedMult *= (1 + (this.random() * variation - variation / 2));
+    }
+
+    return { speed: speedMult, acceleration: accelMult, cornering: cornerMult };
+  }
+
+  /**
+   * Engine heat and failures. Heat drifts towards a running temperature set
+   * by how far the engine map is above engineCoolMap, and every
+   * reliabilityCheckFrames a failure is rolled for, far likelier on a hot
+   * engine. Each failure makes things worse: power loss, then limp mode,
+   * then retirement.
+   *
+   * @param {Object} racer - The racer object
+   * @param {number} frameCount - Current frame number
+   */
+  updateReliability(racer, frameCount) {
+    const cool = this.config.engineCoolMap;
+    const runningHeat = Math.max(0, (racer.params.engineMap - cool) / (100 - cool)) * 100;
+    racer.engineHeat += (runningHeat - racer.engineHeat) * this.config.engineHeatRate;
+
+    if (frameCount % this.config.reliabilityCheckFrames !== 0) {
+      return;
     }
 
-    return speedMult;
+    const heat = racer.engineHeat / 100;
+    let chance = this.config.engineFailureBaseChance + this.config.engineFailureHeatChance * heat * heat;
+    if (racer.engineIssue) {
+      chance *= this.config.engineIssueEscalation;
+    }
+    if (this.random() >= chance) {
+      return;
+    }
+
+    const raceTime = this.getRaceTime(frameCount);
+    if (!racer.engineIssue) {
+      racer.engineIssue = 'power-loss';
+      racer.engineIssueTime = raceTime;
+    } else if (racer.engineIssue === 'power-loss') {
+      racer.engineIssue = 'limp';
+    } else {
+      racer.retire('engine', raceTime);
+    }
   }
 
   /**
-   * Resolve collisions between all racers
+   * Damage (and possibly crash) two racers that touched.
+   * Severity is the speed at which they closed along the contact normal,
+   * amplified for side-on hits. Each racer takes the same damage but rolls
+   * its own crash chance, scaled by its risk param.
+   *
+   * @param {Object} r1 - First racer
+   * @param {Object} r2 - Second racer
+   * @param {number} nx - Contact normal from r1 to r2 (x)
+   * @param {number} ny - Contact normal from r1 to r2 (y)
+   * @param {number} frameCount - Current frame number
+   */
+  applyContact(r1, r2, nx, ny, frameCount) {
+    if (r1.contactCooldown > 0 || r2.contactCooldown > 0) {
+      return;
+    }
+
+    const v1x = Math.cos(r1.angle) * r1.currentSpeed;
+    const v1y = Math.sin(r1.angle) * r1.currentSpeed;
+    const v2x = Math.cos(r2.angle) * r2.currentSpeed;
+    const v2y = Math.sin(r2.angle) * r2.currentSpeed;
+    const closing = (v1x - v2x) * nx + (v1y - v2y) * ny;
+    if (closing <= 0) {
+      return;
+    }
+
+    const sideOn = Math.abs(Math.sin(r1.angle - r2.angle));
+    const severity = closing * (1 + this.config.contactAngleFactor * sideOn);
+    if (severity < this.config.contactSeverityThreshold) {
+      return;
+    }
+
+    const damage = (severity - this.config.contactSeverityThreshold) * this.config.contactDamageScale;
+    const raceTime = this.getRaceTime(frameCount);
+    for (const racer of [r1, r2]) {
+      if (!racer.isRunning()) {
+        continue;
+      }
+      racer.contactCooldown = this.config.contactCooldownFrames;
+      racer.damage = Math.min(100, racer.damage + damage);
+
+      if (racer.damage >= 100) {
+        racer.retire('damage', raceTime);
+      } else if (severity >= this.config.crashSeverityThreshold &&
+                 this.random() < this.config.crashChance * (racer.params.risk / 100)) {
+        racer.retire('crash', raceTime);
+      }
+    }
+  }
+
+  /**
+   * Measure how much tow each racer gets from the bikes ahead of it.
+   * A racer inside the cone behind another (within slipstreamRange and
+   * heading the same way) gets a strength in [0, 1] that grows as the gap
+   * closes and fades towards the edge of the cone; the strongest tow wins.
+   * Call once per frame before updateRacer.
    *
    * @param {Array} racers - Array of racer objects
    */
-  resolveCollisions(racers) {
-    for (let i = 0; i < racers.length; i++) {
-      for (let j = i + 1; j < racers.length; j++) {
-        const r1 = racers[i];
-        const r2 = racers[j];
+  updateSlipstream(racers) {
+    const range = this.config.slipstreamRange;
+    const cone = this.config.slipstreamConeAngle;
+
+    for (const follower of racers) {
+      follower.slipstream = 0;
+      if (follower.finished || follower.pitPhase || follower.currentSpeed < 0.5) {
+        continue;
+      }
+
+      for (const leader of racers) {
+        if (leader === follower || leader.finished || leader.pitPhase || leader.currentSpeed < 0.5) {
+          continue;
+        }
 
-        const dx = r2.x - r1.x;
-        const dy = r2.y - r1.y;
+        // Vector from the leader back to the follower
+        const dx = follower.x - leader.x;
+        const dy = follower.y - leader.y;
         const dist = Math.hypot(dx, dy);
+        if (dist === 0 || dist > range) {
+          continue;
+        }
+
+        // Follower must sit inside the cone behind the leader...
+        const backX = -Math.cos(leader.angle);
+        const backY = -Math.sin(leader.angle);
+        const offAxis = Math.acos(Math.max(-1, Math.min(1, (dx * backX + dy * backY) / dist)));
+        if (offAxis > cone) {
+          continue;
+        }
+
+        // ...and travel the same way (not on another part of the track)
+        if (Math.cos(follower.angle - leader.angle) < 0.7) {
+          continue;
+        }
+
+        const strength = (1 - dist / range) * (1 - offAxis / cone);
+        if (strength > follower.slipstream) {
+          follower.slipstream = strength;
+        }
+      }
+    }
+  }
+
+  /**
+   * Overtaking and defending decisions. Once per frame, before updateRacer.
+   *
+   * A rider closing on a slower car ahead commits to a line beside it: the
+   * inside of the next corner or the outside, picked by its risk param (risky
+   * riders dive for the inside, cautious ones go round the outside or wait for
+   * a bigger speed advantage before trying). The rider being attacked may make
+   * one covering move towards the attacker's line, again more likely the
+   * higher its risk. Riders return to their preferred line when done.
+   * Nobody makes a move while overtakingAllowed is off (behind a pace vehicle),
+   * and a rider being lapped gives way instead (see updateBlueFlags).
+   *
+   * @param {Array} racers - Array of racer objects
+   * @param {Array} racingPath - Array of path points
+   */
+  updateRacecraft(racers, racingPath) {
+    this.updateBlueFlags(racers, racingPath);
+
+    for (const racer of racers) {
+      if (racer.defendCooldown > 0) {
+        racer.defendCooldown--;
+      }
+
+      if (!racer.isRunning() || racer.pitPhase || !this.overtakingAllowed) {
+        this.endRacecraft(racer);
+        continue;
+      }
+      if (racer.currentSpeed < 0.5 || racer.offTrack || racer.blueFlagFor !== null) {
+        continue;
+      }
+
+      // Committed moves run their course
+      if (racer.racecraft) {
+        racer.racecraftFrames--;
+        const target = racers.find(r => r.id === racer.racecraftTargetId);
+        const passed = racer.racecraft === 'overtaking' && target && racer.progress > target.progress;
+        if (passed) {
+          racer.overtakes++;
+        }
+        if (passed || racer.racecraftFrames <= 0 || !target || !target.isRunning() || target.pitPhase) {
+          this.endRacecraft(racer);
+        }
+        continue;
+      }
+
+      const ahead = this.findCarAhead(racer, racers, this.config.overtakeDetectRange);
+      if (!ahead) {
+        continue;
+      }
+
+      // Cautious riders need a clear speed advantage before they go for it;
+      // good racecraft spots a chance sooner
+      const risk = racer.params.risk / 100;
+      const closing = racer.currentSpeed - ahead.currentSpeed;
+      const racecraft = 1 - this.config.driverRacecraftEffect * racer.getSkill('racecraft');
+      if (closing < this.config.overtakeMinClosingSpeed * (1 - risk) * racecraft) {
+        continue;
+      }
+
+      // Inside of the next corner (positive offset is the right-hand side), or
+      // away from the other rider's line on a straight
+      const turn = this.getUpcomingTurn(racingPath, racer.pathIndex);
+      let side;
+      if (Math.abs(turn) > this.config.overtakeCornerThreshold) {
+        const inside = Math.sign(turn);
+        side = this.random() < risk ? inside : -inside;
+      } else {
+        side = ahead.laneOffset > racer.laneOffset ? -1 : 1;
+      }
+
+      const maxOffset = this.config.maxLaneOffset;
+      racer.targetLaneOffset = Math.max(-maxOffset, Math.min(maxOffset,
+        ahead.laneOffset + side * this.config.overtakeLaneGap));
+      racer.racecraft = 'overtaking';
+      racer.racecraftTargetId = ahead.id;
+      racer.racecraftFrames = this.config.overtakeCommitFrames;
+
+      this.considerDefence(ahead, racer);
+    }
+  }
+
+  /**
+   * Show blue flags to riders about to be lapped and move them off the line.
+   * A rider is being lapped when someone on the same stretch of track, within
+   * blueFlagRange behind, is a lap or more ahead in the race. It gives up any
+   * move it was making, steers to the side of the track away from the lapping
+   * rider and lifts slightly until that rider is through, then returns to its
+   * line. Nobody is flagged while overtakingAllowed is off.
+   *
+   * @param {Array} racers - Array of racer objects
+   * @param {Array} racingPath - Array of path points
+   */
+  updateBlueFlags(racers, racingPath) {
+    const n = racingPath.length;
+    const spacing = this.getPathSpacing(racingPath);
+    const lapLength = n * spacing;
+
+    for (const racer of racers) {
+      const flaggedFor = racer.blueFlagFor;
+      racer.blueFlagFor = null;
+      if (!racer.isRunning() || racer.pitPhase || !this.overtakingAllowed) {
+        continue;
+      }
+
+      let lapper = null;
+      let lapperBehind = this.config.blueFlagRange;
+      for (const other of racers) {
+        if (other === racer || !other.isRunning() || other.pitPhase) {
+          continue;
+        }
+        // Distance behind along the racing line, and the lead in the race once that gap is allowed for
+        const behind = ((racer.pathIndex - other.pathIndex + n) % n) * spacing;
+        if (behind > lapperBehind || Math.round(other.progress + behind / lapLength - racer.progress) < 1) {
+          continue;
+        }
+        lapper = other;
+        lapperBehind = behind;
+      }
+
+      if (lapper) {
+        if (racer.racecraft) {
+          this.endRacecraft(racer);
+        }
+        const side = lapper.laneOffset > racer.laneOffset ? -1 : 1;
+        racer.targetLaneOffset = side * this.config.maxLaneOffset;
+        racer.blueFlagFor = lapper.id;
+      } else if (flaggedFor !== null) {
+        racer.targetLaneOffset = racer.racingLine;
+      }
+    }
+  }
+
+  /**
+   * Let an attacked rider cover the attacker's line (one move per attack).
+   *
+   * @param {Object} defender - Racer being attacked
+   * @param {Object} attacker - Racer committing to an overtake
+   */
+  considerDefence(defender, attacker) {
+    if (defender.racecraft || defender.defendCooldown > 0 || defender.blueFlagFor !== null) {
+      return;
+    }
+    if (Math.hypot(attacker.x - defender.x, attacker.y - defender.y) > this.config.defendRange) {
+      return;
+    }
+
+    defender.defendCooldown = this.config.defendCooldownFrames;
+    const racecraft = 1 + this.config.driverRacecraftEffect * defender.getSkill('racecraft');
+    if (this.random() >= defender.params.risk / 100 * racecraft) {
+      return;
+    }
+
+    // Move halfway across towards the attacker's line: enough to block, not to crash
+    defender.targetLaneOffset = (defender.laneOffset + attacker.targetLaneOffset) / 2;
+    defender.racecraft = 'defending';
+    defender.racecraftTargetId = attacker.id;
+    defender.racecraftFrames = this.config.defendCommitFrames;
+  }
+
+  /**
+   * Return a racer to its preferred line with no move in progress
+   *
+   * @param {Object} racer - Racer object
+   */
+  endRacecraft(racer) {
+    racer.racecraft = null;
+    racer.racecraftTargetId = null;
+    racer.racecraftFrames = 0;
+    racer.targetLaneOffset = racer.racingLine;
+  }
+
+  /**
+   * Ask each racer's controller for this frame's intent (see engine/controllers).
+   * Once per frame, after updateRacecraft and before updateRacer. Params
+   * changes are applied straight away; throttle, steering and lane are kept on
+   * the racer for updateRacer. Racers without a controller drive on DEFAULT_INTENT.
+   *
+   * The view handed to controllers: frameCount, raceTime, totalLaps, racers,
+   * order (running racers in race order), racingPath, lapLength (pixels),
+   * wetness (0-1) and physics (this engine, for its track queries).
+   *
+   * @param {Array} racers - Array of racer objects
+   * @param {Array} racingPath - Array of path points
+   * @param {number} frameCount - Current frame count
+   * @param {number} totalLaps - Total laps in the race
+   */
+  updateControllers(racers, racingPath, frameCount, totalLaps) {
+    const view = {
+      frameCount,
+      raceTime: this.getRaceTime(frameCount),
+      totalLaps,
+      racers,
+      order: sortByRacePosition(racers).filter(r => r.isRunning()),
+      racingPath,
+      lapLength: this.getPathSpacing(racingPath) * racingPath.length,
+      wetness: this.getWetness(),
+      physics: this
+    };
 
-        // Calculate buffer based on risk parameters
-        const buffer = this.config.riskBufferScale *
-                      (1 - (r1.params.risk + r2.params.risk) / 200);
-        const minDist = (this.config.racerRadius * 2) + buffer;
-
-        if (dist < minDist) {
-          const safe = dist || 0.01; // Avoid division by zero
-          const overlap = minDist - safe;
-          const nx = dx / safe;
-          const ny = dy / safe;
-          const f = this.config.collisionForce;
-
-          // Push racers apart
-          r1.x -= nx * overlap * f;
-          r1.y -= ny * overlap * f;
-          r2.x += nx * overlap * f;
-          r2.y += ny * overlap * f;
+    for (const racer of racers) {
+      if (!racer.controller || racer.retired) {
+        racer.intent = DEFAULT_INTENT;
+        continue;
+      }
+      racer.intent = this.resolveIntent(racer.controller.decide(racer, view));
+      if (racer.intent.params) {
+        racer.setParams(racer.intent.params);
+      }
+    }
+  }
+
+  /**
+   * Fill in and clamp a controller's intent
+   *
+   * @param {Object} [intent] - Intent from a controller (missing fields are defaults)
+   * @returns {Object} Complete intent within the physical limits
+   */
+  resolveIntent(intent) {
+    const { throttle, steer, lane, params } = { ...DEFAULT_INTENT, ...intent };
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, Number(value) || 0));
+    const maxOffset = this.config.maxLaneOffset;
+
+    let cleanParams = null;
+    if (params) {
+      cleanParams = {};
+      for (const key of ['engineMap', 'tireAggression', 'risk']) {
+        if (params[key] !== undefined) {
+          cleanParams[key] = Math.round(clamp(params[key], 0, 100));
         }
       }
     }
+
+    return {
+      throttle: clamp(throttle, 0, 1),
+      steer: steer === null ? null : clamp(steer, -1, 1),
+      lane: lane === null ? null : clamp(lane, -maxOffset, maxOffset),
+      params: cleanParams
+    };
+  }
+
+  /**
+   * Nearest racer ahead on the same stretch of track
+   *
+   * @param {Object} racer - Racer looking ahead
+   * @param {Array} racers - Array of racer objects
+   * @param {number} range - Maximum distance
+   * @returns {Object|null} Racer ahead, or null if the road is clear
+   */
+  findCarAhead(racer, racers, range) {
+    const hx = Math.cos(racer.angle);
+    const hy = Math.sin(racer.angle);
+    let nearest = null;
+    let nearestDist = range;
+
+    for (const other of racers) {
+      if (other === racer || !other.isRunning() || other.pitPhase) {
+        continue;
+      }
+      const dx = other.x - racer.x;
+      const dy = other.y - racer.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist === 0 || dist > nearestDist) {
+        continue;
+      }
+      // Ahead (within ~45° of our heading) and going the same way
+      if ((dx * hx + dy * hy) / dist < 0.7 || Math.cos(other.angle - racer.angle) < 0.7) {
+        continue;
+      }
+      nearest = other;
+      nearestDist = dist;
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Signed heading change of the racing line over the next few points.
+   * Positive turns right (clockwise on screen), negative turns left.
+   *
+   * @param {Array} path - Array of path points
+   * @param {number} fromIndex - Path index to look ahead from
+   * @returns {number} Heading change in radians
+   */
+  getUpcomingTurn(path, fromIndex) {
+    const span = this.pointsForDistance(path, this.config.overtakeCornerLookAhead / 2);
+    const a = path[fromIndex % path.length];
+    const b = path[(fromIndex + span) % path.length];
+    const c = path[(fromIndex + span * 2) % path.length];
+
+    let turn = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(b.y - a.y, b.x - a.x);
+    while (turn <= -Math.PI) {
+      turn += Math.PI * 2;
+    }
+    while (turn > Math.PI) {
+      turn -= Math.PI * 2;
+    }
+    return turn;
+  }
+
+  /**
+   * Resolve collisions between all racers.
+   * Large grids use a uniform grid broadphase (see findNearbyPairs) instead of
+   * checking every pair; candidate pairs are visited in the same order as the
+   * all-pairs loop so both paths push riders and roll contacts identically.
+   *
+   * @param {Array} racers - Array of racer objects
+   * @param {number} frameCount - Current frame number (timestamps retirements)
+   */
+  resolveCollisions(racers, frameCount) {
+    if (racers.length < this.config.broadphaseMinRacers) {
+      for (let i = 0; i < racers.length; i++) {
+        for (let j = i + 1; j < racers.length; j++) {
+          this.resolvePair(racers[i], racers[j], frameCount);
+        }
+      }
+      return;
+    }
+
+    // Pit lane traffic is separated from the track; crashed bikes are off the racing line
+    const points = racers.map(r => (r.pitPhase || r.retired ? null : r));
+    for (const [i, j] of findNearbyPairs(points, this.getCollisionReach())) {
+      this.resolvePair(racers[i], racers[j], frameCount);
+    }
+  }
+
+  /**
+   * Largest centre distance at which two racers can interact this frame,
+   * plus a margin for riders pushed towards each other earlier in the same pass
+   *
+   * @returns {number} Broadphase reach in pixels
+   */
+  getCollisionReach() {
+    return this.config.racerRadius * 2 +
+      this.config.riskBufferScale +
+      this.config.weatherCollisionBuffer * this.getWetness() +
+      this.config.broadphaseMargin;
+  }
+
+  /**
+   * Separate two racers that are inside each other's buffer, applying contact
+   * damage if they actually touch
+   *
+   * @param {Racer} r1 - First racer
+   * @param {Racer} r2 - Second racer
+   * @param {number} frameCount - Current frame number
+   */
+  resolvePair(r1, r2, frameCount) {
+    // Pit lane traffic is separated from the track; crashed bikes are off the racing line
+    if (r1.pitPhase || r2.pitPhase || r1.retired || r2.retired) {
+      return;
+    }
+
+    const dx = r2.x - r1.x;
+    const dy = r2.y - r1.y;
+    const dist = Math.hypot(dx, dy);
+
+    // Calculate buffer based on risk parameters (riders leave more room in the wet)
+    const buffer = this.config.riskBufferScale *
+                  (1 - (r1.params.risk + r2.params.risk) / 200) +
+                  this.config.weatherCollisionBuffer * this.getWetness();
+    const minDist = (this.config.racerRadius * 2) + buffer;
+
+    if (dist < minDist) {
+      const safe = dist || 0.01; // Avoid division by zero
+      const overlap = minDist - safe;
+      const nx = dx / safe;
+      const ny = dy / safe;
+      const f = this.config.collisionForce;
+
+      // Actual contact (inside the buffer is just close racing)
+      if (dist < this.config.racerRadius * 2) {
+        this.applyContact(r1, r2, nx, ny, frameCount);
+      }
+
+      // Push racers apart; a rider being lapped makes all the room so the
+      // lapping rider keeps its line
+      const share1 = r1.blueFlagFor === r2.id ? 2 : r2.blueFlagFor === r1.id ? 0 : 1;
+      const share2 = 2 - share1;
+      r1.x -= nx * overlap * f * share1;
+      r1.y -= ny * overlap * f * share1;
+      r2.x += nx * overlap * f * share2;
+      r2.y += ny * overlap * f * share2;
+    }
   }
 }
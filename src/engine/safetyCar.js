@@ -0,0 +1,213 @@
+/**
+ * Safety Car
+ * Neutralises the race after an incident.
+ *
+ * When a rider retires on track (a crash or a stopped bike) the safety car may
+ * be sent out, using the session's seeded random source. It joins ahead of the
+ * leader and laps at a reduced speed; riders queue behind it in track order with
+ * no overtaking, and anyone with a gap to the rider ahead may close it, so the
+ * field bunches up. Once it has covered a set number of laps it pulls in and
+ * the field is released.
+ *
+ * @module engine/safetyCar
+ */
+
+import { GAME_CONFIG } from '../config/gameConfig.js';
+import { PaceVehicle } from '../core/PaceVehicle.js';
+
+export class SafetyCar {
+  /**
+   * @param {Function} [random=Math.random] - Random source for deployment decisions
+   * @param {Object} [config=GAME_CONFIG] - Game configuration
+   *
+   * @example
+   * const safetyCar = new SafetyCar(createRandom(seed));
+   * // every frame, before the physics update:
+   * safetyCar.update(frameCount, racers, racingPath, physics, totalLaps);
+   */
+  constructor(random = Math.random, config = GAME_CONFIG) {
+    this.random = random;
+    this.config = config;
+
+    this.paceVehicle = new PaceVehicle({ label: 'SC', color: '#facc15' });
+    this.active = false;
+    this.deployPosition = 0;  // Path position the car joined at (see PaceVehicle.pathPosition)
+    this.periods = [];        // { reason, racerId, start, end, laps } in race-clock seconds
+    this.knownRetired = new Set();
+  }
+
+  /**
+   * Advance the safety car by one frame. Call before the racers' physics update.
+   *
+   * @param {number} frameCount - Current simulation frame
+   * @param {Array<Racer>} racers - All racers
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   * @param {number} totalLaps - Total laps in the race
+   */
+  update(frameCount, racers, racingPath, physics, totalLaps) {
+    const raceTime = physics.getRaceTime(frameCount);
+    if (raceTime < 0) {
+      return;
+    }
+
+    const running = racers.filter(r => r.isRunning());
+    const leader = running.reduce((best, r) => (!best || r.progress > best.progress ? r : best), null);
+
+    // Incidents: riders who have stopped on track since the last frame
+    const incidents = racers.filter(r => r.retired && !this.knownRetired.has(r.id));
+    for (const racer of incidents) {
+      this.knownRetired.add(racer.id);
+    }
+
+    if (this.active) {
+      // Pull in after its laps (or if the race is over)
+      const lapsCovered = (this.paceVehicle.pathPosition - this.deployPosition) / racingPath.length;
+      if (!leader || lapsCovered >= this.config.safetyCarLaps || racers.some(r => r.finished)) {
+        this.withdraw(racers, physics, raceTime);
+        return;
+      }
+      this.drive(racers, racingPath, physics);
+      this.queueRacers(racers, racingPath, physics);
+      return;
+    }
+
+    // No safety car once the leader is on the last lap
+    if (!leader || leader.lap >= totalLaps - 1) {
+      return;
+    }
+    for (const racer of incidents) {
+      if (this.random() < this.config.safetyCarChance) {
+        this.deploy(racer, leader, racers, racingPath, physics, raceTime);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Send the safety car out ahead of the leader
+   *
+   * @param {Racer} cause - Rider whose retirement caused the deployment
+   * @param {Racer} leader - Race leader
+   * @param {Array<Racer>} racers - All racers
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   * @param {number} raceTime - Race-clock time in seconds
+   */
+  deploy(cause, leader, racers, racingPath, physics, raceTime) {
+    this.active = true;
+    this.periods.push({ reason: cause.retireReason, racerId: cause.id, start: raceTime, end: null, laps: this.config.safetyCarLaps });
+
+    this.paceVehicle.speed = this.config.safetyCarSpeed;
+    this.paceVehicle.active = true;
+    this.deployPosition = leader.pathIndex + physics.pointsForDistance(racingPath, this.config.safetyCarJoinGap);
+    this.paceVehicle.placeAt(racingPath, this.deployPosition);
+
+    physics.overtakingAllowed = false;
+    this.queueRacers(racers, racingPath, physics);
+  }
+
+  /**
+   * Move the car one frame along the racing line. It slows for corners like a
+   * neutral bike would, and if a rider has got alongside or just past it the
+   * car moves up to stay ahead, so the queue always has it at the front.
+   *
+   * @param {Array<Racer>} racers - All racers
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   */
+  drive(racers, racingPath, physics) {
+    const n = racingPath.length;
+    const spacing = physics.getPathSpacing(racingPath);
+    const car = this.paceVehicle;
+    const carIndex = Math.floor(((car.pathPosition % n) + n) % n);
+
+    car.speed = Math.min(this.config.safetyCarSpeed, physics.getSpeedProfile(racingPath, 1)[carIndex]);
+    let position = car.pathPosition + car.speed / spacing;
+
+    const window = physics.pointsForDistance(racingPath, this.config.safetyCarJoinGap);
+    const lead = physics.pointsForDistance(racingPath, this.config.safetyCarQueueGap);
+    for (const racer of racers) {
+      if (!racer.isRunning() || racer.pitPhase) {
+        continue;
+      }
+      const ahead = (racer.pathIndex - carIndex + n) % n;
+      if (ahead < window) {
+        position = Math.max(position, car.pathPosition + ahead + lead);
+      }
+    }
+
+    car.placeAt(racingPath, position);
+  }
+
+  /**
+   * Pull the safety car in and release the field
+   *
+   * @param {Array<Racer>} racers - All racers
+   * @param {PhysicsEngine} physics - The session's physics engine
+   * @param {number} raceTime - Race-clock time in seconds
+   */
+  withdraw(racers, physics, raceTime) {
+    this.active = false;
+    this.paceVehicle.active = false;
+    this.periods[this.periods.length - 1].end = raceTime;
+
+    for (const racer of racers) {
+      racer.speedLimit = null;
+    }
+    physics.overtakingAllowed = true;
+  }
+
+  /**
+   * Set each rider's speed limit from its gap to whatever is ahead on track.
+   * Riders are queued in track order behind the safety car (not race order),
+   * so the queue never asks anyone to pass the bike in front of them. The limit
+   * lets a rider close a gap as fast as it can still brake to the car's pace by
+   * the time it reaches the queue. Backmarkers caught out ahead of the car are
+   * left to lap round and join the back of the queue.
+   *
+   * @param {Array<Racer>} racers - All racers
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   */
+  queueRacers(racers, racingPath, physics) {
+    const n = racingPath.length;
+    const spacing = physics.getPathSpacing(racingPath);
+    const carIndex = ((this.paceVehicle.pathPosition % n) + n) % n;
+    const queueGap = this.config.safetyCarQueueGap;
+
+    const queue = [];
+    for (const racer of racers) {
+      if (!racer.isRunning() || racer.pitPhase) {
+        racer.speedLimit = null;
+        continue;
+      }
+      // Distance behind the safety car along the racing line
+      queue.push({ racer, behind: ((carIndex - racer.pathIndex + n) % n) * spacing });
+    }
+    queue.sort((a, b) => a.behind - b.behind);
+
+    const carSpeed = this.paceVehicle.speed;
+    let aheadBehind = 0;
+    for (const { racer, behind } of queue) {
+      const room = behind - aheadBehind - queueGap;
+      const limit = room > 0
+        ? Math.sqrt(carSpeed * carSpeed + 2 * this.config.cornerBraking * room)
+        : carSpeed * Math.max(0.5, 1 + room / queueGap);
+      racer.speedLimit = Math.min(this.config.safetyCarCatchUpSpeed, limit);
+      aheadBehind = behind;
+    }
+  }
+
+  /**
+   * Get a summary of safety car periods for results
+   *
+   * @returns {Object} Number of periods and their details
+   */
+  getSummary() {
+    return {
+      count: this.periods.length,
+      periods: this.periods.map(p => ({ ...p }))
+    };
+  }
+}
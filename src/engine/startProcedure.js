@@ -0,0 +1,203 @@
+/**
+ * Start Procedure
+ * Runs the start of a race on the simulation clock, so the countdown shown
+ * to the player and the moment riders may move are the same frames.
+ *
+ * A standing start shows three lights and then GO at startDelayFrames. Each rider
+ * reacts to lights out after a random reaction time; risky riders sometimes
+ * go early, and a rider who has visibly moved by lights out is penalised.
+ * A rolling start forms the grid further back and leads it towards the line
+ * behind a pace bike at a capped speed, with no overtaking until GO.
+ *
+ * @module engine/startProcedure
+ */
+
+import { GAME_CONFIG } from '../config/gameConfig.js';
+import { START_PROCEDURES } from '../config/constants.js';
+import { PaceVehicle } from '../core/PaceVehicle.js';
+
+export class StartProcedure {
+  /**
+   * @param {string} [type='standing'] - Start procedure key ('standing' | 'rolling')
+   * @param {Function} [random=Math.random] - Random source for reaction times and jump starts
+   * @param {Object} [config=GAME_CONFIG] - Game configuration
+   *
+   * @example
+   * const start = new StartProcedure('rolling', createRandom(seed));
+   * start.prepare(racers, racingPath, physics);
+   * // every frame, before the physics update:
+   * start.update(frameCount, racers, racingPath, physics);
+   */
+  constructor(type = 'standing', random = Math.random, config = GAME_CONFIG) {
+    if (!START_PROCEDURES[type]) {
+      throw new Error(`Unknown start procedure '${type}'`);
+    }
+
+    this.type = type;
+    this.random = random;
+    this.config = config;
+
+    // Lights out, and when a rolling start's formation run begins
+    this.greenFrame = config.startDelayFrames;
+    this.formationStartFrame = type === 'rolling'
+      ? Math.max(0, this.greenFrame - Math.round(config.rollingStartDistance / config.rollingStartSpeed))
+      : this.greenFrame;
+
+    this.paceVehicle = null;
+    this.jumpStarts = [];
+  }
+
+  /**
+   * Extra distance the grid forms up behind its usual slots
+   *
+   * @returns {number} Pixels to add to every grid slot's distance from the line
+   */
+  getGridOffset() {
+    return this.type === 'rolling' ? this.config.rollingStartDistance : 0;
+  }
+
+  /**
+   * Set up racers on the grid for this start. Call once the racers are in
+   * their grid slots (see getGridOffset).
+   *
+   * @param {Array<Racer>} racers - Racers in grid order (pole first)
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   */
+  prepare(racers, racingPath, physics) {
+    this.jumpStarts = [];
+
+    if (this.type === 'rolling') {
+      // Everyone moves off together at the start of the formation run, capped at the pace bike's speed
+      for (const racer of racers) {
+        racer.launchDelay = this.formationStartFrame - this.greenFrame;
+        racer.speedLimit = this.config.rollingStartSpeed;
+      }
+      physics.overtakingAllowed = false;
+
+      this.paceVehicle = new PaceVehicle();
+      this.paceVehicle.speed = this.config.rollingStartSpeed;
+      this.paceVehicle.active = true;
+      if (racers.length > 0) {
+        const n = racingPath.length;
+        const poleIndex = this.findNearestPoint(racingPath, racers[0]);
+        const polePosition = poleIndex > n / 2 ? poleIndex - n : poleIndex;
+        this.paceVehicle.placeAt(racingPath, polePosition + physics.pointsForDistance(racingPath, this.config.paceBikeGap));
+      }
+      return;
+    }
+
+    // Reaction to lights out; the riskier an AI rider, the likelier they go early. Players only
+    // get a reaction time: they have no launch control, so a jump start would not be their doing.
+    for (const racer of racers) {
+      if (!racer.isPlayer && this.random() < this.config.jumpStartChance * (racer.params.risk / 100)) {
+        racer.launchDelay = -(1 + Math.floor(this.random() * this.config.jumpStartMaxFrames));
+      } else {
+        racer.launchDelay = Math.round((this.config.reactionTimeMin +
+                                        this.random() * this.config.reactionTimeSpread) * this.config.fps);
+      }
+      racer.reactionTime = racer.launchDelay / this.config.fps;
+    }
+  }
+
+  /**
+   * Advance the start by one frame. Call before the racers' physics update.
+   *
+   * @param {number} frameCount - Current simulation frame
+   * @param {Array<Racer>} racers - All racers
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   */
+  update(frameCount, racers, racingPath, physics) {
+    if (this.paceVehicle && this.paceVehicle.active && frameCount > this.formationStartFrame) {
+      this.paceVehicle.advance(racingPath, physics.getPathSpacing(racingPath));
+    }
+
+    if (frameCount !== this.greenFrame) {
+      return;
+    }
+
+    if (this.type === 'rolling') {
+      // Green flag: the pace bike pulls off and the field is released
+      for (const racer of racers) {
+        racer.speedLimit = null;
+      }
+      physics.overtakingAllowed = true;
+      if (this.paceVehicle) {
+        this.paceVehicle.active = false;
+      }
+      return;
+    }
+
+    // Lights out: anyone already moving jumped the start, however little ground they made
+    for (const racer of racers) {
+      if (racer.launchDelay >= 0 || racer.currentSpeed <= 0) {
+        continue;
+      }
+      racer.jumpStart = true;
+      racer.addPenalty(this.config.jumpStartPenalty);
+      this.jumpStarts.push({ id: racer.id, name: racer.name, penalty: this.config.jumpStartPenalty });
+    }
+  }
+
+  /**
+   * Countdown display state on the simulation clock
+   *
+   * @param {number} frameCount - Current simulation frame
+   * @returns {{step: number|string|null, elapsed: number}} Step being shown (3, 2, 1,
+   *          'formation', 'go' or null before the sequence) and seconds since it began
+   */
+  getLights(frameCount) {
+    const fps = this.config.fps;
+
+    if (frameCount >= this.greenFrame) {
+      return { step: 'go', elapsed: (frameCount - this.greenFrame) / fps };
+    }
+
+    if (this.type === 'rolling') {
+      if (frameCount >= this.formationStartFrame) {
+        return { step: 'formation', elapsed: (frameCount - this.formationStartFrame) / fps };
+      }
+      return { step: null, elapsed: 0 };
+    }
+
+    const interval = this.config.startLightFrames;
+    const lightsLeft = Math.ceil((this.greenFrame - frameCount) / interval);
+    if (lightsLeft > 3) {
+      return { step: null, elapsed: 0 };
+    }
+    return { step: lightsLeft, elapsed: (frameCount - (this.greenFrame - lightsLeft * interval)) / fps };
+  }
+
+  /**
+   * Get a summary of the start for results
+   *
+   * @returns {Object} Start procedure key and the jump starts penalised
+   */
+  getSummary() {
+    return {
+      type: this.type,
+      jumpStarts: this.jumpStarts.map(j => ({ ...j }))
+    };
+  }
+
+  /**
+   * Index of the racing line point nearest to a position
+   *
+   * @param {Array} racingPath - Array of path points
+   * @param {{x: number, y: number}} position - Position to look up
+   * @returns {number} Point index
+   */
+  findNearestPoint(racingPath, position) {
+    let nearest = 0;
+    let best = Infinity;
+    for (let i = 0; i < racingPath.length; i++) {
+      const d = Math.hypot(racingPath[i].x - position.x, racingPath[i].y - position.y);
+      if (d < best) {
+        best = d;
+        nearest = i;
+      }
+    }
+    return nearest;
+  }
+}
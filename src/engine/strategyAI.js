@@ -0,0 +1,178 @@
+/**
+ * Strategy AI
+ * Re-plans AI riders' racing params (engine map, tyre aggression, risk)
+ * during the race instead of keeping the ones they started with.
+ *
+ * Every few seconds, depending on the difficulty, each AI rider's plan is
+ * worked out from its situation. The engine map is capped so the fuel on
+ * board lasts to the flag, or to the box if a stop is planned. Tyre
+ * aggression is capped so the tyres stay above their cliff. A rider close
+ * behind someone pushes harder and takes more risk, and one with a rival
+ * close behind pushes a little to hold position. A hot engine is turned down
+ * before it fails. The rider's starting params are its natural style, which
+ * the plan returns to when nothing else applies. Easier AI re-plans less
+ * often and misjudges what it has left.
+ *
+ * @module engine/strategyAI
+ */
+
+import { GAME_CONFIG } from '../config/gameConfig.js';
+import { AI_DIFFICULTIES } from '../config/constants.js';
+import { sortByRacePosition } from '../core/standings.js';
+
+export class StrategyAI {
+  /**
+   * @param {string} [difficulty='normal'] - AI difficulty key ('easy' | 'normal' | 'hard')
+   * @param {Function} [random=Math.random] - Random source for misjudged estimates
+   * @param {Object} [config=GAME_CONFIG] - Game configuration
+   *
+   * @example
+   * const strategy = new StrategyAI('hard', createRandom(seed));
+   * // every frame, before the physics update:
+   * strategy.update(frameCount, racers, racingPath, physics, totalLaps);
+   */
+  constructor(difficulty = 'normal', random = Math.random, config = GAME_CONFIG) {
+    if (!AI_DIFFICULTIES[difficulty]) {
+      throw new Error(`Unknown AI difficulty '${difficulty}'`);
+    }
+
+    this.difficulty = difficulty;
+    this.level = AI_DIFFICULTIES[difficulty];
+    this.random = random;
+    this.config = config;
+
+    this.replanFrames = Math.max(1, Math.round(this.level.replanSeconds * config.fps));
+    this.styles = new Map(); // Racer id -> params it started the race with
+  }
+
+  /**
+   * Re-plan AI riders when their plan is due. Only racers with strategyAI set
+   * are planned for; players and static AI keep their params.
+   *
+   * @param {number} frameCount - Current simulation frame
+   * @param {Array<Racer>} racers - All racers
+   * @param {Array} racingPath - Array of path points
+   * @param {PhysicsEngine} physics - The session's physics engine
+   * @param {number} totalLaps - Total laps in the race
+   */
+  update(frameCount, racers, racingPath, physics, totalLaps) {
+    const raceFrame = frameCount - this.config.startDelayFrames;
+    if (raceFrame < 0 || raceFrame % this.replanFrames !== 0) {
+      return;
+    }
+
+    const lapLength = physics.getPathSpacing(racingPath) * racingPath.length;
+    const order = sortByRacePosition(racers).filter(r => r.isRunning());
+
+    order.forEach((racer, i) => {
+      if (!racer.strategyAI || racer.isPlayer || racer.pitPhase) {
+        return;
+      }
+      const ahead = i > 0 ? order[i - 1] : null;
+      const behind = i < order.length - 1 ? order[i + 1] : null;
+      racer.setParams(this.plan(racer, ahead, behind, lapLength, totalLaps, physics));
+    });
+  }
+
+  /**
+   * Work out a rider's params for the next few seconds
+   *
+   * @param {Racer} racer - Rider to plan for
+   * @param {Racer|null} ahead - Rider one place ahead in the race
+   * @param {Racer|null} behind - Rider one place behind in the race
+   * @param {number} lapLength - Lap length in pixels
+   * @param {number} totalLaps - Total laps in the race
+   * @param {PhysicsEngine} physics - The session's physics engine
+   * @returns {{engineMap: number, tireAggression: number, risk: number}} New params
+   */
+  plan(racer, ahead, behind, lapLength, totalLaps, physics) {
+    if (!this.styles.has(racer.id)) {
+      this.styles.set(racer.id, { ...racer.params });
+    }
+    const style = this.styles.get(racer.id);
+    const level = this.level;
+
+    // Fight for position with whoever is close on either side
+    const attacking = ahead && (ahead.progress - racer.progress) * lapLength < this.config.aiAttackDistance;
+    const defending = behind && (racer.progress - behind.progress) * lapLength < this.config.aiDefendDistance;
+    let push = 0;
+    if (attacking) {
+      push = 1;
+    } else if (defending) {
+      push = 0.5;
+    }
+
+    // Distance the fuel and tyres must last: to the flag, or to the box
+    const stintLaps = racer.pitRequested
+      ? 1 - (racer.progress - racer.lap)
+      : Math.max(0, totalLaps - racer.progress);
+    const stintDistance = stintLaps * lapLength * (1 + level.estimateError * (this.random() * 2 - 1));
+
+    let engineMap = Math.min(style.engineMap + push * level.pushMap, this.getFuelLimitedMap(racer, stintDistance));
+    if (racer.engineHeat >= this.config.engineHeatWarning) {
+      engineMap = Math.min(engineMap, this.config.aiHotEngineMap);
+    }
+    const tireAggression = Math.min(style.tireAggression, this.getTyreLimitedAggression(racer, stintDistance, physics));
+    const risk = style.risk + push * level.pushRisk;
+
+    return {
+      engineMap: Math.round(clamp(engineMap, 0, 100)),
+      tireAggression: Math.round(clamp(tireAggression, 0, 100)),
+      risk: Math.round(clamp(risk, 0, 100))
+    };
+  }
+
+  /**
+   * Highest engine map whose consumption leaves the fuel margin at the end of
+   * the stint. Fuel drain is per pixel travelled (see PhysicsEngine.updateRacer).
+   *
+   * @param {Racer} racer - Rider to plan for
+   * @param {number} distance - Pixels the fuel must last
+   * @returns {number} Engine map (may be outside 0-100)
+   */
+  getFuelLimitedMap(racer, distance) {
+    if (distance <= 0) {
+      return 100;
+    }
+    const perPixel = (racer.fuel - this.level.fuelMargin) / distance;
+    return (perPixel - this.config.fuelDrainBase) / this.config.fuelDrainEngineMultiplier * 100;
+  }
+
+  /**
+   * Highest tyre aggression whose wear keeps the tyres above the compound's
+   * cliff (plus the tyre margin) at the end of the stint. Wear is estimated at
+   * the tyre's average condition over the stint.
+   *
+   * @param {Racer} racer - Rider to plan for
+   * @param {number} distance - Pixels the tyres must last
+   * @param {PhysicsEngine} physics - The session's physics engine
+   * @returns {number} Tyre aggression (may be outside 0-100)
+   */
+  getTyreLimitedAggression(racer, distance, physics) {
+    if (distance <= 0) {
+      return 100;
+    }
+    const compound = racer.getTireCompound();
+    const floor = compound.cliff + this.level.tyreMargin;
+    const averageTires = (racer.tires + floor) / 2;
+    const wearFactor = compound.wearRate *
+                       (1 + compound.wearCurve * (1 - averageTires / 100)) *
+                       (1 + (compound.wetWearFactor - 1) * physics.getWetness()) *
+                       (1 - this.config.driverTyreEffect * racer.getSkill('tyreManagement'));
+
+    const perPixel = (racer.tires - floor) / (distance * wearFactor);
+    return (perPixel - this.config.tireDrainBase) / this.config.tireDrainTireMultiplier * 100;
+  }
+}
+
+/**
+ * Clamp a value to a range
+ *
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,156 @@
+/**
+ * Weather System
+ * Tracks race conditions and how wet the track surface is over time.
+ *
+ * Conditions change either on a fixed schedule (race-clock seconds) or at random
+ * using the session's seeded random source. Track wetness then drifts towards the
+ * new condition gradually, so a dry track passes through damp before it is wet.
+ *
+ * @module engine/weather
+ */
+
+import { GAME_CONFIG } from '../config/gameConfig.js';
+import { WEATHER_CONDITIONS, WEATHER_CONDITION_KEYS } from '../config/constants.js';
+
+export class WeatherSystem {
+  /**
+   * @param {string|Object} [options='dry'] - Condition key, 'random', or a weather definition
+   * @param {string} [options.initial='dry'] - Starting condition
+   * @param {Array<{at: number, condition: string}>} [options.schedule] - Changes at race-clock seconds
+   * @param {boolean} [options.random=false] - Change conditions at random (seeded)
+   * @param {Function} [random=Math.random] - Random source for random weather
+   * @param {Object} [config=GAME_CONFIG] - Game configuration
+   *
+   * @example
+   * new WeatherSystem('wet');
+   * new WeatherSystem({ initial: 'dry', schedule: [{ at: 40, condition: 'wet' }] });
+   * new WeatherSystem('random', createRandom(seed));
+   */
+  constructor(options = 'dry', random = Math.random, config = GAME_CONFIG) {
+    if (typeof options === 'string') {
+      options = options === 'random' ? { random: true } : { initial: options };
+    }
+
+    this.config = config;
+    this.random = random;
+    this.initial = options.initial || 'dry';
+    this.schedule = [...(options.schedule || [])].sort((a, b) => a.at - b.at);
+    this.isRandom = !!options.random;
+
+    if (!WEATHER_CONDITIONS[this.initial]) {
+      throw new Error(`Unknown weather condition '${this.initial}'`);
+    }
+
+    // Condition the track is heading towards, and how wet it is right now
+    this.targetCondition = this.initial;
+    this.wetness = WEATHER_CONDITIONS[this.initial].wetness;
+    this.changes = [];
+    this.nextScheduleIndex = 0;
+    this.nextRandomCheck = config.weatherCheckSeconds;
+  }
+
+  /**
+   * Advance the weather by one frame
+   *
+   * @param {number} frameCount - Current simulation frame
+   */
+  update(frameCount) {
+    const raceTime = (frameCount - this.config.startDelayFrames) / this.config.fps;
+    if (raceTime < 0) {
+      return;
+    }
+
+    // Scheduled changes
+    while (this.nextScheduleIndex < this.schedule.length &&
+           this.schedule[this.nextScheduleIndex].at <= raceTime) {
+      this.setCondition(this.schedule[this.nextScheduleIndex].condition, raceTime);
+      this.nextScheduleIndex++;
+    }
+
+    // Random changes move one step drier or wetter
+    if (this.isRandom && raceTime >= this.nextRandomCheck) {
+      this.nextRandomCheck += this.config.weatherCheckSeconds;
+      if (this.random() < this.config.weatherChangeChance) {
+        const idx = WEATHER_CONDITION_KEYS.indexOf(this.targetCondition);
+        let step = this.random() < 0.5 ? -1 : 1;
+        if (idx + step < 0 || idx + step >= WEATHER_CONDITION_KEYS.length) {
+          step = -step;
+        }
+        this.setCondition(WEATHER_CONDITION_KEYS[idx + step], raceTime);
+      }
+    }
+
+    // Track surface drifts towards the target condition
+    const target = WEATHER_CONDITIONS[this.targetCondition].wetness;
+    const rate = 1 / (this.config.weatherTransitionSeconds * this.config.fps);
+    if (this.wetness < target) {
+      this.wetness = Math.min(target, this.wetness + rate);
+    } else if (this.wetness > target) {
+      this.wetness = Math.max(target, this.wetness - rate);
+    }
+  }
+
+  /**
+   * Change the target condition
+   *
+   * @param {string} condition - Condition key
+   * @param {number} raceTime - Race-clock seconds of the change
+   */
+  setCondition(condition, raceTime) {
+    if (!WEATHER_CONDITIONS[condition]) {
+      throw new Error(`Unknown weather condition '${condition}'`);
+    }
+    if (condition === this.targetCondition) {
+      return;
+    }
+    this.changes.push({ at: raceTime, from: this.targetCondition, to: condition });
+    this.targetCondition = condition;
+  }
+
+  /**
+   * Condition matching the current surface wetness (for display)
+   *
+   * @returns {string} Condition key
+   */
+  getCondition() {
+    if (this.wetness >= 0.75) {
+      return 'wet';
+    }
+    if (this.wetness >= 0.25) {
+      return 'damp';
+    }
+    return 'dry';
+  }
+
+  /**
+   * Get display info for the current surface condition
+   *
+   * @returns {Object} Condition with name, icon and wetness
+   */
+  getConditionInfo() {
+    return WEATHER_CONDITIONS[this.getCondition()];
+  }
+
+  /**
+   * Check whether conditions are still changing towards a new target
+   *
+   * @returns {boolean} True while the track is wetting or drying
+   */
+  isTransitioning() {
+    return this.wetness !== WEATHER_CONDITIONS[this.targetCondition].wetness;
+  }
+
+  /**
+   * Get weather summary for results
+   *
+   * @returns {Object} Initial/final conditions and changes that happened
+   */
+  getSummary() {
+    return {
+      initial: this.initial,
+      final: this.getCondition(),
+      wetness: this.wetness,
+      changes: [...this.changes]
+    };
+  }
+}
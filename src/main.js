@@ -13,6 +13,12 @@ import { PlayerControls } from './ui/PlayerControls.js';
 import { RaceHUD } from './ui/RaceHUD.js';
 import { RaceCountdown } from './ui/RaceCountdown.js';
 import { KeyboardShortcuts } from './ui/KeyboardShortcuts.js';
+import { BikeSetupPanel } from './ui/BikeSetupPanel.js';
+import { ChampionshipPanel } from './ui/ChampionshipPanel.js';
+import { loadBikeSetups, saveBikeSetup } from './state/setupStorage.js';
+import { loadChampionship, saveChampionship } from './state/championshipStorage.js';
+import { Championship } from './core/championship.js';
+import { sortByRacePosition, getFastestLap, getBestSectorTimes } from './core/standings.js';
 import { PLAYER_INDICES } from './config/constants.js';
 import { DEFAULT_TRACK, AVAILABLE_TRACKS } from './config/tracks.js';
 
@@ -91,6 +97,12 @@ async function initGame() {
   const raceHUD = new RaceHUD('gameContainer');
   const raceCountdown = new RaceCountdown('gameContainer');
   const keyboardShortcuts = new KeyboardShortcuts('gameContainer');
+  const bikeSetupPanel = new BikeSetupPanel('gameContainer');
+  const championshipPanel = new ChampionshipPanel('gameContainer');
+
+  // Season in progress (carries on from the last visit)
+  let championship = loadChampionship();
+  topBar.updateChampionship(championship);
 
   // Render new UI components
   raceHUD.render();
@@ -124,19 +136,17 @@ async function initGame() {
       const racer = session.racers.find(r => r.id === selectedId) || session.racers[0];
 
       // Calculate position
-      const sorted = [...session.racers].sort((a, b) => {
-        if (a.finished && b.finished) {
-          return a.finishTime - b.finishTime;
-        }
-        if (a.finished !== b.finished) {
-          return a.finished ? -1 : 1;
-        }
-        return b.progress - a.progress;
-      });
+      const sorted = sortByRacePosition(session.racers);
       const position = sorted.findIndex(r => r.id === racer.id) + 1;
 
       // Update HUD
-      this.raceHUD.update(racer, position, session.racers.length, session.totalLaps);
+      this.raceHUD.update(racer, position, session.racers.length, session.totalLaps, session.weather, {
+        raceTime: session.physics.getRaceTime(session.raceFrameCount),
+        sectorCount: session.physics.sectors.length,
+        fastestLap: getFastestLap(session.racers),
+        bestSectors: getBestSectorTimes(session.racers)
+      });
+      topBar.updateWeather(session.weather);
     }
   };
 
@@ -150,6 +160,12 @@ async function initGame() {
     if (!this.state.get('isPaused')) {
       this._updateHUD();
     }
+
+    // Countdown follows the simulation clock, so it holds while paused
+    const session = this.sessions[0];
+    if (session && session.startProcedure) {
+      raceCountdown.update(session.startProcedure.getLights(session.raceFrameCount));
+    }
   };
   // Re-bind for requestAnimationFrame
   gameManager._boundGameLoop = gameManager.gameLoop.bind(gameManager);
@@ -184,6 +200,7 @@ async function initGame() {
 
     // Update pause button UI
     topBar.updatePauseButton(false);
+    topBar.updateTrack(mode);
 
     // Create sessions based on mode
     if (canvasGrid) {
@@ -191,7 +208,15 @@ async function initGame() {
     }
     // Create track based on selected mode
     const trackInfo = AVAILABLE_TRACKS.find(t => t.id === mode) || AVAILABLE_TRACKS[0];
-    this.sessions.push(new RaceSession('canvasGrid', mode, trackInfo.name));
+    // Racing the season's next track scores the round; any other race is a friendly
+    const round = championship && championship.getCurrentTrack() === mode ? championship.getRoundNumber() : null;
+    this.sessions.push(new RaceSession('canvasGrid', mode, trackInfo.name, {
+      weather: this.state.get('weather'),
+      start: this.state.get('startProcedure'),
+      aiDifficulty: this.state.get('aiDifficulty'),
+      bikeSetups: loadBikeSetups(mode),
+      onFinish: round ? (session) => finishChampionshipRound(session, round) : undefined
+    }));
 
     // Initialize all sessions (async)
     Promise.all(this.sessions.map(session => session.init())).then(() => {
@@ -211,7 +236,7 @@ async function initGame() {
         scoreboard.resetPositions();
       }
 
-      // Start countdown animation then start game loop
+      // Show the countdown overlay (its steps follow the session's frames)
       raceCountdown.start(
         () => {
           // Countdown complete - game already running
@@ -226,6 +251,47 @@ async function initGame() {
     });
   };
 
+  /**
+   * Championship panel handlers: start a season, race its next round or drop it
+   * @param {Object} [lastRound] - Round just raced, shown above the standings
+   */
+  function openChampionshipPanel(lastRound = null) {
+    championshipPanel.open({
+      championship,
+      lastRound,
+      onStart: (pointsSystem) => {
+        championship = new Championship({ pointsSystem });
+        saveChampionship(championship);
+        topBar.updateChampionship(championship);
+        gameManager.changeMode(championship.getCurrentTrack());
+      },
+      onNext: () => {
+        gameManager.changeMode(championship.getCurrentTrack());
+      },
+      onAbandon: () => {
+        championship = null;
+        saveChampionship(null);
+        topBar.updateChampionship(null);
+      }
+    });
+  }
+
+  /**
+   * Scores a finished championship race and shows the standings
+   * @param {RaceSession} session - Finished session
+   * @param {number} round - Round the session was started for
+   */
+  function finishChampionshipRound(session, round) {
+    // The season may have been dropped or restarted during the race
+    if (!championship || championship.getRoundNumber() !== round) {
+      return;
+    }
+    const result = championship.recordRace(session.racers);
+    saveChampionship(championship);
+    topBar.updateChampionship(championship);
+    openChampionshipPanel(result);
+  }
+
   // Bind top bar event handlers
   topBar.bindEventHandlers({
     onPauseToggle: () => {
@@ -246,16 +312,51 @@ async function initGame() {
     },
     onTrackChange: (trackId) => {
       gameManager.changeMode(trackId);
+    },
+    onWeatherChange: (weather) => {
+      gameManager.state.setWeather(weather);
+      gameManager.restart();
+    },
+    onStartChange: (startProcedure) => {
+      gameManager.state.setStartProcedure(startProcedure);
+      gameManager.restart();
+    },
+    onAiDifficultyChange: (aiDifficulty) => {
+      gameManager.state.setAiDifficulty(aiDifficulty);
+      gameManager.restart();
+    },
+    onSetupOpen: () => {
+      const session = gameManager.sessions[0];
+      if (!session) {
+        return;
+      }
+      const trackId = gameManager.state.get('currentTrack');
+      const trackInfo = AVAILABLE_TRACKS.find(t => t.id === trackId) || AVAILABLE_TRACKS[0];
+      bikeSetupPanel.open({
+        trackName: trackInfo.name,
+        players: PLAYER_INDICES.map(i => session.racers[i]).filter(Boolean).map(r => ({ id: r.id, name: r.name })),
+        setups: loadBikeSetups(trackId),
+        onSave: (setups) => {
+          for (const id in setups) {
+            saveBikeSetup(trackId, id, setups[id]);
+          }
+          gameManager.restart();
+        }
+      });
+    },
+    onChampionshipOpen: () => {
+      openChampionshipPanel();
     }
   });
 
   // Override scoreboard update to handle pilot selection
   const originalScoreboardUpdate = scoreboard.update.bind(scoreboard);
   scoreboard.update = function(racers, totalLaps, selectedRacerId) {
+    const session = gameManager.sessions[0];
     originalScoreboardUpdate(racers, totalLaps, selectedRacerId, (id) => {
       window.globalSelectedRacerId = id;
       gameManager.selectPilot(id);
-    });
+    }, { safetyCar: session ? session.safetyCar : null });
   };
 
   // Override player controls update
@@ -268,6 +369,15 @@ async function initGame() {
       },
       onUpdateParam: (racerId, param, value) => {
         gameManager.updateParam(racerId, param, value);
+      },
+      onTogglePit: (racerId) => {
+        gameManager.togglePitRequest(racerId);
+      },
+      onSelectCompound: (racerId, compound) => {
+        gameManager.setTireCompound(racerId, compound);
+      },
+      onSelectFuel: (racerId, amount) => {
+        gameManager.setStartingFuel(racerId, amount);
       }
     });
   };
@@ -276,8 +386,8 @@ async function initGame() {
   document.getElementById('loadingMessage').classList.add('hidden');
   document.getElementById('gameContainer').classList.remove('hidden');
 
-  // Start with default track (Track1)
-  gameManager.changeMode(DEFAULT_TRACK);
+  // Start with the season's next round, or the default track (Track1)
+  gameManager.changeMode(championship && !championship.isComplete() ? championship.getCurrentTrack() : DEFAULT_TRACK);
 
   // Expose gameManager for debugging
   window.gameManager = gameManager;
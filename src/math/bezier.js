@@ -4,6 +4,12 @@
  * @module math/bezier
  */
 
+import { STEP_SIZE } from '../config/gameConfig.js';
+import { resamplePolyline } from './polyline.js';
+
+// Samples per pixel of (estimated) segment length before arc-length resampling
+const OVERSAMPLING = 4;
+
 /**
  * Calculates a point on a cubic Bezier curve at parameter t.
  * Uses the cubic Bezier formula:
@@ -38,7 +44,9 @@ export function getBezierPoint(p0, cp1, cp2, p3, t) {
 /**
  * Generates a smooth racing line from an array of Bezier curve nodes.
  * Each node contains an anchor point and two handle points (handleIn, handleOut).
- * The function connects nodes in sequence, forming a closed loop.
+ * The function connects nodes in sequence, forming a closed loop, then
+ * resamples it by arc length so points are evenly `spacing` pixels apart no
+ * matter how long each segment is. The first point is always the first node.
  *
  * Node structure:
  * {
@@ -50,6 +58,7 @@ export function getBezierPoint(p0, cp1, cp2, p3, t) {
  *
  * @param {Array<{x: number, y: number, handleIn: {x: number, y: number}, handleOut: {x: number, y: number}}>} nodes
  *   Array of Bezier nodes defining the racing line
+ * @param {number} [spacing=STEP_SIZE] - Distance between consecutive points in pixels (GAME_CONFIG.stepSize)
  * @returns {Array<{x: number, y: number}>} Array of points forming the racing line path
  *
  * @example
@@ -58,12 +67,11 @@ export function getBezierPoint(p0, cp1, cp2, p3, t) {
  *   { x: 200, y: 150, handleIn: { x: -20, y: 0 }, handleOut: { x: 20, y: 0 } },
  *   { x: 150, y: 200, handleIn: { x: 0, y: -20 }, handleOut: { x: 0, y: 20 } }
  * ];
- * const racingLine = generateRacingLineFromNodes(nodes);
- * // Returns ~180 points (3 nodes × 60 points per segment)
+ * const racingLine = generateRacingLineFromNodes(nodes, 2);
+ * // Returns one point every 2 pixels along the loop
  */
-export function generateRacingLineFromNodes(nodes) {
+export function generateRacingLineFromNodes(nodes, spacing = STEP_SIZE) {
     let path = [];
-    const pointsPerSegment = 60;
 
     for (let i = 0; i < nodes.length; i++) {
         const curr = nodes[i];
@@ -77,12 +85,16 @@ export function generateRacingLineFromNodes(nodes) {
         const cp1 = { x: curr.x + curr.handleOut.x, y: curr.y + curr.handleOut.y };
         const cp2 = { x: next.x + next.handleIn.x, y: next.y + next.handleIn.y };
 
-        // Sample the Bezier curve
+        // Sample the Bezier curve densely; the control polygon bounds the curve length
+        const estimate = Math.hypot(cp1.x - p0.x, cp1.y - p0.y) +
+                         Math.hypot(cp2.x - cp1.x, cp2.y - cp1.y) +
+                         Math.hypot(p3.x - cp2.x, p3.y - cp2.y);
+        const pointsPerSegment = Math.max(60, Math.ceil(estimate * OVERSAMPLING / spacing));
         for (let j = 0; j < pointsPerSegment; j++) {
             const t = j / pointsPerSegment;
             path.push(getBezierPoint(p0, cp1, cp2, p3, t));
         }
     }
 
-    return path;
+    return resamplePolyline(path, spacing, true);
 }
@@ -0,0 +1,125 @@
+/**
+ * Polyline utilities for following open paths by distance.
+ * @module math/polyline
+ */
+
+/**
+ * Measures a polyline, returning the cumulative distance at each point.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline points in order
+ * @returns {Array<number>} Cumulative distances (first entry is 0, last is the total length)
+ *
+ * @example
+ * measurePolyline([{ x: 0, y: 0 }, { x: 3, y: 4 }, { x: 3, y: 10 }]);
+ * // [0, 5, 11]
+ */
+export function measurePolyline(points) {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const curr = points[i];
+        lengths.push(lengths[i - 1] + Math.hypot(curr.x - prev.x, curr.y - prev.y));
+    }
+    return lengths;
+}
+
+/**
+ * Finds the point and heading at a given distance along a polyline.
+ * Distances outside the polyline are clamped to its ends.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline points in order
+ * @param {Array<number>} lengths - Cumulative distances from measurePolyline
+ * @param {number} distance - Distance from the first point
+ * @returns {{x: number, y: number, angle: number}} Interpolated point and heading in radians
+ *
+ * @example
+ * const pts = [{ x: 0, y: 0 }, { x: 10, y: 0 }];
+ * pointAtDistance(pts, measurePolyline(pts), 4);
+ * // { x: 4, y: 0, angle: 0 }
+ */
+export function pointAtDistance(points, lengths, distance) {
+    const total = lengths[lengths.length - 1];
+    const d = Math.max(0, Math.min(distance, total));
+
+    // Binary search for the segment containing d
+    let lo = 0;
+    let hi = lengths.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (lengths[mid] <= d) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    const a = points[lo];
+    const b = points[hi];
+    const segLen = lengths[hi] - lengths[lo];
+    const t = segLen > 0 ? (d - lengths[lo]) / segLen : 0;
+
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        angle: Math.atan2(b.y - a.y, b.x - a.x)
+    };
+}
+
+/**
+ * Resamples a polyline so consecutive points are (almost) evenly spaced by
+ * arc length. The first point is kept; for a closed loop the spacing is
+ * stretched slightly so the last gap back to the first point matches too.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline points in order
+ * @param {number} spacing - Desired distance between points in pixels
+ * @param {boolean} [closed=false] - Whether the polyline loops back to its first point
+ * @returns {Array<{x: number, y: number}>} Evenly spaced points
+ *
+ * @example
+ * resamplePolyline([{ x: 0, y: 0 }, { x: 10, y: 0 }], 2.5);
+ * // [{x: 0, y: 0}, {x: 2.5, y: 0}, {x: 5, y: 0}, {x: 7.5, y: 0}, {x: 10, y: 0}]
+ */
+export function resamplePolyline(points, spacing, closed = false) {
+    if (points.length < 2) {
+        return points.map(p => ({ x: p.x, y: p.y }));
+    }
+
+    const loop = closed ? [...points, points[0]] : points;
+    const lengths = measurePolyline(loop);
+    const total = lengths[lengths.length - 1];
+    const count = Math.max(1, Math.round(total / spacing));
+    const step = total / count;
+
+    // Closed loops stop one step short: the next point would be the first again
+    const samples = closed ? count : count + 1;
+    const result = [];
+    for (let i = 0; i < samples; i++) {
+        const { x, y } = pointAtDistance(loop, lengths, i * step);
+        result.push({ x, y });
+    }
+    return result;
+}
+
+/**
+ * Finds the polyline point nearest to a position.
+ *
+ * @param {Array<{x: number, y: number}>} points - Polyline points
+ * @param {{x: number, y: number}} position - Position to look up
+ * @returns {{index: number, distance: number}} Index of the nearest point and its distance
+ *
+ * @example
+ * nearestPoint([{ x: 0, y: 0 }, { x: 10, y: 0 }], { x: 8, y: 3 });
+ * // { index: 1, distance: 3.605... }
+ */
+export function nearestPoint(points, position) {
+    let index = 0;
+    let distance = Infinity;
+    for (let i = 0; i < points.length; i++) {
+        const d = Math.hypot(points[i].x - position.x, points[i].y - position.y);
+        if (d < distance) {
+            distance = d;
+            index = i;
+        }
+    }
+    return { index, distance };
+}
@@ -0,0 +1,96 @@
+/**
+ * Uniform grid broadphase for finding points that are close to each other.
+ * Replaces an all-pairs scan when there are many points spread over a
+ * large area, such as a full grid of bikes on track.
+ * @module math/spatialGrid
+ */
+
+/**
+ * Finds every pair of points closer than `reach` to each other.
+ * Points are bucketed into square cells of side `reach`, so only the
+ * 3×3 block of cells around each point needs checking. Pairs come back
+ * ordered exactly as a nested `for (i) for (j > i)` loop would visit them,
+ * which lets callers that mutate state per pair stay deterministic.
+ *
+ * @param {Array<{x: number, y: number}|null>} points - Points to test; null entries are ignored
+ * @param {number} reach - Maximum distance between the two points of a pair
+ * @returns {Array<[number, number]>} Index pairs [i, j] with i < j, sorted by i then j
+ *
+ * @example
+ * findNearbyPairs([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 100, y: 0 }], 10);
+ * // [[0, 1]]
+ */
+export function findNearbyPairs(points, reach) {
+    const cells = new Map();
+    const coords = [];
+
+    for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        if (!p) {
+            coords.push(null);
+            continue;
+        }
+        const cx = Math.floor(p.x / reach);
+        const cy = Math.floor(p.y / reach);
+        coords.push({ cx, cy });
+
+        const key = cellKey(cx, cy);
+        const bucket = cells.get(key);
+        if (bucket) {
+            bucket.push(i);
+        } else {
+            cells.set(key, [i]);
+        }
+    }
+
+    const pairs = [];
+    const reachSq = reach * reach;
+
+    for (let i = 0; i < points.length; i++) {
+        if (!coords[i]) {
+            continue;
+        }
+        const { cx, cy } = coords[i];
+        const p = points[i];
+        const neighbours = [];
+
+        for (let ox = -1; ox <= 1; ox++) {
+            for (let oy = -1; oy <= 1; oy++) {
+                const bucket = cells.get(cellKey(cx + ox, cy + oy));
+                if (!bucket) {
+                    continue;
+                }
+                for (const j of bucket) {
+                    if (j <= i) {
+                        continue;
+                    }
+                    const dx = points[j].x - p.x;
+                    const dy = points[j].y - p.y;
+                    if (dx * dx + dy * dy < reachSq) {
+                        neighbours.push(j);
+                    }
+                }
+            }
+        }
+
+        neighbours.sort((a, b) => a - b);
+        for (const j of neighbours) {
+            pairs.push([i, j]);
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Packs cell coordinates into a single integer map key.
+ * Cells wrap every 65536 in each direction, far beyond any track; a wrapped
+ * collision would only add candidates, which are distance-checked anyway.
+ *
+ * @param {number} cx - Cell column
+ * @param {number} cy - Cell row
+ * @returns {number} Map key
+ */
+function cellKey(cx, cy) {
+    return ((cx & 0xffff) << 16) | (cy & 0xffff);
+}
@@ -0,0 +1,115 @@
+/**
+ * Curvature and target-speed profiles along a closed racing line.
+ * Lets riders brake for a corner before they reach it instead of reacting
+ * to the steering error once they are already turning.
+ * @module math/speedProfile
+ */
+
+/**
+ * Computes the curvature (1 / radius) at every point of a closed path.
+ * Heading change is measured between points roughly `window` pixels before
+ * and after each point, which smooths out uneven point spacing.
+ *
+ * @param {Array<{x: number, y: number}>} path - Closed racing line
+ * @param {number} [window=30] - Half-length in pixels of the measuring window
+ * @returns {Array<number>} Signed curvature per point (positive turns right on screen)
+ *
+ * @example
+ * // A circle of radius 100 has curvature 0.01 everywhere
+ * const circle = Array.from({ length: 360 }, (_, i) => ({
+ *   x: 100 * Math.cos(i * Math.PI / 180),
+ *   y: 100 * Math.sin(i * Math.PI / 180)
+ * }));
+ * computeCurvature(circle)[0]; // ≈ 0.01
+ */
+export function computeCurvature(path, window = 30) {
+    const n = path.length;
+    const curvature = new Array(n).fill(0);
+    if (n < 3) {
+        return curvature;
+    }
+
+    for (let i = 0; i < n; i++) {
+        const back = walk(path, i, -1, window);
+        const ahead = walk(path, i, 1, window);
+        const p = path[i];
+        const a = path[back.index];
+        const b = path[ahead.index];
+
+        let turn = Math.atan2(b.y - p.y, b.x - p.x) - Math.atan2(p.y - a.y, p.x - a.x);
+        while (turn <= -Math.PI) {
+            turn += Math.PI * 2;
+        }
+        while (turn > Math.PI) {
+            turn -= Math.PI * 2;
+        }
+
+        const arc = back.distance + ahead.distance;
+        curvature[i] = arc > 0 ? turn / (arc / 2) : 0;
+    }
+
+    return curvature;
+}
+
+/**
+ * Builds the target speed at every point of a closed path.
+ * Each point's cornering limit is sqrt(lateralGrip / |curvature|), capped at
+ * `maxSpeed`; limits are then propagated backwards at `braking` so that a
+ * rider at or below the target can always slow down in time for what is ahead.
+ *
+ * @param {Array<{x: number, y: number}>} path - Closed racing line
+ * @param {Array<number>} curvature - Curvature per point from computeCurvature()
+ * @param {Object} options - Profile options
+ * @param {number|Array<number>} options.lateralGrip - Lateral acceleration limit (px/frame²), or one per point
+ * @param {number} options.braking - Braking deceleration (px/frame²)
+ * @param {number} options.maxSpeed - Speed cap on straights (px/frame)
+ * @returns {Array<number>} Target speed per point (px/frame)
+ *
+ * @example
+ * const curvature = computeCurvature(path);
+ * const target = buildSpeedProfile(path, curvature, { lateralGrip: 0.03, braking: 0.02, maxSpeed: 4 });
+ */
+export function buildSpeedProfile(path, curvature, { lateralGrip, braking, maxSpeed }) {
+    const n = path.length;
+    const target = curvature.map((k, i) => {
+        const abs = Math.abs(k);
+        const grip = Array.isArray(lateralGrip) ? lateralGrip[i] : lateralGrip;
+        return abs > 0 ? Math.min(maxSpeed, Math.sqrt(grip / abs)) : maxSpeed;
+    });
+
+    // Two passes round the loop so braking zones carry across the start line
+    for (let pass = 0; pass < 2; pass++) {
+        for (let i = n - 1; i >= 0; i--) {
+            const next = (i + 1) % n;
+            const ds = Math.hypot(path[next].x - path[i].x, path[next].y - path[i].y);
+            // v² = v_next² + 2·a·d, with speeds per frame and distance in pixels
+            const reachable = Math.sqrt(target[next] * target[next] + 2 * braking * ds);
+            if (reachable < target[i]) {
+                target[i] = reachable;
+            }
+        }
+    }
+
+    return target;
+}
+
+/**
+ * Walks along a closed path from a point until `distance` pixels are covered.
+ *
+ * @param {Array<{x: number, y: number}>} path - Closed path
+ * @param {number} start - Starting index
+ * @param {number} step - +1 to walk forwards, -1 backwards
+ * @param {number} distance - Distance to cover in pixels
+ * @returns {{index: number, distance: number}} Index reached and distance actually covered
+ */
+function walk(path, start, step, distance) {
+    const n = path.length;
+    let index = start;
+    let covered = 0;
+    for (let k = 0; k < n - 1 && covered < distance; k++) {
+        const next = (index + step + n) % n;
+        covered += Math.hypot(path[next].x - path[index].x, path[next].y - path[index].y);
+        index = next;
+    }
+    return { index, distance: covered };
+}
@@ -0,0 +1,74 @@
+/**
+ * Track edge geometry built from a racing line and a width profile.
+ * @module math/trackBoundaries
+ */
+
+/**
+ * Half-widths of the track at a lap fraction.
+ * Sections override the default widths between two lap fractions; a section
+ * whose `to` is smaller than its `from` wraps past the start/finish line.
+ *
+ * @param {{left: number, right: number, sections?: Array}} profile - Width profile from getTrackWidth()
+ * @param {number} fraction - Lap fraction (0-1)
+ * @returns {{left: number, right: number}} Half-widths in pixels
+ *
+ * @example
+ * const profile = { left: 40, right: 40, sections: [{ from: 0.9, to: 0.1, left: 60, right: 50 }] };
+ * getWidthAt(profile, 0.95); // { left: 60, right: 50 }
+ * getWidthAt(profile, 0.5);  // { left: 40, right: 40 }
+ */
+export function getWidthAt(profile, fraction) {
+    for (const section of profile.sections || []) {
+        const inside = section.from <= section.to
+            ? fraction >= section.from && fraction < section.to
+            : fraction >= section.from || fraction < section.to;
+        if (inside) {
+            return { left: section.left, right: section.right };
+        }
+    }
+    return { left: profile.left, right: profile.right };
+}
+
+/**
+ * Builds the left and right track edges around a closed racing line.
+ * "Right" is the side a rider sees on their right, i.e. the positive lateral
+ * offset used by PhysicsEngine (perpendicular (-ty, tx) in screen space).
+ *
+ * @param {Array<{x: number, y: number}>} path - Closed racing line
+ * @param {{left: number, right: number, sections?: Array}} profile - Width profile from getTrackWidth()
+ * @returns {{left: Array<{x: number, y: number}>, right: Array<{x: number, y: number}>,
+ *            leftWidths: Array<number>, rightWidths: Array<number>}} Edge polylines and
+ *            half-widths, one entry per path point
+ */
+export function buildTrackBoundaries(path, profile) {
+    const boundaries = { left: [], right: [], leftWidths: [], rightWidths: [] };
+    const n = path.length;
+
+    for (let i = 0; i < n; i++) {
+        const { px, py } = getPathNormal(path, i);
+        const width = getWidthAt(profile, i / n);
+        boundaries.leftWidths.push(width.left);
+        boundaries.rightWidths.push(width.right);
+        boundaries.left.push({ x: path[i].x - px * width.left, y: path[i].y - py * width.left });
+        boundaries.right.push({ x: path[i].x + px * width.right, y: path[i].y + py * width.right });
+    }
+
+    return boundaries;
+}
+
+/**
+ * Unit normal of a closed path at a point (pointing to the rider's right).
+ *
+ * @param {Array<{x: number, y: number}>} path - Closed path
+ * @param {number} index - Point index
+ * @returns {{px: number, py: number}} Unit normal
+ */
+export function getPathNormal(path, index) {
+    const n = path.length;
+    const next = path[(index + 1) % n];
+    const prev = path[(index - 1 + n) % n];
+    const tx = next.x - prev.x;
+    const ty = next.y - prev.y;
+    const len = Math.hypot(tx, ty) || 1;
+    return { px: -ty / len, py: tx / len };
+}
@@ -43,10 +43,102 @@ export class RacerRenderer {
       this.ctx.stroke();
     }
 
-    // Rotate racer sprite
+    // Rotate racer sprite (retired bikes are faded out)
     this.ctx.rotate(racer.angle);
+    if (racer.retired) {
+      this.ctx.globalAlpha = 0.4;
+    }
+
+    this.drawSprite(racer.color);
+
+    this.ctx.restore();
+
+    // Draw racing number and status
+    this.ctx.save();
+    this.ctx.translate(racer.x, racer.y);
+    this.ctx.fillStyle = '#000';
+    this.ctx.font = 'bold 10px Inter';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'bottom';
+    this.ctx.fillText(`#${racer.racingNumber}`, 0, -12);
+
+    // Warning icon if out of fuel, spanner while being serviced, crash marker once retired
+    if (racer.retired) {
+      this.ctx.fillText("💥", 0, -25);
+    } else if (racer.pitPhase === 'stopped') {
+      this.ctx.fillText("🔧", 0, -25);
+    } else if (racer.fuel <= 0) {
+      this.ctx.fillText("⚠️", 0, -25);
+    }
+
+    // Blue flag while letting a lapping rider through
+    if (racer.blueFlagFor !== null && racer.isRunning()) {
+      this.drawBlueFlag(14, -24);
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw a small waving blue flag on a pole, pole foot at (x, y)
+   * @param {number} x - Pole foot x, relative to the current origin
+   * @param {number} y - Pole foot y, relative to the current origin
+   */
+  drawBlueFlag(x, y) {
+    this.ctx.strokeStyle = '#374151';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y + 12);
+    this.ctx.lineTo(x, y);
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = '#2563eb';
+    this.ctx.beginPath();
+    this.ctx.moveTo(x, y);
+    this.ctx.quadraticCurveTo(x + 5, y - 2, x + 10, y);
+    this.ctx.lineTo(x + 10, y + 6);
+    this.ctx.quadraticCurveTo(x + 5, y + 4, x, y + 6);
+    this.ctx.closePath();
+    this.ctx.fill();
+  }
+
+  /**
+   * Draw a pace vehicle leading the field, with its label above it
+   * @param {Object} vehicle - The PaceVehicle to draw
+   * @param {Object} camera - Camera object with x, y, viewportWidth, viewportHeight, zoom
+   */
+  drawPaceVehicle(vehicle, camera) {
+    const margin = 100;
+    const viewWidth = (camera.viewportWidth || 1400) / (camera.zoom || 1);
+    const viewHeight = (camera.viewportHeight || 800) / (camera.zoom || 1);
+
+    if (!vehicle.active ||
+        vehicle.x < camera.x - margin || vehicle.x > camera.x + viewWidth + margin ||
+        vehicle.y < camera.y - margin || vehicle.y > camera.y + viewHeight + margin) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.translate(vehicle.x, vehicle.y);
+    this.ctx.rotate(vehicle.angle);
+    this.drawSprite(vehicle.color);
+    this.ctx.restore();
 
-    // Draw motorcycle sprite
+    this.ctx.save();
+    this.ctx.translate(vehicle.x, vehicle.y);
+    this.ctx.fillStyle = vehicle.color;
+    this.ctx.font = 'bold 10px Inter';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'bottom';
+    this.ctx.fillText(vehicle.label, 0, -12);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the motorcycle sprite at the origin of the current (rotated) context
+   * @param {string} color - Livery color for the bodywork and rider
+   */
+  drawSprite(color) {
     const scale = 0.7;
     this.ctx.shadowColor = 'rgba(0,0,0,0.4)';
     this.ctx.shadowBlur = 4;
@@ -69,7 +161,7 @@ export class RacerRenderer {
     this.ctx.fillRect(-8 * scale, -2 * scale, 20 * scale, 4 * scale);
 
     // Bike body (colored)
-    this.ctx.fillStyle = racer.color;
+    this.ctx.fillStyle = color;
     this.ctx.beginPath();
     this.ctx.moveTo(-8 * scale, -6 * scale);
     this.ctx.lineTo(6 * scale, -5 * scale);
@@ -81,7 +173,7 @@ export class RacerRenderer {
     this.ctx.fill();
 
     // Rider
-    this.ctx.fillStyle = racer.color;
+    this.ctx.fillStyle = color;
     this.ctx.beginPath();
     this.ctx.ellipse(-2 * scale, 0, 5 * scale, 7 * scale, 0, 0, Math.PI * 2);
     this.ctx.fill();
@@ -98,23 +190,5 @@ export class RacerRenderer {
     this.ctx.arc(0, 0, 3.5 * scale, -Math.PI / 5, Math.PI / 5);
     this.ctx.lineTo(2 * scale, 0);
     this.ctx.fill();
-
-    this.ctx.restore();
-
-    // Draw racing number and status
-    this.ctx.save();
-    this.ctx.translate(racer.x, racer.y);
-    this.ctx.fillStyle = '#000';
-    this.ctx.font = 'bold 10px Inter';
-    this.ctx.textAlign = 'center';
-    this.ctx.textBaseline = 'bottom';
-    this.ctx.fillText(`#${racer.racingNumber}`, 0, -12);
-
-    // Warning icon if out of fuel
-    if (racer.fuel <= 0) {
-      this.ctx.fillText("⚠️", 0, -25);
-    }
-
-    this.ctx.restore();
   }
 }
@@ -13,6 +13,7 @@ export class Renderer {
     this.camera = new Camera(canvasWidth, canvasHeight);
     this.trackRenderer = new TrackRenderer(this.ctx);
     this.racerRenderer = new RacerRenderer(this.ctx);
+    this.rainFrame = 0;
   }
 
   /**
@@ -48,11 +49,21 @@ export class Renderer {
     const hasBackground = !!session.backgroundImage;
     this.trackRenderer.drawTrack(session.visualPath, hasBackground);
 
-    // 2. Draw finish line
+    // 2. Draw finish line, pit lane and surface zones
     this.trackRenderer.drawFinishLine(session.visualPath);
+    if (session.pitLane) {
+      this.trackRenderer.drawPitLane(session.pitLane);
+    }
+    if (session.physics && session.racingPath.length > 0) {
+      this.trackRenderer.drawSurfaceZones(session.racingPath, session.physics.getSurfaceMap(session.racingPath));
+    }
 
-    // 3. Draw debug overlays (racing line and bezier controls)
+    // 3. Draw debug overlays (track limits, racing line and bezier controls)
     if (debugMode) {
+      const boundaries = session.physics ? session.physics.getTrackBoundaries(session.racingPath) : null;
+      if (boundaries) {
+        this.trackRenderer.drawTrackBoundaries(boundaries);
+      }
       this.trackRenderer.drawDebugSplines(session.racingPath, session.bezierNodes);
     }
 
@@ -60,9 +71,57 @@ export class Renderer {
     session.racers.forEach(racer => {
       this.racerRenderer.draw(racer, this.camera, selectedRacerId);
     });
+    if (session.startProcedure && session.startProcedure.paceVehicle) {
+      this.racerRenderer.drawPaceVehicle(session.startProcedure.paceVehicle, this.camera);
+    }
+    if (session.safetyCar) {
+      this.racerRenderer.drawPaceVehicle(session.safetyCar.paceVehicle, this.camera);
+    }
 
     // Restore context state
     this.ctx.restore();
+
+    // 5. Weather overlay (screen space, not affected by the camera)
+    if (session.weather) {
+      this.drawWeather(session.weather);
+    }
+  }
+
+  /**
+   * Draws a rain overlay whose intensity follows track wetness.
+   * Streak positions come from a fixed pattern so rendering never consumes
+   * the race's seeded random numbers.
+   * @param {Object} weather - The session's WeatherSystem
+   */
+  drawWeather(weather) {
+    const wetness = weather.wetness;
+    if (wetness <= 0) {
+      return;
+    }
+
+    const { width, height } = this.canvas;
+    const ctx = this.ctx;
+
+    // Grey-blue tint darkens the scene as the track gets wetter
+    ctx.fillStyle = `rgba(40, 60, 90, ${0.25 * wetness})`;
+    ctx.fillRect(0, 0, width, height);
+
+    // Rain streaks only while it is actually raining
+    if (weather.targetCondition === 'dry') {
+      return;
+    }
+    this.rainFrame++;
+    const drops = Math.round(120 * wetness);
+    ctx.strokeStyle = 'rgba(200, 220, 255, 0.45)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i < drops; i++) {
+      const x = ((i * 97 + this.rainFrame * 2) % (width + 40)) - 20;
+      const y = (i * 53 + this.rainFrame * 14) % height;
+      ctx.moveTo(x, y);
+      ctx.lineTo(x - 4, y + 12);
+    }
+    ctx.stroke();
   }
 
   /**
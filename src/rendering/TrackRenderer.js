@@ -2,6 +2,8 @@
  * TrackRenderer class for drawing track visuals
  * Extracted from RaceSession.draw() method (track drawing logic)
  */
+import { measurePolyline, pointAtDistance } from '../math/polyline.js';
+
 export class TrackRenderer {
   constructor(ctx) {
     this.ctx = ctx;
@@ -101,6 +103,114 @@ export class TrackRenderer {
     this.ctx.restore();
   }
 
+  /**
+   * Draw the pit lane and its service boxes
+   * @param {Object} pitLane - Pit lane definition with path {x, y} points and box fractions
+   */
+  drawPitLane(pitLane) {
+    const path = pitLane.path;
+    if (path.length < 2) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.lineJoin = 'round';
+    this.ctx.lineCap = 'round';
+
+    // Lane surface
+    this.ctx.beginPath();
+    this.ctx.moveTo(path[0].x, path[0].y);
+    for (let i = 1; i < path.length; i++) {
+      this.ctx.lineTo(path[i].x, path[i].y);
+    }
+    this.ctx.lineWidth = 22;
+    this.ctx.strokeStyle = 'rgba(55, 65, 81, 0.6)';
+    this.ctx.stroke();
+
+    // Speed limit line
+    this.ctx.setLineDash([8, 8]);
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeStyle = 'rgba(248, 250, 252, 0.8)';
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    // Service boxes
+    const lengths = measurePolyline(path);
+    const total = lengths[lengths.length - 1];
+    this.ctx.fillStyle = 'rgba(234, 179, 8, 0.8)';
+    pitLane.boxes.forEach(fraction => {
+      const box = pointAtDistance(path, lengths, fraction * total);
+      this.ctx.fillRect(box.x - 4, box.y - 4, 8, 8);
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the surface zones as tinted stretches of the racing line
+   * @param {Array} racingPath - Array of {x, y} points on the racing line
+   * @param {Array<Object|null>} surfaceMap - Surface per point from PhysicsEngine.getSurfaceMap()
+   */
+  drawSurfaceZones(racingPath, surfaceMap) {
+    const n = racingPath.length;
+    if (n < 2) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.lineCap = 'butt';
+    this.ctx.lineJoin = 'round';
+    this.ctx.lineWidth = 30;
+    this.ctx.globalAlpha = 0.3;
+
+    for (let i = 0; i < n; i++) {
+      const surface = surfaceMap[i];
+      // Start of a zone (zones running over the lap line are drawn from their start)
+      if (!surface || surfaceMap[(i - 1 + n) % n] === surface) {
+        continue;
+      }
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(racingPath[i].x, racingPath[i].y);
+      let j = i;
+      do {
+        j = (j + 1) % n;
+        this.ctx.lineTo(racingPath[j].x, racingPath[j].y);
+      } while (surfaceMap[j] === surface && j !== i);
+
+      this.ctx.strokeStyle = surface.color;
+      this.ctx.stroke();
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the track edges used for track limits (debug mode)
+   * @param {Object} boundaries - Edges from PhysicsEngine.getTrackBoundaries()
+   */
+  drawTrackBoundaries(boundaries) {
+    this.ctx.save();
+    this.ctx.setLineDash([8, 6]);
+    this.ctx.lineWidth = 2;
+
+    [[boundaries.left, 'rgba(239, 68, 68, 0.8)'], [boundaries.right, 'rgba(255, 255, 255, 0.8)']].forEach(([edge, color]) => {
+      this.ctx.strokeStyle = color;
+      this.ctx.beginPath();
+      edge.forEach((pt, i) => {
+        if (i === 0) {
+          this.ctx.moveTo(pt.x, pt.y);
+        } else {
+          this.ctx.lineTo(pt.x, pt.y);
+        }
+      });
+      this.ctx.closePath();
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
+  }
+
   /**
    * Draw debug splines and control points for track editing
    * @param {Array} racingPath - Array of {x, y} points on the racing line
@@ -22,6 +22,9 @@ export class GameState {
       },
       debugMode: false,
       currentTrack: 's-curve',
+      weather: 'dry', // 'dry' | 'damp' | 'wet' | 'random'
+      startProcedure: 'standing', // 'standing' | 'rolling'
+      aiDifficulty: 'normal', // 'easy' | 'normal' | 'hard'
       raceStatus: 'loading', // 'loading' | 'ready' | 'racing' | 'finished'
       ...initialState
     };
@@ -205,6 +208,33 @@ export class GameState {
     this.set('currentTrack', trackType);
   }
 
+  /**
+   * Set the weather used for the next race
+   *
+   * @param {string} weather - Weather condition key ('dry', 'damp', 'wet') or 'random'
+   */
+  setWeather(weather) {
+    this.set('weather', weather);
+  }
+
+  /**
+   * Set the start procedure used for the next race
+   *
+   * @param {string} startProcedure - Start procedure key ('standing', 'rolling')
+   */
+  setStartProcedure(startProcedure) {
+    this.set('startProcedure', startProcedure);
+  }
+
+  /**
+   * Set the strategy AI difficulty used for the next race
+   *
+   * @param {string} aiDifficulty - AI difficulty key ('easy', 'normal', 'hard')
+   */
+  setAiDifficulty(aiDifficulty) {
+    this.set('aiDifficulty', aiDifficulty);
+  }
+
   /**
    * Set race status
    *
@@ -227,6 +257,9 @@ export class GameState {
       },
       debugMode: this._state.debugMode, // Preserve debug mode
       currentTrack: this._state.currentTrack, // Preserve track selection
+      weather: this._state.weather, // Preserve weather
+      startProcedure: this._state.startProcedure, // Preserve start procedure
+      aiDifficulty: this._state.aiDifficulty, // Preserve AI difficulty
       raceStatus: 'ready'
     };
 
@@ -0,0 +1,49 @@
+/**
+ * Saved championship
+ * Keeps the season in progress in localStorage, so the standings survive
+ * a page reload and carry on at the next round.
+ *
+ * @module state/championshipStorage
+ */
+
+import { Championship } from '../core/championship.js';
+
+const STORAGE_KEY = 'gpvm.championship';
+
+/**
+ * Load the saved season
+ *
+ * @returns {Championship|null} The season, or null when none is saved, it cannot be read
+ *          or storage is unavailable
+ */
+export function loadChampionship() {
+  if (typeof localStorage === 'undefined') {
+    return null;
+  }
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (!saved) {
+    return null;
+  }
+  try {
+    return Championship.fromJSON(JSON.parse(saved));
+  } catch (error) {
+    console.warn('Ignoring unreadable saved championship:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save the season (or clear it)
+ *
+ * @param {Championship|null} championship - Season to keep, or null to forget it
+ */
+export function saveChampionship(championship) {
+  if (typeof localStorage === 'undefined') {
+    return;
+  }
+  if (championship) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(championship));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
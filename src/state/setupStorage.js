@@ -0,0 +1,61 @@
+/**
+ * Saved bike setups
+ * Keeps each player's bike setup per track in localStorage, so a setup
+ * tuned for one circuit is there again the next time it is raced.
+ *
+ * @module state/setupStorage
+ */
+
+import { validateSetup } from '../core/bikeSetup.js';
+
+const STORAGE_PREFIX = 'gpvm.bikeSetups.';
+
+/**
+ * Load the setups saved for a track
+ *
+ * @param {string} trackId - Track identifier
+ * @returns {Object} Map of racer ID to setup (empty when nothing is saved or storage is unavailable).
+ *          Setups that no longer fit the setting ranges or budget are left out.
+ */
+export function loadBikeSetups(trackId) {
+  if (typeof localStorage === 'undefined') {
+    return {};
+  }
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + trackId)) || {};
+  } catch (error) {
+    console.warn(`Ignoring unreadable bike setups for '${trackId}':`, error);
+    return {};
+  }
+
+  const setups = {};
+  for (const racerId in saved) {
+    try {
+      setups[racerId] = validateSetup(saved[racerId]);
+    } catch (error) {
+      console.warn(`Ignoring bike setup for racer ${racerId} on '${trackId}':`, error.message);
+    }
+  }
+  return setups;
+}
+
+/**
+ * Save (or clear) a racer's setup for a track
+ *
+ * @param {string} trackId - Track identifier
+ * @param {number} racerId - Racer ID
+ * @param {Object|null} setup - Clicks per setting, or null to race the racer's archetype again
+ */
+export function saveBikeSetup(trackId, racerId, setup) {
+  if (typeof localStorage === 'undefined') {
+    return;
+  }
+  const setups = loadBikeSetups(trackId);
+  if (setup) {
+    setups[racerId] = setup;
+  } else {
+    delete setups[racerId];
+  }
+  localStorage.setItem(STORAGE_PREFIX + trackId, JSON.stringify(setups));
+}
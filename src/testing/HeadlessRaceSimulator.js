@@ -6,12 +6,49 @@
  */
 
 import { PhysicsEngine } from '../engine/physics.js';
+import { WeatherSystem } from '../engine/weather.js';
+import { StartProcedure } from '../engine/startProcedure.js';
+import { SafetyCar } from '../engine/safetyCar.js';
+import { StrategyAI } from '../engine/strategyAI.js';
+import { AIController, ScriptedController } from '../engine/controllers.js';
 import { Racer } from '../core/Racer.js';
-import { getBezierNodes, getStartLine, AVAILABLE_TRACKS } from '../config/tracks.js';
+import { buildSetupArchetype, describeSetup, validateSetup } from '../core/bikeSetup.js';
+import { Championship, resolvePointsSystem } from '../core/championship.js';
+import {
+  getBezierNodes,
+  getStartLine,
+  getPitLane,
+  getTrackWidth,
+  getSectors,
+  getTrackConfig,
+  getTrackPhysics,
+  getSurfaceZones,
+  DEFAULT_TRACK_PHYSICS,
+  AVAILABLE_TRACKS
+} from '../config/tracks.js';
 import { GAME_CONFIG } from '../config/gameConfig.js';
-import { BIKE_ARCHETYPE_KEYS, RACER_NAMES_SOURCE, RACER_COLORS_SOURCE, RACER_NUMBERS_SOURCE } from '../config/constants.js';
+import {
+  BIKE_ARCHETYPES,
+  BIKE_ARCHETYPE_KEYS,
+  DRY_TIRE_COMPOUND_KEYS,
+  TIRE_COMPOUNDS,
+  RACER_ROSTER,
+  RACER_COLORS_SOURCE,
+  RACER_NUMBERS_SOURCE,
+  FUEL_LOAD_LEVELS,
+  DEFAULT_FUEL_LOAD,
+  DEFAULT_START_PROCEDURE,
+  DEFAULT_AI_DIFFICULTY,
+  DEFAULT_POINTS_SYSTEM,
+  TEAMS
+} from '../config/constants.js';
 import { shuffleArray } from '../utils/shuffle.js';
+import { createRandom, generateSeed } from '../utils/random.js';
 import { generateRacingLineFromNodes } from '../math/bezier.js';
+import { sortByRacePosition, getFastestLap } from '../core/standings.js';
+
+// The player's engine map settings (see PlayerControls)
+const ENGINE_MAP_LEVELS = [20, 40, 60, 80, 100];
 
 /**
  * Headless race simulator for balance testing
@@ -23,19 +60,43 @@ export class HeadlessRaceSimulator {
    * @param {string} options.trackType - Track to simulate on
    * @param {number} options.totalLaps - Number of laps (default: 3)
    * @param {Object} options.archetypeOverrides - Override archetype multipliers for testing
+   * @param {Object} options.setupOverrides - Map racer index to a bike setup; those racers ride the
+   *        custom archetype it builds instead of a preset (see core/bikeSetup)
+   * @param {number} options.seed - Random seed; the same seed and options replay the same race
+   * @param {string|Object} options.weather - Weather definition: 'dry', 'damp', 'wet', 'random' or a schedule
+   * @param {string} options.start - Start procedure: 'standing' or 'rolling' (default: 'standing')
+   * @param {boolean} options.safetyCar - Neutralise the race after incidents (default: true)
+   * @param {boolean} options.driverSkill - Use the roster's driver ratings; false makes every rider average (default: true)
+   * @param {string} options.aiDifficulty - Strategy AI difficulty: 'easy', 'normal', 'hard' (default: 'normal')
    */
   constructor(options = {}) {
     this.trackType = options.trackType || 'track1';
     this.totalLaps = options.totalLaps || 3;
     this.archetypeOverrides = options.archetypeOverrides || null;
+    this.setupOverrides = options.setupOverrides || {};
+    this.weatherOptions = options.weather || 'dry';
+    this.startType = options.start || DEFAULT_START_PROCEDURE;
+    this.safetyCarEnabled = options.safetyCar !== false;
+    this.driverSkill = options.driverSkill !== false;
+    this.aiDifficulty = options.aiDifficulty || DEFAULT_AI_DIFFICULTY;
+
+    // Seeded randomness (random seed if none given, still reported in results)
+    this.seed = options.seed !== undefined ? options.seed : generateSeed();
+    this.random = createRandom(this.seed);
 
-    // Initialize physics engine
-    this.physics = new PhysicsEngine(GAME_CONFIG);
+    // Initialize physics engine with the track's physics merged onto GAME_CONFIG
+    this.config = getTrackConfig(this.trackType);
+    this.physics = new PhysicsEngine(this.config, this.random);
 
     // Generate racing path from track bezier nodes
     this.bezierNodes = getBezierNodes(this.trackType);
-    this.racingPath = generateRacingLineFromNodes(this.bezierNodes);
+    this.racingPath = generateRacingLineFromNodes(this.bezierNodes, GAME_CONFIG.stepSize);
     this.startLine = getStartLine(this.trackType);
+    this.physics.setPitLane(getPitLane(this.trackType));
+    this.physics.getPitLaneJunctions(this.racingPath); // Kept if the line is later edited away from the lane
+    this.physics.setTrackWidth(getTrackWidth(this.trackType));
+    this.physics.setSectors(getSectors(this.trackType));
+    this.physics.setSurfaceZones(getSurfaceZones(this.trackType));
 
     // Race state
     this.racers = [];
@@ -49,10 +110,38 @@ export class HeadlessRaceSimulator {
    * @param {Object} options - Racer configuration
    * @param {string} options.distribution - How to assign archetypes: 'random', 'equal', 'fixed'
    * @param {Object} options.fixedArchetypes - For 'fixed' distribution, map racer index to archetype
+   * @param {string} options.compounds - How to assign starting tyres: 'random', 'equal'
+   * @param {Object} options.fixedCompounds - Map racer index to starting compound (overrides compounds)
+   * @param {number} options.numRacers - Grid size (default: one racer per name in the roster)
+   * @param {string} options.fuel - How to assign starting fuel loads: 'full', 'random', 'equal' (default: 'full')
+   * @param {Object} options.fixedFuel - Map racer index to starting fuel load (overrides fuel)
+   * @param {string} options.engineMaps - How to set engine maps: 'ai' (each racer's own), 'equal' (default: 'ai')
+   * @param {string} options.ai - Which racers re-plan their params in the race: 'adaptive' (all),
+   *        'static' (none) or 'mixed' (half the grid, to measure what re-planning is worth) (default: 'adaptive')
+   * @param {Array<Function>} options.controllers - Controller factories shared out over the grid
+   *        in equal numbers, each called once per racer (default: the built-in AI for everyone)
    */
   initRacers(options = {}) {
     const distribution = options.distribution || 'random';
     const fixedArchetypes = options.fixedArchetypes || {};
+    const compounds = options.compounds || 'random';
+    const fixedCompounds = options.fixedCompounds || {};
+    const numRacers = options.numRacers || RACER_ROSTER.length;
+    const fuel = options.fuel || 'full';
+    const fixedFuel = options.fixedFuel || {};
+    const engineMaps = options.engineMaps || 'ai';
+    const ai = options.ai || 'adaptive';
+    const controllers = options.controllers || null;
+
+    // Re-seed so re-initializing replays the same race
+    this.random = createRandom(this.seed);
+    this.physics.random = this.random;
+    this.weather = new WeatherSystem(this.weatherOptions, this.random, this.config);
+    this.physics.setWeather(this.weather);
+    this.physics.overtakingAllowed = true;
+    this.start = new StartProcedure(this.startType, this.random, this.config);
+    this.safetyCar = this.safetyCarEnabled ? new SafetyCar(this.random, this.config) : null;
+    this.strategy = new StrategyAI(this.aiDifficulty, this.random, this.config);
 
     this.racers = [];
     this.frameCount = 0;
@@ -68,29 +157,77 @@ export class HeadlessRaceSimulator {
     const perpY = dirX;
 
     // Shuffle racer attributes
-    const names = shuffleArray([...RACER_NAMES_SOURCE]);
-    const colors = shuffleArray([...RACER_COLORS_SOURCE]);
-    const numbers = shuffleArray([...RACER_NUMBERS_SOURCE]);
+    const roster = shuffleArray([...RACER_ROSTER], this.random);
+    const colors = shuffleArray([...RACER_COLORS_SOURCE], this.random);
+    const numbers = shuffleArray([...RACER_NUMBERS_SOURCE], this.random);
 
     // Determine archetype assignments
     let archetypeAssignments = [];
     if (distribution === 'equal') {
       // Distribute archetypes as evenly as possible
-      const numRacers = names.length;
       for (let i = 0; i < numRacers; i++) {
         archetypeAssignments.push(BIKE_ARCHETYPE_KEYS[i % BIKE_ARCHETYPE_KEYS.length]);
       }
-      archetypeAssignments = shuffleArray(archetypeAssignments);
+      archetypeAssignments = shuffleArray(archetypeAssignments, this.random);
+    }
+
+    // Determine starting compound assignments
+    let compoundAssignments = [];
+    if (compounds === 'equal') {
+      for (let i = 0; i < numRacers; i++) {
+        compoundAssignments.push(DRY_TIRE_COMPOUND_KEYS[i % DRY_TIRE_COMPOUND_KEYS.length]);
+      }
+      compoundAssignments = shuffleArray(compoundAssignments, this.random);
+    }
+
+    // Determine starting fuel loads (light tanks trade a pit stop or running dry for pace)
+    let fuelAssignments = [];
+    if (fuel === 'equal') {
+      for (let i = 0; i < numRacers; i++) {
+        fuelAssignments.push(FUEL_LOAD_LEVELS[i % FUEL_LOAD_LEVELS.length]);
+      }
+      fuelAssignments = shuffleArray(fuelAssignments, this.random);
+    } else if (fuel === 'random') {
+      for (let i = 0; i < numRacers; i++) {
+        fuelAssignments.push(FUEL_LOAD_LEVELS[Math.floor(this.random() * FUEL_LOAD_LEVELS.length)]);
+      }
+    }
+
+    // Spread the player's engine map settings across the grid to see how aggressive maps pay off
+    let engineMapAssignments = [];
+    if (engineMaps === 'equal') {
+      for (let i = 0; i < numRacers; i++) {
+        engineMapAssignments.push(ENGINE_MAP_LEVELS[i % ENGINE_MAP_LEVELS.length]);
+      }
+      engineMapAssignments = shuffleArray(engineMapAssignments, this.random);
+    }
+
+    // Strategy AI for every racer, none, or half the grid
+    let aiAssignments = [];
+    if (ai === 'mixed') {
+      for (let i = 0; i < numRacers; i++) {
+        aiAssignments.push(i % 2 === 0);
+      }
+      aiAssignments = shuffleArray(aiAssignments, this.random);
+    }
+
+    // Controllers (custom bots) share the grid slots between them
+    let controllerAssignments = [];
+    if (controllers && controllers.length > 0) {
+      for (let i = 0; i < numRacers; i++) {
+        controllerAssignments.push(controllers[i % controllers.length]);
+      }
+      controllerAssignments = shuffleArray(controllerAssignments, this.random);
     }
 
     // Create racers
-    for (let i = 0; i < names.length; i++) {
+    for (let i = 0; i < numRacers; i++) {
       const row = Math.floor(i / 3);
       const col = i % 3;
       let colOffset = col - 1;
       if (row === 3) colOffset = col - 0.5;
 
-      const distBack = 60 + (row * 35);
+      const distBack = 60 + (row * 35) + this.start.getGridOffset();
       const distSide = colOffset * 25;
 
       const posX = startPoint.x - (dirX * distBack) + (perpX * distSide);
@@ -107,17 +244,38 @@ export class HeadlessRaceSimulator {
         bikeType = undefined; // Racer class will handle random assignment
       }
 
+      // Determine starting compound (undefined lets the Racer pick at random)
+      const tireCompound = fixedCompounds[i] !== undefined ? fixedCompounds[i] : compoundAssignments[i];
+      const startingFuel = fixedFuel[i] !== undefined ? fixedFuel[i] : (fuelAssignments[i] || DEFAULT_FUEL_LOAD);
+
       const racer = new Racer({
         id: i,
-        name: names[i],
-        color: colors[i],
-        racingNumber: numbers[i],
+        // Grids bigger than the roster reuse it, e.g. "Joan 2"
+        name: i < roster.length ? roster[i].name : `${roster[i % roster.length].name} ${Math.floor(i / roster.length) + 1}`,
+        driver: this.driverSkill ? roster[i % roster.length] : undefined,
+        color: colors[i % colors.length],
+        racingNumber: numbers[i % numbers.length],
         position: { x: posX, y: posY },
         angle: angle,
         isPlayer: false,
-        bikeType: bikeType
+        bikeType: bikeType,
+        bikeArchetype: this.setupOverrides[i] ? buildSetupArchetype(this.setupOverrides[i]) : undefined,
+        tireCompound: tireCompound,
+        startingFuel: startingFuel,
+        controller: controllerAssignments[i] ? controllerAssignments[i]() : new AIController(),
+        random: this.random
       });
 
+      // Without an explicit compound, AI starts on wets if the race starts in the rain
+      if (tireCompound === undefined && this.weather.wetness > this.config.aiWetTireThreshold) {
+        racer.setStartingTireCompound('wet');
+      }
+
+      if (engineMapAssignments[i] !== undefined) {
+        racer.setParams({ engineMap: engineMapAssignments[i] });
+      }
+      racer.strategyAI = ai === 'mixed' ? aiAssignments[i] : ai === 'adaptive';
+
       // Apply archetype overrides if provided (for testing balance changes)
       if (this.archetypeOverrides && this.archetypeOverrides[racer.bikeType]) {
         const overrides = this.archetypeOverrides[racer.bikeType];
@@ -127,6 +285,8 @@ export class HeadlessRaceSimulator {
       this.racers.push(racer);
     }
 
+    this.start.prepare(this.racers, this.racingPath, this.physics);
+
     return this.racers;
   }
 
@@ -148,22 +308,37 @@ export class HeadlessRaceSimulator {
    */
   simulateFrame() {
     this.frameCount++;
+    this.weather.update(this.frameCount);
+    this.start.update(this.frameCount, this.racers, this.racingPath, this.physics);
+    if (this.safetyCar) {
+      this.safetyCar.update(this.frameCount, this.racers, this.racingPath, this.physics, this.totalLaps);
+    }
+    this.strategy.update(this.frameCount, this.racers, this.racingPath, this.physics, this.totalLaps);
 
-    // Update each racer
+    // Work out tows, overtaking moves and what each rider wants, then update each racer
+    this.physics.updateSlipstream(this.racers);
+    this.physics.updateRacecraft(this.racers, this.racingPath);
+    this.physics.updateControllers(this.racers, this.racingPath, this.frameCount, this.totalLaps);
+    const newlyFinished = [];
     for (const racer of this.racers) {
+      const wasFinished = racer.finished;
       this.physics.updateRacer(racer, this.racingPath, this.frameCount, this.totalLaps);
 
-      // Track finish order
-      if (racer.finished && !this.finishOrder.includes(racer.id)) {
-        this.finishOrder.push(racer.id);
+      if (racer.finished && !wasFinished) {
+        newlyFinished.push(racer);
       }
     }
 
+    // Track finish order (racers crossing in the same frame ordered by race-clock time)
+    for (const racer of sortByRacePosition(newlyFinished)) {
+      this.finishOrder.push(racer.id);
+    }
+
     // Resolve collisions
-    this.physics.resolveCollisions(this.racers);
+    this.physics.resolveCollisions(this.racers, this.frameCount);
 
     // Check if race is finished
-    const finishedCount = this.racers.filter(r => r.finished).length;
+    const finishedCount = this.racers.filter(r => !r.isRunning()).length;
     if (finishedCount === this.racers.length) {
       this.raceFinished = true;
     }
@@ -174,35 +349,75 @@ export class HeadlessRaceSimulator {
    * @returns {Object} Race results with standings and statistics
    */
   getResults() {
-    // Sort racers by progress (finish order)
-    const standings = [...this.racers].sort((a, b) => b.progress - a.progress);
+    // Sort racers by race-clock finish time, then progress
+    const standings = sortByRacePosition(this.racers);
+    const winnerTime = standings.length > 0 && standings[0].finished ? standings[0].finishTime : null;
 
     // Build results object
     const results = {
       track: this.trackType,
+      seed: this.seed,
       totalLaps: this.totalLaps,
       totalFrames: this.frameCount,
-      raceTimeSeconds: this.frameCount / 60,
+      raceTimeSeconds: this.physics.getRaceTime(this.frameCount),
       finished: this.raceFinished,
+      weather: this.weather.getSummary(),
+      start: this.start.getSummary(),
+      safetyCar: this.safetyCar ? this.safetyCar.getSummary() : { count: 0, periods: [] },
       standings: standings.map((racer, position) => ({
         position: position + 1,
         id: racer.id,
         name: racer.name,
+        driver: { ...racer.driver },
         archetype: racer.bikeType,
         archetypeName: racer.bikeArchetype.name,
         lap: racer.lap,
         progress: racer.progress,
         finished: racer.finished,
-        finishTime: racer.finishTime,
+        status: racer.finished ? 'finished' : racer.retired ? 'dnf' : 'running',
+        retireReason: racer.retireReason,
+        retireTime: racer.retireTime,
+        damage: racer.damage,
+        engineMap: racer.params.engineMap,
+        strategyAI: racer.strategyAI,
+        controller: racer.controller ? racer.controller.name : null,
+        engineIssue: racer.engineIssue,
+        engineIssueTime: racer.engineIssueTime,
+        finishTime: racer.finished ? racer.finishTime : null,
+        reactionTime: racer.reactionTime,
+        jumpStart: racer.jumpStart,
+        penaltyTime: racer.penaltyTime,
+        gap: racer.finished && winnerTime !== null ? racer.finishTime - winnerTime : null,
+        bestLapTime: racer.bestLapTime,
+        bestSectorTimes: [...racer.bestSectorTimes],
+        lapTimes: racer.lapTimes.map(l => ({ lap: l.lap, time: l.time, sectors: [...l.sectors] })),
+        startingFuel: racer.startingFuel,
         finalFuel: racer.fuel,
-        finalTires: racer.tires
+        finalTires: racer.tires,
+        pitStops: racer.pitStops,
+        overtakes: racer.overtakes,
+        offTrackCount: racer.offTrackCount,
+        startingCompound: racer.startingTireCompound,
+        tireStrategy: racer.getTireStrategy()
       })),
       winner: null,
+      fastestLap: null,
       archetypeResults: {}
     };
 
-    // Set winner
-    if (standings.length > 0) {
+    const fastestLap = getFastestLap(this.racers);
+    if (fastestLap) {
+      results.fastestLap = {
+        id: fastestLap.racer.id,
+        name: fastestLap.racer.name,
+        archetype: fastestLap.racer.bikeType,
+        lap: fastestLap.lap,
+        time: fastestLap.time
+      };
+    }
+
+    // Set winner (nobody wins if every racer retired)
+    if (standings.length > 0 && !standings[0].retired) {
       const winner = standings[0];
       results.winner = {
         name: winner.name,
@@ -222,7 +437,8 @@ export class HeadlessRaceSimulator {
         avgPosition: positions.length > 0 ? positions.reduce((a, b) => a + b, 0) / positions.length : null,
         bestPosition: positions.length > 0 ? Math.min(...positions) : null,
         worstPosition: positions.length > 0 ? Math.max(...positions) : null,
-        wins: positions.filter(p => p === 1).length
+        wins: archetypeRacers.filter(r => r.position === 1 && r.status !== 'dnf').length,
+        dnfs: archetypeRacers.filter(r => r.status === 'dnf').length
       };
     }
 
@@ -237,6 +453,18 @@ export class HeadlessRaceSimulator {
  * @param {number} options.numRaces - Number of races to run
  * @param {string} options.distribution - Archetype distribution strategy
  * @param {Object} options.archetypeOverrides - Override archetype parameters
+ * @param {Object} options.setup - Bike setup for one racer per race, on a different grid slot
+ *        each race, to compare it with the presets (see core/bikeSetup)
+ * @param {string} options.compounds - Starting tyre assignment: 'random', 'equal'
+ * @param {string} options.fuel - Starting fuel assignment: 'full', 'random', 'equal'
+ * @param {string} options.engineMaps - Engine maps: 'ai', 'equal'
+ * @param {string|Object} options.weather - Weather for every race (see WeatherSystem)
+ * @param {string} options.start - Start procedure: 'standing', 'rolling'
+ * @param {boolean} options.safetyCar - Neutralise races after incidents (default: true)
+ * @param {boolean} options.driverSkill - Use driver ratings; false tests the bikes alone (default: true)
+ * @param {string} options.ai - Strategy AI: 'adaptive', 'static', 'mixed' (see initRacers)
+ * @param {string} options.aiDifficulty - Strategy AI difficulty: 'easy', 'normal', 'hard'
+ * @param {number} options.seed - Base seed; race i uses seed + i (random per race if omitted)
  * @param {Function} options.onProgress - Progress callback
  * @returns {Object} Aggregated statistics
  */
@@ -245,17 +473,48 @@ export async function runBalanceTest(options = {}) {
     trackType = 'track1',
     numRaces = 100,
     distribution = 'equal',
+    compounds = 'random',
+    fuel = 'full',
+    engineMaps = 'ai',
+    weather = 'dry',
+    start = 'standing',
+    safetyCar = true,
+    driverSkill = true,
+    ai = 'adaptive',
+    aiDifficulty = 'normal',
     archetypeOverrides = null,
+    setup = null,
     onProgress = null,
-    totalLaps = 3
+    totalLaps = 3,
+    seed
   } = options;
+  const customSetup = setup ? validateSetup(setup) : null;
 
   const stats = {
     track: trackType,
+    trackPhysics: { ...DEFAULT_TRACK_PHYSICS, ...getTrackPhysics(trackType) },
+    seed: seed,
     numRaces: numRaces,
     distribution: distribution,
+    compounds: compounds,
+    fuel: fuel,
+    engineMaps: engineMaps,
+    weather: weather,
+    start: start,
+    safetyCar: safetyCar,
+    driverSkill: driverSkill,
+    ai: ai,
+    aiDifficulty: aiDifficulty,
+    setup: customSetup,
     totalLaps: totalLaps,
+    jumpStarts: 0,
+    safetyCarPeriods: 0,
+    safetyCarRaces: 0,
     archetypes: {},
+    tireStrategies: {},
+    fuelStrategies: {},
+    engineMapStats: {},
+    aiStrategies: {},
     races: []
   };
 
@@ -266,19 +525,31 @@ export async function runBalanceTest(options = {}) {
       podiums: 0, // Top 3
       totalPosition: 0,
       positionCounts: {},
-      appearances: 0
+      appearances: 0,
+      dnfs: 0
     };
   }
 
+  if (customSetup) {
+    stats.archetypes.custom = { wins: 0, podiums: 0, totalPosition: 0, positionCounts: {}, appearances: 0, dnfs: 0 };
+  }
+
   // Run races
   for (let i = 0; i < numRaces; i++) {
     const simulator = new HeadlessRaceSimulator({
       trackType,
       totalLaps,
-      archetypeOverrides
+      archetypeOverrides,
+      setupOverrides: customSetup ? { [i % RACER_ROSTER.length]: customSetup } : null,
+      weather,
+      start,
+      safetyCar,
+      driverSkill,
+      aiDifficulty,
+      seed: seed !== undefined ? seed + i : undefined
     });
 
-    simulator.initRacers({ distribution });
+    simulator.initRacers({ distribution, compounds, fuel, engineMaps, ai });
     const results = simulator.runRace();
 
     // Aggregate statistics
@@ -287,19 +558,107 @@ export async function runBalanceTest(options = {}) {
       archetypeStats.appearances++;
       archetypeStats.totalPosition += standing.position;
 
-      if (standing.position === 1) archetypeStats.wins++;
-      if (standing.position <= 3) archetypeStats.podiums++;
+      if (standing.status === 'dnf') {
+        archetypeStats.dnfs++;
+      } else {
+        if (standing.position === 1) archetypeStats.wins++;
+        if (standing.position <= 3) archetypeStats.podiums++;
+      }
 
       // Track position distribution
       const posKey = standing.position.toString();
       archetypeStats.positionCounts[posKey] = (archetypeStats.positionCounts[posKey] || 0) + 1;
+
+      // Tyre strategy statistics (e.g. "soft-medium")
+      if (!stats.tireStrategies[standing.tireStrategy]) {
+        stats.tireStrategies[standing.tireStrategy] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0 };
+      }
+      const strategyStats = stats.tireStrategies[standing.tireStrategy];
+      strategyStats.appearances++;
+      strategyStats.totalPosition += standing.position;
+      if (standing.position === 1) {
+        strategyStats.wins++;
+      }
+      if (standing.position <= 3) {
+        strategyStats.podiums++;
+      }
+
+      // Starting fuel statistics (e.g. "70%")
+      const fuelKey = `${standing.startingFuel}%`;
+      if (!stats.fuelStrategies[fuelKey]) {
+        stats.fuelStrategies[fuelKey] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, pitStops: 0 };
+      }
+      const fuelStats = stats.fuelStrategies[fuelKey];
+      fuelStats.appearances++;
+      fuelStats.totalPosition += standing.position;
+      fuelStats.pitStops += standing.pitStops;
+      if (standing.position === 1) {
+        fuelStats.wins++;
+      }
+      if (standing.position <= 3) {
+        fuelStats.podiums++;
+      }
+
+      // Engine reliability statistics by engine map band (e.g. "60-79")
+      const mapKey = getEngineMapBand(standing.engineMap);
+      if (!stats.engineMapStats[mapKey]) {
+        stats.engineMapStats[mapKey] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, engineIssues: 0, engineDnfs: 0 };
+      }
+      const mapStats = stats.engineMapStats[mapKey];
+      mapStats.appearances++;
+      mapStats.totalPosition += standing.position;
+      if (standing.engineIssue) {
+        mapStats.engineIssues++;
+      }
+      if (standing.retireReason === 'engine') {
+        mapStats.engineDnfs++;
+      }
+      if (standing.position === 1) {
+        mapStats.wins++;
+      }
+      if (standing.position <= 3) {
+        mapStats.podiums++;
+      }
+
+      // Strategy AI against fixed params (running dry is what re-planning should prevent)
+      const aiKey = standing.strategyAI ? 'adaptive' : 'static';
+      if (!stats.aiStrategies[aiKey]) {
+        stats.aiStrategies[aiKey] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, ranDry: 0, dnfs: 0 };
+      }
+      const aiStats = stats.aiStrategies[aiKey];
+      aiStats.appearances++;
+      aiStats.totalPosition += standing.position;
+      if (standing.finalFuel <= 0) {
+        aiStats.ranDry++;
+      }
+      if (standing.status === 'dnf') {
+        aiStats.dnfs++;
+      }
+      if (standing.position === 1) {
+        aiStats.wins++;
+      }
+      if (standing.position <= 3) {
+        aiStats.podiums++;
+      }
+    }
+
+    stats.jumpStarts += results.start.jumpStarts.length;
+    stats.safetyCarPeriods += results.safetyCar.count;
+    if (results.safetyCar.count > 0) {
+      stats.safetyCarRaces++;
     }
 
     // Store race summary
     stats.races.push({
       raceNumber: i + 1,
+      seed: results.seed,
       winner: results.winner,
-      raceTimeSeconds: results.raceTimeSeconds
+      raceTimeSeconds: results.raceTimeSeconds,
+      weather: results.weather,
+      dnfs: results.standings.filter(r => r.status === 'dnf').length,
+      engineIssues: results.standings.filter(r => r.engineIssue).length,
+      jumpStarts: results.start.jumpStarts.length,
+      safetyCars: results.safetyCar.count
     });
 
     // Progress callback
@@ -308,36 +667,79 @@ export async function runBalanceTest(options = {}) {
         completed: i + 1,
         total: numRaces,
         percentage: ((i + 1) / numRaces * 100).toFixed(1),
-        lastWinner: results.winner
+        lastWinner: results.winner,
+        lastSeed: results.seed
       });
     }
   }
 
   // Calculate final statistics
-  for (const archetype of BIKE_ARCHETYPE_KEYS) {
+  for (const archetype in stats.archetypes) {
     const archetypeStats = stats.archetypes[archetype];
     archetypeStats.winRate = (archetypeStats.wins / numRaces * 100).toFixed(2) + '%';
     archetypeStats.podiumRate = (archetypeStats.podiums / (numRaces * 3) * 100).toFixed(2) + '%';
     archetypeStats.avgPosition = archetypeStats.appearances > 0
       ? (archetypeStats.totalPosition / archetypeStats.appearances).toFixed(2)
       : 'N/A';
+    archetypeStats.dnfRate = archetypeStats.appearances > 0
+      ? (archetypeStats.dnfs / archetypeStats.appearances * 100).toFixed(2) + '%'
+      : 'N/A';
   }
 
+  finalizeStrategyStats(stats.tireStrategies, numRaces);
+  finalizeStrategyStats(stats.fuelStrategies, numRaces);
+  finalizeStrategyStats(stats.engineMapStats, numRaces);
+  finalizeStrategyStats(stats.aiStrategies, numRaces);
+
   return stats;
 }
 
+/**
+ * Group an engine map setting into a 20-point band for statistics
+ * @param {number} engineMap - Engine map (0-100)
+ * @returns {string} Band label, e.g. "60-79" (the top band includes 100)
+ */
+function getEngineMapBand(engineMap) {
+  const low = Math.min(80, Math.floor(engineMap / 20) * 20);
+  return low === 80 ? '80-100' : `${low}-${low + 19}`;
+}
+
+/**
+ * Calculate win rates and average positions for tyre strategy statistics
+ * @param {Object} strategies - Map of strategy key to raw counters (modified in place)
+ * @param {number} numRaces - Races the counters were collected over
+ */
+function finalizeStrategyStats(strategies, numRaces) {
+  for (const key in strategies) {
+    const strategyStats = strategies[key];
+    strategyStats.winRate = (strategyStats.wins / numRaces * 100).toFixed(2) + '%';
+    strategyStats.avgPosition = (strategyStats.totalPosition / strategyStats.appearances).toFixed(2);
+  }
+}
+
 /**
  * Run balance test on all available tracks
  * @param {Object} options - Test options
  * @returns {Object} Results for all tracks
  */
 export async function runFullBalanceTest(options = {}) {
-  const { numRaces = 100, distribution = 'equal', archetypeOverrides = null, onProgress = null, totalLaps = 3 } = options;
+  const { numRaces = 100, distribution = 'equal', compounds = 'random', fuel = 'full', engineMaps = 'ai', weather = 'dry', start = 'standing', safetyCar = true, driverSkill = true, ai = 'adaptive', aiDifficulty = 'normal', archetypeOverrides = null, setup = null, onProgress = null, totalLaps = 3, seed } = options;
 
   const allResults = {
     timestamp: new Date().toISOString(),
+    seed: seed,
     numRacesPerTrack: numRaces,
     distribution: distribution,
+    compounds: compounds,
+    fuel: fuel,
+    engineMaps: engineMaps,
+    weather: weather,
+    start: start,
+    safetyCar: safetyCar,
+    driverSkill: driverSkill,
+    ai: ai,
+    aiDifficulty: aiDifficulty,
+    setup: setup ? validateSetup(setup) : null,
     totalLaps: totalLaps,
     tracks: {}
   };
@@ -349,8 +751,19 @@ export async function runFullBalanceTest(options = {}) {
       trackType: track.id,
       numRaces,
       distribution,
+      compounds,
+      fuel,
+      engineMaps,
+      weather,
+      start,
+      safetyCar,
+      driverSkill,
+      ai,
+      aiDifficulty,
       archetypeOverrides,
+      setup,
       totalLaps,
+      seed,
       onProgress: onProgress ? (progress) => {
         onProgress({ ...progress, track: track.name });
       } : null
@@ -370,7 +783,11 @@ export async function runFullBalanceTest(options = {}) {
  */
 function calculateOverallStats(trackResults) {
   const overall = {
-    archetypes: {}
+    archetypes: {},
+    tireStrategies: {},
+    fuelStrategies: {},
+    engineMapStats: {},
+    aiStrategies: {}
   };
 
   for (const archetype of BIKE_ARCHETYPE_KEYS) {
@@ -378,19 +795,73 @@ function calculateOverallStats(trackResults) {
       totalWins: 0,
       totalPodiums: 0,
       totalAppearances: 0,
-      totalPosition: 0
+      totalPosition: 0,
+      totalDnfs: 0
     };
   }
 
   // Aggregate from all tracks
   for (const trackId in trackResults) {
     const track = trackResults[trackId];
-    for (const archetype of BIKE_ARCHETYPE_KEYS) {
+    for (const archetype in track.archetypes) {
       const stats = track.archetypes[archetype];
+      if (!overall.archetypes[archetype]) {
+        overall.archetypes[archetype] = { totalWins: 0, totalPodiums: 0, totalAppearances: 0, totalPosition: 0, totalDnfs: 0 };
+      }
       overall.archetypes[archetype].totalWins += stats.wins;
       overall.archetypes[archetype].totalPodiums += stats.podiums;
       overall.archetypes[archetype].totalAppearances += stats.appearances;
       overall.archetypes[archetype].totalPosition += stats.totalPosition;
+      overall.archetypes[archetype].totalDnfs += stats.dnfs;
+    }
+
+    for (const key in track.tireStrategies) {
+      const stats = track.tireStrategies[key];
+      if (!overall.tireStrategies[key]) {
+        overall.tireStrategies[key] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0 };
+      }
+      overall.tireStrategies[key].wins += stats.wins;
+      overall.tireStrategies[key].podiums += stats.podiums;
+      overall.tireStrategies[key].totalPosition += stats.totalPosition;
+      overall.tireStrategies[key].appearances += stats.appearances;
+    }
+
+    for (const key in track.fuelStrategies) {
+      const stats = track.fuelStrategies[key];
+      if (!overall.fuelStrategies[key]) {
+        overall.fuelStrategies[key] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, pitStops: 0 };
+      }
+      overall.fuelStrategies[key].wins += stats.wins;
+      overall.fuelStrategies[key].podiums += stats.podiums;
+      overall.fuelStrategies[key].totalPosition += stats.totalPosition;
+      overall.fuelStrategies[key].appearances += stats.appearances;
+      overall.fuelStrategies[key].pitStops += stats.pitStops;
+    }
+
+    for (const key in track.engineMapStats) {
+      const stats = track.engineMapStats[key];
+      if (!overall.engineMapStats[key]) {
+        overall.engineMapStats[key] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, engineIssues: 0, engineDnfs: 0 };
+      }
+      overall.engineMapStats[key].wins += stats.wins;
+      overall.engineMapStats[key].podiums += stats.podiums;
+      overall.engineMapStats[key].totalPosition += stats.totalPosition;
+      overall.engineMapStats[key].appearances += stats.appearances;
+      overall.engineMapStats[key].engineIssues += stats.engineIssues;
+      overall.engineMapStats[key].engineDnfs += stats.engineDnfs;
+    }
+
+    for (const key in track.aiStrategies) {
+      const stats = track.aiStrategies[key];
+      if (!overall.aiStrategies[key]) {
+        overall.aiStrategies[key] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, ranDry: 0, dnfs: 0 };
+      }
+      overall.aiStrategies[key].wins += stats.wins;
+      overall.aiStrategies[key].podiums += stats.podiums;
+      overall.aiStrategies[key].totalPosition += stats.totalPosition;
+      overall.aiStrategies[key].appearances += stats.appearances;
+      overall.aiStrategies[key].ranDry += stats.ranDry;
+      overall.aiStrategies[key].dnfs += stats.dnfs;
     }
   }
 
@@ -398,7 +869,7 @@ function calculateOverallStats(trackResults) {
   const numTracks = Object.keys(trackResults).length;
   const totalRaces = Object.values(trackResults).reduce((sum, t) => sum + t.numRaces, 0);
 
-  for (const archetype of BIKE_ARCHETYPE_KEYS) {
+  for (const archetype in overall.archetypes) {
     const stats = overall.archetypes[archetype];
     stats.overallWinRate = (stats.totalWins / totalRaces * 100).toFixed(2) + '%';
     stats.overallPodiumRate = (stats.totalPodiums / (totalRaces * 3) * 100).toFixed(2) + '%';
@@ -407,9 +878,343 @@ function calculateOverallStats(trackResults) {
       : 'N/A';
   }
 
+  finalizeStrategyStats(overall.tireStrategies, totalRaces);
+  finalizeStrategyStats(overall.fuelStrategies, totalRaces);
+  finalizeStrategyStats(overall.engineMapStats, totalRaces);
+  finalizeStrategyStats(overall.aiStrategies, totalRaces);
+
   return overall;
 }
 
+/**
+ * Race bots against each other (see engine/controllers). Each bot drives an
+ * equal share of every grid, shuffled per race, over the given tracks.
+ * Bots are scripts: a decide(racer, view) function or an object with decide()
+ * and a name; 'ai' enters the built-in AI.
+ *
+ * @param {Object} options - Tournament options
+ * @param {Array<Function|Object|string>} options.bots - Bots to enter (at least one)
+ * @param {number} options.numRaces - Races per track (default: 10)
+ * @param {Array<string>} options.tracks - Track ids (default: every track)
+ * @param {number} options.totalLaps - Laps per race (default: 3)
+ * @param {string|Object} options.weather - Weather for every race (see WeatherSystem)
+ * @param {string} options.start - Start procedure: 'standing', 'rolling'
+ * @param {boolean} options.driverSkill - Use driver ratings; false leaves only the bots to differ (default: false)
+ * @param {string} options.ai - Strategy AI for every bot: 'adaptive', 'static' (default: 'static')
+ * @param {number} options.seed - Base seed; race i on each track uses seed + i (random per race if omitted)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Object} Standings of the bots and every race's finishing order
+ */
+export async function runTournament(options = {}) {
+  const {
+    bots = [],
+    numRaces = 10,
+    tracks = AVAILABLE_TRACKS.map(t => t.id),
+    totalLaps = 3,
+    weather = 'dry',
+    start = 'standing',
+    driverSkill = false,
+    ai = 'static',
+    seed,
+    onProgress = null
+  } = options;
+
+  if (bots.length === 0) {
+    throw new Error('A tournament needs at least one bot');
+  }
+
+  // Unique display names, so two copies of a bot are scored separately
+  const entries = bots.map(bot => ({
+    bot,
+    name: (bot === 'ai' ? new AIController() : new ScriptedController(bot)).name
+  }));
+  for (const entry of entries) {
+    const same = entries.filter(e => e.name === entry.name);
+    if (same.length > 1) {
+      same.forEach((e, i) => {
+        e.name = `${e.name} #${i + 1}`;
+      });
+    }
+  }
+  const factories = entries.map(({ bot, name }) => () => {
+    if (bot === 'ai') {
+      const controller = new AIController();
+      controller.name = name;
+      return controller;
+    }
+    return new ScriptedController(bot, name);
+  });
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    seed,
+    numRacesPerTrack: numRaces,
+    tracks,
+    totalLaps,
+    driverSkill,
+    ai,
+    bots: {},
+    races: []
+  };
+  for (const { name } of entries) {
+    results.bots[name] = { wins: 0, podiums: 0, totalPosition: 0, appearances: 0, dnfs: 0, bestLapTime: null };
+  }
+
+  const total = tracks.length * numRaces;
+  let completed = 0;
+  for (const trackType of tracks) {
+    for (let i = 0; i < numRaces; i++) {
+      const simulator = new HeadlessRaceSimulator({
+        trackType,
+        totalLaps,
+        weather,
+        start,
+        driverSkill,
+        seed: seed !== undefined ? seed + i : undefined
+      });
+      simulator.initRacers({ distribution: 'equal', ai, controllers: factories });
+      const race = simulator.runRace();
+
+      for (const standing of race.standings) {
+        const stats = results.bots[standing.controller];
+        stats.appearances++;
+        stats.totalPosition += standing.position;
+        if (standing.status === 'dnf') {
+          stats.dnfs++;
+        } else if (standing.position === 1) {
+          stats.wins++;
+        }
+        if (standing.position <= 3 && standing.status !== 'dnf') {
+          stats.podiums++;
+        }
+        if (standing.bestLapTime !== null && (stats.bestLapTime === null || standing.bestLapTime < stats.bestLapTime)) {
+          stats.bestLapTime = standing.bestLapTime;
+        }
+      }
+      results.races.push({
+        track: trackType,
+        seed: race.seed,
+        order: race.standings.map(s => s.controller)
+      });
+
+      completed++;
+      if (onProgress) {
+        onProgress({ completed, total, percentage: (completed / total) * 100, track: trackType, lastSeed: race.seed });
+      }
+
+      // Yield to prevent blocking (allows UI updates)
+      if (completed % 5 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  }
+
+  finalizeStrategyStats(results.bots, total);
+  return results;
+}
+
+/**
+ * Simulate full championship seasons over the track calendar.
+ * Every round of a season is scored with the points system (see core/championship),
+ * and the final standings of all seasons are summed up to show how often each
+ * rider and team takes the title and how close the title fights are.
+ *
+ * @param {Object} options - Season options
+ * @param {number} options.numSeasons - Seasons to simulate (default: 10)
+ * @param {Array<string>} options.tracks - Calendar, one round per track id (default: every track)
+ * @param {string|Object} options.pointsSystem - Key of POINTS_SYSTEMS or { name, points, fastestLap } (default: 'motogp')
+ * @param {number} options.totalLaps - Laps per race (default: 3)
+ * @param {string} options.distribution - Bike archetype assignment per race: 'random', 'equal' (default: 'random')
+ * @param {string|Object} options.weather - Weather for every race (see WeatherSystem)
+ * @param {string} options.start - Start procedure: 'standing', 'rolling'
+ * @param {boolean} options.driverSkill - Use the roster's driver ratings (default: true)
+ * @param {string} options.ai - Strategy AI: 'adaptive', 'static', 'mixed' (default: 'adaptive')
+ * @param {number} options.seed - Base seed; round r of season s uses seed + s * rounds + r (random per race if omitted)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Object} Title counts and average points per driver and team, and every season's outcome
+ */
+export async function runSeason(options = {}) {
+  const {
+    numSeasons = 10,
+    tracks = AVAILABLE_TRACKS.map(t => t.id),
+    pointsSystem = DEFAULT_POINTS_SYSTEM,
+    totalLaps = 3,
+    distribution = 'random',
+    weather = 'dry',
+    start = 'standing',
+    driverSkill = true,
+    ai = 'adaptive',
+    seed,
+    onProgress = null
+  } = options;
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    seed,
+    numSeasons,
+    tracks,
+    pointsSystem: resolvePointsSystem(pointsSystem),
+    totalLaps,
+    distribution,
+    weather,
+    driverSkill,
+    ai,
+    drivers: {},
+    teams: {},
+    seasons: []
+  };
+
+  const total = numSeasons * tracks.length;
+  let completed = 0;
+  for (let s = 0; s < numSeasons; s++) {
+    const championship = new Championship({ tracks, pointsSystem });
+    const raceWinners = new Set();
+
+    while (!championship.isComplete()) {
+      const round = championship.rounds.length;
+      const trackType = championship.getCurrentTrack();
+      const simulator = new HeadlessRaceSimulator({
+        trackType,
+        totalLaps,
+        weather,
+        start,
+        driverSkill,
+        seed: seed !== undefined ? seed + s * tracks.length + round : undefined
+      });
+      simulator.initRacers({ distribution, ai });
+      simulator.runRace();
+      const result = championship.recordRace(simulator.racers);
+      if (!result.results[0].retired) {
+        raceWinners.add(result.results[0].name);
+      }
+
+      completed++;
+      if (onProgress) {
+        onProgress({ completed, total, percentage: (completed / total) * 100, track: trackType, season: s + 1 });
+      }
+
+      // Yield to prevent blocking (allows UI updates)
+      if (completed % 5 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    const driverStandings = championship.getDriverStandings();
+    const teamStandings = championship.getTeamStandings();
+    driverStandings.forEach((driver, i) => {
+      const stats = results.drivers[driver.name] ||
+        (results.drivers[driver.name] = { team: driver.team, titles: 0, totalPoints: 0, totalPosition: 0, wins: 0, podiums: 0, seasons: 0 });
+      stats.seasons++;
+      stats.totalPoints += driver.points;
+      stats.totalPosition += i + 1;
+      stats.wins += driver.wins;
+      stats.podiums += driver.podiums;
+      if (i === 0) {
+        stats.titles++;
+      }
+    });
+    teamStandings.forEach((team, i) => {
+      const stats = results.teams[team.id] ||
+        (results.teams[team.id] = { name: team.name, titles: 0, totalPoints: 0, totalPosition: 0, seasons: 0 });
+      stats.seasons++;
+      stats.totalPoints += team.points;
+      stats.totalPosition += i + 1;
+      if (i === 0) {
+        stats.titles++;
+      }
+    });
+
+    results.seasons.push({
+      champion: driverStandings[0].name,
+      points: driverStandings[0].points,
+      margin: driverStandings.length > 1 ? driverStandings[0].points - driverStandings[1].points : driverStandings[0].points,
+      teamChampion: teamStandings.length > 0 ? teamStandings[0].name : null,
+      raceWinners: raceWinners.size,
+      standings: driverStandings.map(d => ({ name: d.name, points: d.points }))
+    });
+  }
+
+  for (const stats of [...Object.values(results.drivers), ...Object.values(results.teams)]) {
+    stats.titleRate = (stats.titles / numSeasons * 100).toFixed(1) + '%';
+    stats.avgPoints = (stats.totalPoints / stats.seasons).toFixed(1);
+    stats.avgPosition = (stats.totalPosition / stats.seasons).toFixed(2);
+  }
+
+  return results;
+}
+
+/**
+ * Benchmark simulation speed against grid size.
+ * Each grid is simulated twice from the same seed, once with the all-pairs
+ * collision check and once with the spatial grid broadphase, and the final
+ * racer positions are compared to confirm both paths agree. Time spent in
+ * resolveCollisions is reported separately since the rest of the frame
+ * dominates on small grids.
+ * @param {Object} options - Benchmark options
+ * @param {Array<number>} options.gridSizes - Grid sizes to measure (default: 11, 20, 40, 60)
+ * @param {number} options.frames - Frames to simulate per run (default: 1800 = 30 seconds)
+ * @param {string} options.trackType - Track to benchmark on
+ * @param {number} options.seed - Random seed shared by every run
+ * @returns {Array<Object>} One entry per grid size with frames/second and collision cost for each path
+ */
+export function runCollisionBenchmark(options = {}) {
+  const {
+    gridSizes = [11, 20, 40, 60],
+    frames = 1800,
+    trackType = 'track1',
+    seed = 1
+  } = options;
+
+  const run = (numRacers, broadphase, runFrames = frames) => {
+    const simulator = new HeadlessRaceSimulator({ trackType, seed, totalLaps: 100 });
+    simulator.physics.config = {
+      ...simulator.config,
+      broadphaseMinRacers: broadphase ? 0 : Infinity
+    };
+    simulator.initRacers({ distribution: 'equal', numRacers });
+
+    const physics = simulator.physics;
+    const resolveCollisions = physics.resolveCollisions.bind(physics);
+    let collisionTime = 0;
+    physics.resolveCollisions = (racers, frameCount) => {
+      const t = performance.now();
+      resolveCollisions(racers, frameCount);
+      collisionTime += performance.now() - t;
+    };
+
+    const start = performance.now();
+    for (let i = 0; i < runFrames; i++) {
+      simulator.simulateFrame();
+    }
+    const elapsed = performance.now() - start;
+
+    return {
+      fps: runFrames / (elapsed / 1000),
+      collisionMicros: collisionTime * 1000 / runFrames,
+      positions: simulator.racers.map(r => `${r.x},${r.y}`).join(';')
+    };
+  };
+
+  // Warm up the JIT so the first measured grid isn't penalised
+  run(gridSizes[0], false, 300);
+  run(gridSizes[0], true, 300);
+
+  return gridSizes.map(numRacers => {
+    const allPairs = run(numRacers, false);
+    const broadphase = run(numRacers, true);
+    return {
+      numRacers,
+      frames,
+      allPairsFps: allPairs.fps,
+      broadphaseFps: broadphase.fps,
+      allPairsCollisionMicros: allPairs.collisionMicros,
+      broadphaseCollisionMicros: broadphase.collisionMicros,
+      speedup: broadphase.fps / allPairs.fps,
+      identical: allPairs.positions === broadphase.positions
+    };
+  });
+}
+
 /**
  * Format balance test results as a readable report
  * @param {Object} results - Results from runFullBalanceTest or runBalanceTest
@@ -424,7 +1229,21 @@ export function formatBalanceReport(results) {
   lines.push(`Timestamp: ${results.timestamp || new Date().toISOString()}`);
   lines.push(`Races per track: ${results.numRacesPerTrack || results.numRaces}`);
   lines.push(`Distribution: ${results.distribution}`);
+  lines.push(`Starting tyres: ${results.compounds}`);
+  lines.push(`Starting fuel: ${results.fuel}`);
+  lines.push(`Engine maps: ${results.engineMaps}`);
+  lines.push(`Weather: ${typeof results.weather === 'string' ? results.weather : JSON.stringify(results.weather)}`);
+  lines.push(`Start: ${results.start}`);
+  lines.push(`Safety car: ${results.safetyCar === false ? 'off' : 'on'}`);
+  lines.push(`Driver skill: ${results.driverSkill === false ? 'neutral' : 'roster ratings'}`);
+  lines.push(`AI strategy: ${results.ai || 'adaptive'}${results.ai === 'static' ? '' : ` (${results.aiDifficulty || 'normal'})`}`);
+  if (results.setup) {
+    lines.push(`Bike setup: ${describeSetup(results.setup)} (one bike per race, rotating grid slot)`);
+  }
   lines.push(`Laps per race: ${results.totalLaps}`);
+  if (results.seed !== undefined) {
+    lines.push(`Seed: ${results.seed}`);
+  }
   lines.push('');
 
   // If we have multiple tracks
@@ -443,10 +1262,18 @@ export function formatBalanceReport(results) {
       lines.push(`│                    OVERALL SUMMARY                          │`);
       lines.push(`└─────────────────────────────────────────────────────────────┘`);
       lines.push(formatOverallResults(results.overall));
+      lines.push(formatStrategyResults(results.overall.tireStrategies));
+      lines.push(formatFuelResults(results.overall.fuelStrategies));
+      lines.push(formatEngineResults(results.overall.engineMapStats));
+      lines.push(formatAiResults(results.overall.aiStrategies));
     }
   } else {
     // Single track results
     lines.push(formatTrackResults(results));
+    lines.push(formatStrategyResults(results.tireStrategies));
+    lines.push(formatFuelResults(results.fuelStrategies));
+    lines.push(formatEngineResults(results.engineMapStats));
+    lines.push(formatAiResults(results.aiStrategies));
   }
 
   // Balance assessment
@@ -461,18 +1288,37 @@ export function formatBalanceReport(results) {
 function formatTrackResults(track) {
   const lines = [];
 
+  if (track.trackPhysics) {
+    const { grip, abrasiveness, fuelEffect } = track.trackPhysics;
+    lines.push(`  Surface: grip ×${grip} · tyre wear ×${abrasiveness} · fuel weight ×${fuelEffect}`);
+  }
   lines.push('');
-  lines.push('  Archetype      │ Wins  │ Win Rate │ Podiums │ Avg Pos');
-  lines.push('  ───────────────┼───────┼──────────┼─────────┼─────────');
+  lines.push('  Archetype      │ Wins  │ Win Rate │ Podiums │ Avg Pos │ DNFs');
+  lines.push('  ───────────────┼───────┼──────────┼─────────┼─────────┼──────');
 
   for (const archetype of BIKE_ARCHETYPE_KEYS) {
     const stats = track.archetypes[archetype];
-    const icon = archetype === 'speeder' ? '🚀' : archetype === 'accelerator' ? '⚡' : '🔄';
+    const icon = BIKE_ARCHETYPES[archetype].icon;
     lines.push(
-      `  ${icon} ${archetype.padEnd(11)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)}`
+      `  ${icon} ${archetype.padEnd(11)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.dnfs).padStart(4)}`
+    );
+  }
+  if (track.archetypes.custom) {
+    const stats = track.archetypes.custom;
+    lines.push(
+      `  🔧 ${'custom'.padEnd(11)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.dnfs).padStart(4)}`
     );
   }
 
+  if (track.jumpStarts > 0) {
+    lines.push('');
+    lines.push(`  Jump starts penalised: ${track.jumpStarts}`);
+  }
+  if (track.safetyCarPeriods > 0) {
+    const rate = (track.safetyCarRaces / track.numRaces * 100).toFixed(1);
+    lines.push(`  Safety car: ${track.safetyCarPeriods} period(s) in ${track.safetyCarRaces}/${track.numRaces} races (${rate}%)`);
+  }
+
   return lines.join('\n');
 }
 
@@ -480,14 +1326,101 @@ function formatOverallResults(overall) {
   const lines = [];
 
   lines.push('');
-  lines.push('  Archetype      │ Total Wins │ Win Rate │ Avg Pos');
-  lines.push('  ───────────────┼────────────┼──────────┼─────────');
+  lines.push('  Archetype      │ Total Wins │ Win Rate │ Avg Pos │ DNFs');
+  lines.push('  ───────────────┼────────────┼──────────┼─────────┼──────');
 
   for (const archetype of BIKE_ARCHETYPE_KEYS) {
     const stats = overall.archetypes[archetype];
-    const icon = archetype === 'speeder' ? '🚀' : archetype === 'accelerator' ? '⚡' : '🔄';
+    const icon = BIKE_ARCHETYPES[archetype].icon;
     lines.push(
-      `  ${icon} ${archetype.padEnd(11)} │ ${String(stats.totalWins).padStart(10)} │ ${stats.overallWinRate.padStart(8)} │ ${stats.overallAvgPosition.padStart(7)}`
+      `  ${icon} ${archetype.padEnd(11)} │ ${String(stats.totalWins).padStart(10)} │ ${stats.overallWinRate.padStart(8)} │ ${stats.overallAvgPosition.padStart(7)} │ ${String(stats.totalDnfs).padStart(4)}`
+    );
+  }
+  if (overall.archetypes.custom) {
+    const stats = overall.archetypes.custom;
+    lines.push(
+      `  🔧 ${'custom'.padEnd(11)} │ ${String(stats.totalWins).padStart(10)} │ ${stats.overallWinRate.padStart(8)} │ ${stats.overallAvgPosition.padStart(7)} │ ${String(stats.totalDnfs).padStart(4)}`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+function formatStrategyResults(strategies) {
+  const lines = [];
+
+  lines.push('');
+  lines.push('  Tyre Strategy          │ Wins  │ Win Rate │ Podiums │ Avg Pos │ Runs');
+  lines.push('  ───────────────────────┼───────┼──────────┼─────────┼─────────┼──────');
+
+  // Strategies ordered by win count, then average position
+  const sorted = Object.entries(strategies || {}).sort((a, b) =>
+    (b[1].wins - a[1].wins) || (parseFloat(a[1].avgPosition) - parseFloat(b[1].avgPosition)));
+
+  for (const [key, stats] of sorted) {
+    const label = key.split('-').map(c => TIRE_COMPOUNDS[c] ? TIRE_COMPOUNDS[c].label : '?').join('→');
+    lines.push(
+      `  ${label.padEnd(8)} ${key.padEnd(13)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.appearances).padStart(4)}`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+function formatFuelResults(fuelStrategies) {
+  const lines = [];
+
+  lines.push('');
+  lines.push('  Starting Fuel │ Wins  │ Win Rate │ Podiums │ Avg Pos │ Stops/Race │ Runs');
+  lines.push('  ──────────────┼───────┼──────────┼─────────┼─────────┼────────────┼──────');
+
+  // Lightest load first
+  const sorted = Object.entries(fuelStrategies || {}).sort((a, b) => parseInt(a[0]) - parseInt(b[0]));
+
+  for (const [key, stats] of sorted) {
+    const stops = (stats.pitStops / stats.appearances).toFixed(2);
+    lines.push(
+      `  ${key.padEnd(13)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${stops.padStart(10)} │ ${String(stats.appearances).padStart(4)}`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+function formatEngineResults(engineMapStats) {
+  const lines = [];
+
+  lines.push('');
+  lines.push('  Engine Map │ Wins  │ Win Rate │ Avg Pos │ Issues │ Issue Rate │ Engine DNFs │ Runs');
+  lines.push('  ───────────┼───────┼──────────┼─────────┼────────┼────────────┼─────────────┼──────');
+
+  // Mildest map first
+  const sorted = Object.entries(engineMapStats || {}).sort((a, b) => parseInt(a[0]) - parseInt(b[0]));
+
+  for (const [key, stats] of sorted) {
+    const issueRate = (stats.engineIssues / stats.appearances * 100).toFixed(1) + '%';
+    lines.push(
+      `  ${key.padEnd(10)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.engineIssues).padStart(6)} │ ${issueRate.padStart(10)} │ ${String(stats.engineDnfs).padStart(11)} │ ${String(stats.appearances).padStart(4)}`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+function formatAiResults(aiStrategies) {
+  const lines = [];
+
+  lines.push('');
+  lines.push('  AI Strategy │ Wins  │ Win Rate │ Podiums │ Avg Pos │ Ran Dry │ DNFs │ Runs');
+  lines.push('  ────────────┼───────┼──────────┼─────────┼─────────┼─────────┼──────┼──────');
+
+  for (const key of ['adaptive', 'static']) {
+    const stats = (aiStrategies || {})[key];
+    if (!stats) {
+      continue;
+    }
+    lines.push(
+      `  ${key.padEnd(11)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.ranDry).padStart(7)} │ ${String(stats.dnfs).padStart(4)} │ ${String(stats.appearances).padStart(4)}`
     );
   }
 
@@ -543,29 +1476,146 @@ function assessBalance(results) {
   lines.push('');
   lines.push('  RECOMMENDATIONS:');
 
-  if (winRates.speeder > avgWinRate + 5) {
-    lines.push('  • Speeder is too strong. Reduce topSpeedMultiplier or increase corneringMultiplier penalty.');
-  } else if (winRates.speeder < avgWinRate - 5) {
-    lines.push('  • Speeder is too weak. Increase topSpeedMultiplier or reduce cornering penalty.');
+  for (const archetype of BIKE_ARCHETYPE_KEYS) {
+    const { name, balanceHints } = BIKE_ARCHETYPES[archetype];
+    if (winRates[archetype] > avgWinRate + 5) {
+      lines.push(`  • ${name} is too strong. ${balanceHints.nerf || 'Reduce its strongest multiplier.'}`);
+    } else if (winRates[archetype] < avgWinRate - 5) {
+      lines.push(`  • ${name} is too weak. ${balanceHints.buff || 'Increase its weakest multiplier.'}`);
+    }
   }
 
-  if (winRates.accelerator > avgWinRate + 5) {
-    lines.push('  • Accelerator is too strong. Reduce accelerationMultiplier.');
-  } else if (winRates.accelerator < avgWinRate - 5) {
-    lines.push('  • Accelerator is too weak. Increase accelerationMultiplier or topSpeedMultiplier.');
+  if (maxDiff < 5) {
+    lines.push('  • No major changes needed. Fine-tune based on player feedback.');
   }
 
-  if (winRates.turner > avgWinRate + 5) {
-    lines.push('  • Turner is too strong. Reduce corneringMultiplier bonus.');
-  } else if (winRates.turner < avgWinRate - 5) {
-    lines.push('  • Turner is too weak. Increase corneringMultiplier or maxSteerMultiplier.');
+  return lines.join('\n');
+}
+
+/**
+ * Format collision benchmark results as a table
+ * @param {Array<Object>} results - Results from runCollisionBenchmark
+ * @returns {string} Formatted report
+ */
+export function formatBenchmarkReport(results) {
+  const lines = [];
+
+  lines.push('═══════════════════════════════════════════════════════════════');
+  lines.push('                  COLLISION BENCHMARK REPORT                    ');
+  lines.push('═══════════════════════════════════════════════════════════════');
+  lines.push(`Frames per run: ${results.length > 0 ? results[0].frames : 0}`);
+  lines.push('');
+  lines.push('                 All pairs            Broadphase');
+  lines.push('Racers │   fps │ coll µs/frame │   fps │ coll µs/frame │ Speedup │ Identical');
+  lines.push('───────┼───────┼───────────────┼───────┼───────────────┼─────────┼──────────');
+
+  for (const r of results) {
+    lines.push(
+      `${String(r.numRacers).padStart(6)} │ ${r.allPairsFps.toFixed(0).padStart(5)} │ ` +
+      `${r.allPairsCollisionMicros.toFixed(1).padStart(13)} │ ` +
+      `${r.broadphaseFps.toFixed(0).padStart(5)} │ ${r.broadphaseCollisionMicros.toFixed(1).padStart(13)} │ ` +
+      `${(r.speedup.toFixed(2) + 'x').padStart(7)} │ ${r.identical ? 'yes' : 'NO'}`
+    );
   }
 
-  if (maxDiff < 5) {
-    lines.push('  • No major changes needed. Fine-tune based on player feedback.');
+  return lines.join('\n');
+}
+
+/**
+ * Format tournament results as a leaderboard
+ * @param {Object} results - Results from runTournament
+ * @returns {string} Formatted report
+ */
+export function formatTournamentReport(results) {
+  const lines = [];
+
+  lines.push('═══════════════════════════════════════════════════════════════');
+  lines.push('                     BOT TOURNAMENT REPORT                      ');
+  lines.push('═══════════════════════════════════════════════════════════════');
+  lines.push(`Races: ${results.races.length} (${results.numRacesPerTrack} per track on ${results.tracks.join(', ')})`);
+  lines.push(`Laps per race: ${results.totalLaps}`);
+  lines.push(`Driver skill: ${results.driverSkill ? 'roster ratings' : 'neutral'}`);
+  lines.push(`AI strategy: ${results.ai}`);
+  if (results.seed !== undefined) {
+    lines.push(`Seed: ${results.seed}`);
+  }
+  lines.push('');
+  lines.push('  #  │ Bot                  │ Wins  │ Win Rate │ Podiums │ Avg Pos │ DNFs │ Best Lap │ Runs');
+  lines.push('  ───┼──────────────────────┼───────┼──────────┼─────────┼─────────┼──────┼──────────┼──────');
+
+  // Bots ordered by win count, then average position
+  const sorted = Object.entries(results.bots).sort((a, b) =>
+    (b[1].wins - a[1].wins) || (parseFloat(a[1].avgPosition) - parseFloat(b[1].avgPosition)));
+
+  sorted.forEach(([name, stats], i) => {
+    const bestLap = stats.bestLapTime !== null ? `${stats.bestLapTime.toFixed(3)}s` : '-';
+    lines.push(
+      `  ${String(i + 1).padStart(2)} │ ${name.slice(0, 20).padEnd(20)} │ ${String(stats.wins).padStart(5)} │ ${stats.winRate.padStart(8)} │ ${String(stats.podiums).padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.dnfs).padStart(4)} │ ${bestLap.padStart(8)} │ ${String(stats.appearances).padStart(4)}`
+    );
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Format season simulation results as a report
+ * @param {Object} results - Results from runSeason
+ * @returns {string} Formatted report
+ */
+export function formatSeasonReport(results) {
+  const lines = [];
+  const { points, fastestLap } = results.pointsSystem;
+
+  lines.push('═══════════════════════════════════════════════════════════════');
+  lines.push('                  CHAMPIONSHIP SEASON REPORT                    ');
+  lines.push('═══════════════════════════════════════════════════════════════');
+  lines.push(`Seasons: ${results.numSeasons} (${results.tracks.length} rounds: ${results.tracks.join(', ')})`);
+  lines.push(`Points: ${results.pointsSystem.name} (${points.join('-')}${fastestLap > 0 ? `, +${fastestLap} fastest lap` : ''})`);
+  lines.push(`Laps per race: ${results.totalLaps}`);
+  lines.push(`Distribution: ${results.distribution}`);
+  lines.push(`Weather: ${typeof results.weather === 'string' ? results.weather : 'custom schedule'}`);
+  lines.push(`Driver skill: ${results.driverSkill ? 'roster ratings' : 'neutral'}`);
+  lines.push(`AI strategy: ${results.ai}`);
+  if (results.seed !== undefined) {
+    lines.push(`Seed: ${results.seed}`);
+  }
+
+  lines.push('');
+  lines.push('  #  │ Rider        │ Team              │ Titles │ Title % │ Avg Pts │ Avg Pos │ Wins');
+  lines.push('  ───┼──────────────┼───────────────────┼────────┼─────────┼─────────┼─────────┼──────');
+  const drivers = Object.entries(results.drivers).sort((a, b) =>
+    (b[1].titles - a[1].titles) || (b[1].totalPoints - a[1].totalPoints));
+  drivers.forEach(([name, stats], i) => {
+    const team = stats.team && TEAMS[stats.team] ? TEAMS[stats.team].name : '-';
+    lines.push(
+      `  ${String(i + 1).padStart(2)} │ ${name.slice(0, 12).padEnd(12)} │ ${team.slice(0, 17).padEnd(17)} │ ${String(stats.titles).padStart(6)} │ ${stats.titleRate.padStart(7)} │ ${stats.avgPoints.padStart(7)} │ ${stats.avgPosition.padStart(7)} │ ${String(stats.wins).padStart(4)}`
+    );
+  });
+
+  lines.push('');
+  lines.push('  #  │ Team              │ Titles │ Title % │ Avg Pts │ Avg Pos');
+  lines.push('  ───┼───────────────────┼────────┼─────────┼─────────┼─────────');
+  const teams = Object.values(results.teams).sort((a, b) =>
+    (b.titles - a.titles) || (b.totalPoints - a.totalPoints));
+  teams.forEach((stats, i) => {
+    lines.push(
+      `  ${String(i + 1).padStart(2)} │ ${stats.name.slice(0, 17).padEnd(17)} │ ${String(stats.titles).padStart(6)} │ ${stats.titleRate.padStart(7)} │ ${stats.avgPoints.padStart(7)} │ ${stats.avgPosition.padStart(7)}`
+    );
+  });
+
+  // How open the title fights are
+  const seasons = results.seasons;
+  if (seasons.length > 0) {
+    const avgMargin = seasons.reduce((sum, season) => sum + season.margin, 0) / seasons.length;
+    const avgWinners = seasons.reduce((sum, season) => sum + season.raceWinners, 0) / seasons.length;
+    const champions = new Set(seasons.map(season => season.champion)).size;
+    lines.push('');
+    lines.push(`  Different champions: ${champions} in ${seasons.length} season(s)`);
+    lines.push(`  Average title margin: ${avgMargin.toFixed(1)} points`);
+    lines.push(`  Average race winners per season: ${avgWinners.toFixed(1)} of ${results.tracks.length} rounds`);
   }
 
   return lines.join('\n');
 }
 
-export { BIKE_ARCHETYPE_KEYS, AVAILABLE_TRACKS };
+export { BIKE_ARCHETYPES, BIKE_ARCHETYPE_KEYS, AVAILABLE_TRACKS };
@@ -0,0 +1,31 @@
+/**
+ * Example bot: saves fuel in clean air and only uses the power in a fight.
+ * Run it with: node src/testing/runTournament.js src/testing/bots/fuelSaver.js ai
+ *
+ * @module testing/bots/fuelSaver
+ */
+
+// Gap (pixels) to a rival that counts as a fight
+const FIGHT_DISTANCE = 100;
+
+export default {
+  name: 'Fuel saver',
+
+  /**
+   * @param {Racer} racer - Rider being controlled (read-only)
+   * @param {Object} view - Race state (see PhysicsEngine.updateControllers)
+   * @returns {Object} Intent for this frame
+   */
+  decide(racer, view) {
+    const i = view.order.indexOf(racer);
+    const ahead = i > 0 ? view.order[i - 1] : null;
+    const behind = i >= 0 && i < view.order.length - 1 ? view.order[i + 1] : null;
+    const gapAhead = ahead ? (ahead.progress - racer.progress) * view.lapLength : Infinity;
+    const gapBehind = behind ? (racer.progress - behind.progress) * view.lapLength : Infinity;
+
+    if (gapAhead < FIGHT_DISTANCE || gapBehind < FIGHT_DISTANCE) {
+      return { throttle: 1, params: { engineMap: 85, risk: 70 } };
+    }
+    return { throttle: 0.97, params: { engineMap: 45, risk: 40 } };
+  }
+};
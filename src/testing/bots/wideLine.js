@@ -0,0 +1,34 @@
+/**
+ * Example bot: runs out-in-out, swinging to the outside before each corner
+ * instead of holding the racing line. Overtaking moves and blue flags still
+ * pick the line while they last.
+ * Run it with: node src/testing/runTournament.js src/testing/bots/wideLine.js ai
+ *
+ * @module testing/bots/wideLine
+ */
+
+// Share of the widest line to swing out to
+const SWING = 0.7;
+
+export default {
+  name: 'Wide line',
+
+  /**
+   * @param {Racer} racer - Rider being controlled (read-only)
+   * @param {Object} view - Race state (see PhysicsEngine.updateControllers)
+   * @returns {Object} Intent for this frame
+   */
+  decide(racer, view) {
+    if (racer.racecraft || racer.blueFlagFor !== null || racer.pitPhase) {
+      return {};
+    }
+
+    const physics = view.physics;
+    const turn = physics.getUpcomingTurn(view.racingPath, racer.pathIndex);
+    if (Math.abs(turn) < physics.config.overtakeCornerThreshold) {
+      return {};
+    }
+    // Positive offsets are the right-hand side, so the outside is against the turn
+    return { lane: -Math.sign(turn) * physics.config.maxLaneOffset * SWING };
+  }
+};
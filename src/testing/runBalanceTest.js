@@ -8,14 +8,23 @@
  *   node src/testing/runBalanceTest.js --races 50         # 50 races per track
  *   node src/testing/runBalanceTest.js --track track1     # Single track only
  *   node src/testing/runBalanceTest.js --laps 5           # 5 laps per race
+ *   node src/testing/runBalanceTest.js --seed 1234        # Reproducible run
+ *   node src/testing/runBalanceTest.js --fuel equal       # Compare starting fuel loads
+ *   node src/testing/runBalanceTest.js --engine equal     # Compare engine maps and reliability
+ *   node src/testing/runBalanceTest.js --start rolling    # Rolling starts behind the pace bike
+ *   node src/testing/runBalanceTest.js --setup gearing=2,downforce=3  # Race a custom bike setup
+ *   node src/testing/runBalanceTest.js --benchmark        # Collision broadphase benchmark
  */
 
 import {
   runBalanceTest,
   runFullBalanceTest,
   formatBalanceReport,
+  runCollisionBenchmark,
+  formatBenchmarkReport,
   AVAILABLE_TRACKS
 } from './HeadlessRaceSimulator.js';
+import { BIKE_SETUP } from '../config/constants.js';
 
 // Parse command line arguments
 function parseArgs() {
@@ -25,6 +34,18 @@ function parseArgs() {
     track: null,
     laps: 3,
     distribution: 'equal',
+    compounds: 'random',
+    fuel: 'full',
+    engineMaps: 'ai',
+    weather: 'dry',
+    start: 'standing',
+    safetyCar: true,
+    driverSkill: true,
+    ai: 'adaptive',
+    aiDifficulty: 'normal',
+    setup: null,
+    seed: undefined,
+    benchmark: false,
     verbose: false
   };
 
@@ -46,6 +67,48 @@ function parseArgs() {
       case '-d':
         options.distribution = args[++i];
         break;
+      case '--compounds':
+      case '-c':
+        options.compounds = args[++i];
+        break;
+      case '--fuel':
+      case '-f':
+        options.fuel = args[++i];
+        break;
+      case '--engine':
+      case '-e':
+        options.engineMaps = args[++i];
+        break;
+      case '--weather':
+      case '-w':
+        options.weather = args[++i];
+        break;
+      case '--start':
+        options.start = args[++i];
+        break;
+      case '--no-safety-car':
+        options.safetyCar = false;
+        break;
+      case '--neutral-drivers':
+        options.driverSkill = false;
+        break;
+      case '--ai':
+        options.ai = args[++i];
+        break;
+      case '--difficulty':
+        options.aiDifficulty = args[++i];
+        break;
+      case '--setup':
+        options.setup = parseSetup(args[++i]);
+        break;
+      case '--seed':
+      case '-s':
+        options.seed = parseInt(args[++i], 10);
+        break;
+      case '--benchmark':
+      case '-b':
+        options.benchmark = true;
+        break;
       case '--verbose':
       case '-v':
         options.verbose = true;
@@ -60,6 +123,20 @@ function parseArgs() {
   return options;
 }
 
+/**
+ * Parse a bike setup argument such as "gearing=2,downforce=-1"
+ * @param {string} value - Comma-separated setting=clicks pairs
+ * @returns {Object} Setup (checked against the budget by the simulator)
+ */
+function parseSetup(value) {
+  const setup = {};
+  for (const pair of (value || '').split(',')) {
+    const [key, clicks] = pair.split('=');
+    setup[key.trim()] = parseInt(clicks, 10);
+  }
+  return setup;
+}
+
 function printHelp() {
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
@@ -74,6 +151,19 @@ OPTIONS:
   -t, --track <id>        Test single track only (track1, general-roca)
   -l, --laps <num>        Laps per race (default: 3)
   -d, --distribution      Archetype distribution: random, equal (default: equal)
+  -c, --compounds         Starting tyre assignment: random, equal (default: random)
+  -f, --fuel              Starting fuel: full, random, equal (default: full)
+  -e, --engine            Engine maps: ai, equal (spread 20-100) (default: ai)
+  -w, --weather <cond>    Weather: dry, damp, wet, random (default: dry)
+      --start <type>      Start procedure: standing, rolling (default: standing)
+      --no-safety-car     Never neutralise races after incidents
+      --neutral-drivers   Rate every rider 50 so only the bikes differ
+      --ai <mode>         Strategy AI: adaptive, static, mixed (half the grid each) (default: adaptive)
+      --difficulty <lvl>  Strategy AI difficulty: easy, normal, hard (default: normal)
+      --setup <clicks>    Race one custom bike per race, e.g. gearing=2,downforce=-1,steeringLock=1
+                          (each click costs a point of the ${BIKE_SETUP.budget}-point budget)
+  -s, --seed <num>        Base random seed; race N uses seed + N - 1 (default: random)
+  -b, --benchmark         Measure frames/second for 11-60 bike grids instead
   -v, --verbose           Show progress for each race
   -h, --help              Show this help message
 
@@ -92,12 +182,52 @@ EXAMPLES:
 
   # Verbose mode to see each race result
   node src/testing/runBalanceTest.js --verbose --races 10
+
+  # Light tank vs. full tank: spread 40-100% starting fuel across the grid
+  node src/testing/runBalanceTest.js --fuel equal --races 50
+
+  # How often aggressive engine maps end in a failure
+  node src/testing/runBalanceTest.js --engine equal --races 50
+
+  # Balance check in the rain
+  node src/testing/runBalanceTest.js --weather wet --races 50
+
+  # Rolling starts: no reaction times or jump starts, the field bunched behind the pace bike
+  node src/testing/runBalanceTest.js --start rolling --races 50
+
+  # Archetypes alone, without the roster's driver ratings
+  node src/testing/runBalanceTest.js --neutral-drivers --races 50
+
+  # What in-race re-planning is worth: half the grid adaptive, half on fixed params
+  node src/testing/runBalanceTest.js --ai mixed --difficulty hard --races 50
+
+  # How a long-geared, high-downforce setup compares with the presets
+  node src/testing/runBalanceTest.js --setup gearing=3,downforce=4 --races 50
+
+  # Replay a single race reported in verbose mode
+  node src/testing/runBalanceTest.js --track track1 --races 1 --seed 123456789
+
+  # Compare all-pairs and broadphase collisions on big grids
+  node src/testing/runBalanceTest.js --benchmark --track general-roca
 `);
 }
 
 async function main() {
   const options = parseArgs();
 
+  if (options.benchmark) {
+    console.log('');
+    console.log(`Benchmarking collisions on ${options.track || 'track1'}...`);
+    const results = runCollisionBenchmark({
+      trackType: options.track || 'track1',
+      seed: options.seed
+    });
+    console.log('');
+    console.log(formatBenchmarkReport(results));
+    console.log('');
+    return;
+  }
+
   console.log('');
   console.log('╔═══════════════════════════════════════════════════════════════╗');
   console.log('║           GP VECTOR MANAGER - BALANCE TEST                    ║');
@@ -107,7 +237,19 @@ async function main() {
   console.log(`  • Races per track: ${options.races}`);
   console.log(`  • Laps per race: ${options.laps}`);
   console.log(`  • Distribution: ${options.distribution}`);
+  console.log(`  • Starting tyres: ${options.compounds}`);
+  console.log(`  • Starting fuel: ${options.fuel}`);
+  console.log(`  • Engine maps: ${options.engineMaps}`);
+  console.log(`  • Weather: ${options.weather}`);
+  console.log(`  • Start: ${options.start}`);
+  console.log(`  • Safety car: ${options.safetyCar ? 'on' : 'off'}`);
+  console.log(`  • Driver skill: ${options.driverSkill ? 'roster ratings' : 'neutral'}`);
+  console.log(`  • AI strategy: ${options.ai}${options.ai === 'static' ? '' : ` (${options.aiDifficulty})`}`);
+  if (options.setup) {
+    console.log(`  • Bike setup: ${Object.entries(options.setup).map(([k, v]) => `${k} ${v > 0 ? '+' : ''}${v}`).join(', ')}`);
+  }
   console.log(`  • Track: ${options.track || 'All tracks'}`);
+  console.log(`  • Seed: ${options.seed !== undefined ? options.seed : 'random'}`);
   console.log('');
   console.log('Starting balance test...');
   console.log('');
@@ -117,7 +259,7 @@ async function main() {
   const progressCallback = options.verbose ? (progress) => {
     const trackInfo = progress.track ? ` [${progress.track}]` : '';
     const winner = progress.lastWinner ? ` - Winner: ${progress.lastWinner.archetypeName} (${progress.lastWinner.name})` : '';
-    console.log(`  Race ${progress.completed}/${progress.total}${trackInfo}${winner}`);
+    console.log(`  Race ${progress.completed}/${progress.total}${trackInfo}${winner} [seed ${progress.lastSeed}]`);
   } : (progress) => {
     // Simple progress bar for non-verbose mode
     const pct = Math.floor(progress.percentage);
@@ -135,7 +277,18 @@ async function main() {
       trackType: options.track,
       numRaces: options.races,
       distribution: options.distribution,
+      compounds: options.compounds,
+      fuel: options.fuel,
+      engineMaps: options.engineMaps,
+      weather: options.weather,
+      start: options.start,
+      safetyCar: options.safetyCar,
+      driverSkill: options.driverSkill,
+      ai: options.ai,
+      aiDifficulty: options.aiDifficulty,
+      setup: options.setup,
       totalLaps: options.laps,
+      seed: options.seed,
       onProgress: progressCallback
     });
   } else {
@@ -143,7 +296,18 @@ async function main() {
     results = await runFullBalanceTest({
       numRaces: options.races,
       distribution: options.distribution,
+      compounds: options.compounds,
+      fuel: options.fuel,
+      engineMaps: options.engineMaps,
+      weather: options.weather,
+      start: options.start,
+      safetyCar: options.safetyCar,
+      driverSkill: options.driverSkill,
+      ai: options.ai,
+      aiDifficulty: options.aiDifficulty,
+      setup: options.setup,
       totalLaps: options.laps,
+      seed: options.seed,
       onProgress: progressCallback
     });
   }
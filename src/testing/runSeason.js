@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Championship Season CLI Runner
+ * Run from project root: node src/testing/runSeason.js [options]
+ *
+ * Simulates full seasons over the track calendar and reports how often each
+ * rider and team takes the title, and how close the title fights are.
+ *
+ * Usage:
+ *   node src/testing/runSeason.js                        # 10 seasons, MotoGP points
+ *   node src/testing/runSeason.js --seasons 50 --points f1
+ *   node src/testing/runSeason.js --points 10,6,4,3,2,1 --seed 1
+ */
+
+import {
+  runSeason,
+  formatSeasonReport,
+  AVAILABLE_TRACKS
+} from './HeadlessRaceSimulator.js';
+import { POINTS_SYSTEMS, POINTS_SYSTEM_KEYS } from '../config/constants.js';
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    seasons: 10,
+    tracks: null,
+    points: 'motogp',
+    fastestLap: 0,
+    laps: 3,
+    distribution: 'random',
+    weather: 'dry',
+    start: 'standing',
+    driverSkill: true,
+    ai: 'adaptive',
+    seed: undefined,
+    verbose: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--seasons':
+      case '-n':
+        options.seasons = parseInt(args[++i], 10);
+        break;
+      case '--tracks':
+      case '-t':
+        options.tracks = args[++i].split(',');
+        break;
+      case '--points':
+      case '-p':
+        options.points = args[++i];
+        break;
+      case '--fastest-lap':
+        options.fastestLap = parseInt(args[++i], 10);
+        break;
+      case '--laps':
+      case '-l':
+        options.laps = parseInt(args[++i], 10);
+        break;
+      case '--distribution':
+      case '-d':
+        options.distribution = args[++i];
+        break;
+      case '--weather':
+      case '-w':
+        options.weather = args[++i];
+        break;
+      case '--start':
+        options.start = args[++i];
+        break;
+      case '--no-drivers':
+        options.driverSkill = false;
+        break;
+      case '--ai':
+        options.ai = args[++i];
+        break;
+      case '--seed':
+      case '-s':
+        options.seed = parseInt(args[++i], 10);
+        break;
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Parse a --points value: a POINTS_SYSTEMS key, or points per position like "10,6,4,3,2,1"
+ *
+ * @param {string} value - Command line value
+ * @param {number} fastestLap - Fastest lap bonus for a custom list
+ * @returns {string|Object} Points system for runSeason
+ */
+function parsePoints(value, fastestLap) {
+  if (POINTS_SYSTEMS[value]) {
+    return value;
+  }
+  const points = value.split(',').map(Number);
+  if (points.some(p => !Number.isFinite(p))) {
+    throw new Error(`Unknown points system '${value}' (use ${POINTS_SYSTEM_KEYS.join(', ')} or a list like 10,6,4)`);
+  }
+  return { name: 'Custom', points, fastestLap };
+}
+
+function printHelp() {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║         GP VECTOR MANAGER - CHAMPIONSHIP SEASON CLI           ║
+╚═══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node src/testing/runSeason.js [options]
+
+OPTIONS:
+  -n, --seasons <num>     Seasons to simulate (default: 10)
+  -t, --tracks <ids>      Calendar, comma separated (default: every track)
+  -p, --points <system>   ${POINTS_SYSTEM_KEYS.join(', ')}, or points per position like 10,6,4,3,2,1 (default: motogp)
+      --fastest-lap <n>   Fastest lap bonus for a custom points list (default: 0)
+  -l, --laps <num>        Laps per race (default: 3)
+  -d, --distribution <t>  Bike archetypes per race: random, equal (default: random)
+  -w, --weather <cond>    Weather: dry, damp, wet, random (default: dry)
+      --start <type>      Start procedure: standing, rolling (default: standing)
+      --no-drivers        Every rider rated 50 (default: roster ratings)
+      --ai <mode>         Strategy AI: adaptive, static, mixed (default: adaptive)
+  -s, --seed <num>        Base random seed for reproducible seasons (default: random)
+  -v, --verbose           Show each season's champion
+  -h, --help              Show this help message
+
+POINTS SYSTEMS:
+${POINTS_SYSTEM_KEYS.map(key => `  ${key.padEnd(10)} ${POINTS_SYSTEMS[key].points.join('-')}${POINTS_SYSTEMS[key].fastestLap > 0 ? ` (+${POINTS_SYSTEMS[key].fastestLap} fastest lap)` : ''}`).join('\n')}
+
+AVAILABLE TRACKS:
+${AVAILABLE_TRACKS.map(t => `  ${t.icon} ${t.id.padEnd(15)} ${t.name}`).join('\n')}
+
+EXAMPLES:
+  # Reproducible 50 seasons with F1 points
+  node src/testing/runSeason.js --seasons 50 --points f1 --seed 1
+
+  # Does a flatter points system keep the title open for longer?
+  node src/testing/runSeason.js --points 10,9,8,7,6,5,4,3,2,1 --seed 1
+`);
+}
+
+async function main() {
+  const options = parseArgs();
+  const pointsSystem = parsePoints(options.points, options.fastestLap);
+
+  console.log('');
+  console.log('╔═══════════════════════════════════════════════════════════════╗');
+  console.log('║           GP VECTOR MANAGER - CHAMPIONSHIP SEASONS            ║');
+  console.log('╚═══════════════════════════════════════════════════════════════╝');
+  console.log('');
+  console.log(`Configuration:`);
+  console.log(`  • Seasons: ${options.seasons}`);
+  console.log(`  • Calendar: ${(options.tracks || AVAILABLE_TRACKS.map(t => t.id)).join(', ')}`);
+  console.log(`  • Points: ${options.points}`);
+  console.log(`  • Laps per race: ${options.laps}`);
+  console.log(`  • Distribution: ${options.distribution}`);
+  console.log(`  • Weather: ${options.weather}`);
+  console.log(`  • Start: ${options.start}`);
+  console.log(`  • Driver skill: ${options.driverSkill ? 'roster ratings' : 'neutral'}`);
+  console.log(`  • AI strategy: ${options.ai}`);
+  console.log(`  • Seed: ${options.seed !== undefined ? options.seed : 'random'}`);
+  console.log('');
+
+  const startTime = Date.now();
+
+  const progressCallback = (progress) => {
+    const pct = Math.floor(progress.percentage);
+    const bar = '█'.repeat(Math.floor(pct / 5)) + '░'.repeat(20 - Math.floor(pct / 5));
+    process.stdout.write(`\r  Progress: season ${progress.season} [${bar}] ${pct}%`);
+  };
+
+  const results = await runSeason({
+    numSeasons: options.seasons,
+    tracks: options.tracks || undefined,
+    pointsSystem,
+    totalLaps: options.laps,
+    distribution: options.distribution,
+    weather: options.weather,
+    start: options.start,
+    driverSkill: options.driverSkill,
+    ai: options.ai,
+    seed: options.seed,
+    onProgress: progressCallback
+  });
+
+  console.log('\n');
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`Seasons completed in ${elapsed} seconds`);
+  console.log('');
+
+  if (options.verbose) {
+    results.seasons.forEach((season, i) => {
+      console.log(`  Season ${i + 1}: ${season.champion} (${season.points} pts, +${season.margin}) · teams: ${season.teamChampion}`);
+    });
+    console.log('');
+  }
+
+  console.log(formatSeasonReport(results));
+  console.log('');
+}
+
+main().catch(console.error);
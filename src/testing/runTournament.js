@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Bot Tournament CLI Runner
+ * Run from project root: node src/testing/runTournament.js <bot.js> [<bot.js> ...]
+ *
+ * A bot is an ES module whose default export is a decide(racer, view)
+ * function, or an object with decide() and a name (see engine/controllers).
+ * A module that only has named exports may export decide and name instead.
+ *
+ * Usage:
+ *   node src/testing/runTournament.js src/testing/bots/fuelSaver.js ai
+ *   node src/testing/runTournament.js a.js b.js --races 20 --seed 1
+ */
+
+import { resolve, basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import {
+  runTournament,
+  formatTournamentReport,
+  AVAILABLE_TRACKS
+} from './HeadlessRaceSimulator.js';
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    bots: [],
+    races: 10,
+    track: null,
+    laps: 3,
+    weather: 'dry',
+    start: 'standing',
+    driverSkill: false,
+    ai: 'static',
+    seed: undefined,
+    verbose: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--races':
+      case '-r':
+        options.races = parseInt(args[++i], 10);
+        break;
+      case '--track':
+      case '-t':
+        options.track = args[++i];
+        break;
+      case '--laps':
+      case '-l':
+        options.laps = parseInt(args[++i], 10);
+        break;
+      case '--weather':
+      case '-w':
+        options.weather = args[++i];
+        break;
+      case '--start':
+        options.start = args[++i];
+        break;
+      case '--drivers':
+        options.driverSkill = true;
+        break;
+      case '--ai':
+        options.ai = args[++i];
+        break;
+      case '--seed':
+      case '-s':
+        options.seed = parseInt(args[++i], 10);
+        break;
+      case '--verbose':
+      case '-v':
+        options.verbose = true;
+        break;
+      case '--help':
+      case '-h':
+        printHelp();
+        process.exit(0);
+        break;
+      default:
+        options.bots.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════╗
+║           GP VECTOR MANAGER - BOT TOURNAMENT CLI              ║
+╚═══════════════════════════════════════════════════════════════╝
+
+USAGE:
+  node src/testing/runTournament.js <bot> [<bot> ...] [options]
+
+  Each bot is the path to a bot module, or "ai" for the built-in AI.
+  The grid is shared equally between the bots in every race.
+
+OPTIONS:
+  -r, --races <num>       Races per track (default: 10)
+  -t, --track <id>        Single track only (track1, general-roca)
+  -l, --laps <num>        Laps per race (default: 3)
+  -w, --weather <cond>    Weather: dry, damp, wet, random (default: dry)
+      --start <type>      Start procedure: standing, rolling (default: standing)
+      --drivers           Use the roster's driver ratings (default: every rider rated 50)
+      --ai <mode>         Strategy AI on top of every bot: static, adaptive (default: static)
+  -s, --seed <num>        Base random seed; race N uses seed + N - 1 (default: random)
+  -v, --verbose           Show the finishing order of each race
+  -h, --help              Show this help message
+
+AVAILABLE TRACKS:
+${AVAILABLE_TRACKS.map(t => `  ${t.icon} ${t.id.padEnd(15)} ${t.name}`).join('\n')}
+
+EXAMPLES:
+  # Example bots against the built-in AI
+  node src/testing/runTournament.js src/testing/bots/fuelSaver.js src/testing/bots/wideLine.js ai
+
+  # Reproducible 50-race shoot-out on one track
+  node src/testing/runTournament.js my-bot.js ai --track general-roca --races 50 --seed 1
+`);
+}
+
+/**
+ * Load a bot module from disk
+ *
+ * @param {string} file - Path to the module (relative to the working directory)
+ * @returns {Promise<Function|Object>} Bot script for runTournament
+ */
+async function loadBot(file) {
+  const module = await import(pathToFileURL(resolve(file)).href);
+  const bot = module.default || module;
+  const decide = typeof bot === 'function' ? bot : bot.decide;
+  if (typeof decide !== 'function') {
+    throw new Error(`Bot '${file}' does not export a decide(racer, view) function`);
+  }
+  return { name: bot.name || basename(file, '.js'), decide };
+}
+
+async function main() {
+  const options = parseArgs();
+
+  if (options.bots.length === 0) {
+    printHelp();
+    process.exit(1);
+  }
+
+  const bots = [];
+  for (const file of options.bots) {
+    bots.push(file === 'ai' ? 'ai' : await loadBot(file));
+  }
+
+  console.log('');
+  console.log('╔═══════════════════════════════════════════════════════════════╗');
+  console.log('║           GP VECTOR MANAGER - BOT TOURNAMENT                  ║');
+  console.log('╚═══════════════════════════════════════════════════════════════╝');
+  console.log('');
+  console.log(`Configuration:`);
+  console.log(`  • Bots: ${options.bots.join(', ')}`);
+  console.log(`  • Races per track: ${options.races}`);
+  console.log(`  • Laps per race: ${options.laps}`);
+  console.log(`  • Weather: ${options.weather}`);
+  console.log(`  • Start: ${options.start}`);
+  console.log(`  • Driver skill: ${options.driverSkill ? 'roster ratings' : 'neutral'}`);
+  console.log(`  • AI strategy: ${options.ai}`);
+  console.log(`  • Track: ${options.track || 'All tracks'}`);
+  console.log(`  • Seed: ${options.seed !== undefined ? options.seed : 'random'}`);
+  console.log('');
+
+  const startTime = Date.now();
+
+  const progressCallback = options.verbose ? null : (progress) => {
+    const pct = Math.floor(progress.percentage);
+    const bar = '█'.repeat(Math.floor(pct / 5)) + '░'.repeat(20 - Math.floor(pct / 5));
+    process.stdout.write(`\r  Progress: ${progress.track} [${bar}] ${pct}%`);
+  };
+
+  const results = await runTournament({
+    bots,
+    numRaces: options.races,
+    tracks: options.track ? [options.track] : undefined,
+    totalLaps: options.laps,
+    weather: options.weather,
+    start: options.start,
+    driverSkill: options.driverSkill,
+    ai: options.ai,
+    seed: options.seed,
+    onProgress: progressCallback
+  });
+
+  if (options.verbose) {
+    results.races.forEach((race, i) => {
+      console.log(`  Race ${i + 1} [${race.track}, seed ${race.seed}]: ${race.order.join(' > ')}`);
+    });
+  }
+
+  console.log('\n');
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`Tournament completed in ${elapsed} seconds`);
+  console.log('');
+
+  console.log(formatTournamentReport(results));
+  console.log('');
+}
+
+main().catch(console.error);
@@ -0,0 +1,182 @@
+/**
+ * BikeSetupPanel - Pre-race bike setup for the player riders
+ * Tunes gearing, downforce and steering lock within the setup budget
+ * (see BIKE_SETUP) and shows the resulting bike against the base one.
+ */
+import { BIKE_SETUP, BIKE_SETUP_KEYS, DEFAULT_BIKE_SETUP } from '../config/constants.js';
+import { buildSetupArchetype, getSetupCost } from '../core/bikeSetup.js';
+
+// Archetype multipliers shown in the preview
+const PREVIEW_FIELDS = [
+    { key: 'topSpeedMultiplier', label: 'Punta' },
+    { key: 'accelerationMultiplier', label: 'Acel.' },
+    { key: 'corneringMultiplier', label: 'Curva' },
+    { key: 'maxSteerMultiplier', label: 'Giro' }
+];
+
+export class BikeSetupPanel {
+    constructor(containerElementId = 'gameContainer') {
+        this.containerEl = document.getElementById(containerElementId);
+        this.panelEl = null;
+        this.drafts = {};
+        this.onSave = null;
+    }
+
+    /**
+     * Opens the panel
+     * @param {Object} config - Panel configuration
+     * @param {string} config.trackName - Track the setups are saved for
+     * @param {Array<{id: number, name: string}>} config.players - Player riders
+     * @param {Object} config.setups - Saved setups by racer ID (see state/setupStorage)
+     * @param {Function} config.onSave - Called with a map of racer ID to setup (null = preset archetype)
+     */
+    open(config) {
+        this.close();
+        this.onSave = config.onSave;
+        this.drafts = {};
+        config.players.forEach(player => {
+            const saved = config.setups[player.id];
+            this.drafts[player.id] = {
+                enabled: Boolean(saved),
+                setup: { ...DEFAULT_BIKE_SETUP, ...saved }
+            };
+        });
+
+        this.panelEl = document.createElement('div');
+        this.panelEl.id = 'bike-setup-panel';
+        this.panelEl.className = 'absolute inset-0 z-40 flex items-center justify-center bg-black/50 backdrop-blur-sm';
+        this.panelEl.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl border border-gray-200 p-4 w-[560px] max-w-full">
+                <div class="flex items-center justify-between mb-3 pb-2 border-b border-gray-100">
+                    <h3 class="font-bold text-gray-800">🔧 Reglajes · ${config.trackName}</h3>
+                    <span class="text-xs text-gray-500">Presupuesto: ${BIKE_SETUP.budget} puntos por moto</span>
+                </div>
+                <div class="grid grid-cols-2 gap-4">
+                    ${config.players.map(player => this.renderPlayer(player)).join('')}
+                </div>
+                <div class="flex justify-end gap-2 mt-4 pt-3 border-t border-gray-100">
+                    <button id="setup-cancel" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-bold py-1.5 px-4 rounded text-sm">Cancelar</button>
+                    <button id="setup-save" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-4 rounded text-sm disabled:opacity-50">Guardar y reiniciar</button>
+                </div>
+            </div>
+        `;
+
+        if (this.containerEl) {
+            this.containerEl.appendChild(this.panelEl);
+        }
+
+        this.setupEventListeners();
+        config.players.forEach(player => this.refresh(player.id));
+    }
+
+    /**
+     * Renders one player's setup card
+     * @param {{id: number, name: string}} player - Player rider
+     * @returns {string} Card HTML
+     */
+    renderPlayer(player) {
+        const draft = this.drafts[player.id];
+        const sliders = BIKE_SETUP_KEYS.map(key => {
+            const setting = BIKE_SETUP.settings[key];
+            return `
+                <label class="block" title="${setting.description}">
+                    <div class="flex justify-between text-xs text-gray-600">
+                        <span>${setting.name}</span>
+                        <span id="setup-value-${player.id}-${key}" class="font-mono font-bold"></span>
+                    </div>
+                    <input type="range" class="w-full cursor-pointer" min="${setting.min}" max="${setting.max}" step="1"
+                        value="${draft.setup[key]}" data-racer-id="${player.id}" data-setting="${key}">
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="rounded-lg border border-gray-200 p-3 space-y-2">
+                <div class="flex items-center justify-between">
+                    <span class="font-bold text-sm text-gray-800">${player.name}</span>
+                    <label class="flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+                        <input type="checkbox" data-racer-id="${player.id}" data-setting="enabled" ${draft.enabled ? 'checked' : ''}>
+                        Reglaje propio
+                    </label>
+                </div>
+                <div id="setup-sliders-${player.id}" class="space-y-1">${sliders}</div>
+                <div id="setup-budget-${player.id}" class="text-xs font-bold"></div>
+                <div id="setup-preview-${player.id}" class="grid grid-cols-4 gap-1 text-[10px] text-center"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Sets up change handlers for the sliders and buttons
+     */
+    setupEventListeners() {
+        this.panelEl.querySelectorAll('input[data-setting]').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const racerId = parseInt(e.target.dataset.racerId, 10);
+                const setting = e.target.dataset.setting;
+                if (setting === 'enabled') {
+                    this.drafts[racerId].enabled = e.target.checked;
+                } else {
+                    this.drafts[racerId].setup[setting] = parseInt(e.target.value, 10);
+                }
+                this.refresh(racerId);
+            });
+        });
+
+        document.getElementById('setup-cancel').addEventListener('click', () => this.close());
+        document.getElementById('setup-save').addEventListener('click', () => {
+            const setups = {};
+            for (const id in this.drafts) {
+                setups[id] = this.drafts[id].enabled ? { ...this.drafts[id].setup } : null;
+            }
+            const onSave = this.onSave;
+            this.close();
+            if (onSave) {
+                onSave(setups);
+            }
+        });
+    }
+
+    /**
+     * Updates a player's values, budget and preview after a change
+     * @param {number} racerId - Player racer ID
+     */
+    refresh(racerId) {
+        const draft = this.drafts[racerId];
+        const cost = getSetupCost(draft.setup);
+        const overBudget = cost > BIKE_SETUP.budget;
+
+        BIKE_SETUP_KEYS.forEach(key => {
+            const value = draft.setup[key];
+            document.getElementById(`setup-value-${racerId}-${key}`).textContent = `${value > 0 ? '+' : ''}${value}`;
+        });
+        document.getElementById(`setup-sliders-${racerId}`).classList.toggle('opacity-40', !draft.enabled);
+
+        const budgetEl = document.getElementById(`setup-budget-${racerId}`);
+        budgetEl.textContent = `Puntos: ${cost}/${BIKE_SETUP.budget}${overBudget ? ' · fuera de presupuesto' : ''}`;
+        budgetEl.className = `text-xs font-bold ${overBudget ? 'text-red-600' : 'text-gray-600'}`;
+
+        const previewEl = document.getElementById(`setup-preview-${racerId}`);
+        const archetype = overBudget ? null : buildSetupArchetype(draft.setup);
+        previewEl.innerHTML = PREVIEW_FIELDS.map(({ key, label }) => {
+            const value = archetype ? archetype[key] : null;
+            const base = BIKE_SETUP.base[key];
+            const color = value === null || value === base ? 'text-gray-500' : value > base ? 'text-green-600' : 'text-red-600';
+            return `<div class="bg-gray-50 rounded py-0.5"><div class="text-gray-400">${label}</div><div class="font-mono font-bold ${color}">${value === null ? '-' : '×' + value.toFixed(2)}</div></div>`;
+        }).join('');
+
+        // Saving needs every custom setup within budget
+        const invalid = Object.values(this.drafts).some(d => d.enabled && getSetupCost(d.setup) > BIKE_SETUP.budget);
+        document.getElementById('setup-save').disabled = invalid;
+    }
+
+    /**
+     * Removes the panel from DOM
+     */
+    close() {
+        if (this.panelEl) {
+            this.panelEl.remove();
+            this.panelEl = null;
+        }
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * ChampionshipPanel - Season start and standings between races
+ * Starts a season with the chosen points system, and after each round shows
+ * its result with the driver and team standings (see core/championship).
+ */
+import { AVAILABLE_TRACKS } from '../config/tracks.js';
+import { POINTS_SYSTEMS, POINTS_SYSTEM_KEYS, DEFAULT_POINTS_SYSTEM } from '../config/constants.js';
+import { formatRaceTime } from '../utils/formatTime.js';
+
+export class ChampionshipPanel {
+    constructor(containerElementId = 'gameContainer') {
+        this.containerEl = document.getElementById(containerElementId);
+        this.panelEl = null;
+        this.config = null;
+    }
+
+    /**
+     * Opens the panel: the standings of the season, or the season start when there is none
+     * @param {Object} config - Panel configuration
+     * @param {Championship|null} config.championship - Season in progress
+     * @param {Object} [config.lastRound] - Round just raced, shown above the standings
+     * @param {Function} config.onStart - Called with a points system key to start a new season
+     * @param {Function} config.onNext - Called to race the next round
+     * @param {Function} config.onAbandon - Called to drop the season in progress
+     */
+    open(config) {
+        this.close();
+        this.config = config;
+
+        this.panelEl = document.createElement('div');
+        this.panelEl.id = 'championship-panel';
+        this.panelEl.className = 'absolute inset-0 z-40 flex items-center justify-center bg-black/50 backdrop-blur-sm';
+        this.panelEl.innerHTML = `
+            <div class="bg-white rounded-xl shadow-xl border border-gray-200 p-4 w-[640px] max-w-full max-h-full overflow-y-auto">
+                ${config.championship ? this.renderStandings(config.championship, config.lastRound) : this.renderStart()}
+            </div>
+        `;
+
+        if (this.containerEl) {
+            this.containerEl.appendChild(this.panelEl);
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Renders the season start: points system choice and the calendar
+     * @returns {string} Panel HTML
+     */
+    renderStart() {
+        const systems = POINTS_SYSTEM_KEYS.map(key => {
+            const system = POINTS_SYSTEMS[key];
+            const bonus = system.fastestLap > 0 ? ` · +${system.fastestLap} vuelta rápida` : '';
+            return `
+                <label class="flex items-start gap-2 p-2 rounded border border-gray-200 hover:bg-gray-50 cursor-pointer">
+                    <input type="radio" name="pointsSystem" value="${key}" ${key === DEFAULT_POINTS_SYSTEM ? 'checked' : ''} class="mt-1">
+                    <span>
+                        <span class="block font-bold text-sm text-gray-800">${system.name}</span>
+                        <span class="block text-xs text-gray-500 font-mono">${system.points.join('-')}${bonus}</span>
+                    </span>
+                </label>
+            `;
+        }).join('');
+
+        const calendar = AVAILABLE_TRACKS.map((track, i) =>
+            `<li>Ronda ${i + 1}: ${track.icon} ${track.name}</li>`
+        ).join('');
+
+        return `
+            <div class="flex items-center justify-between mb-3 pb-2 border-b border-gray-100">
+                <h3 class="font-bold text-gray-800">🏆 Nueva temporada</h3>
+            </div>
+            <div class="grid grid-cols-2 gap-4">
+                <div class="space-y-2">
+                    <div class="text-xs font-bold text-gray-500 uppercase">Puntuación</div>
+                    ${systems}
+                </div>
+                <div>
+                    <div class="text-xs font-bold text-gray-500 uppercase mb-2">Calendario</div>
+                    <ul class="text-sm text-gray-700 space-y-1">${calendar}</ul>
+                </div>
+            </div>
+            <div class="flex justify-end gap-2 mt-4 pt-3 border-t border-gray-100">
+                <button id="championship-close" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-bold py-1.5 px-4 rounded text-sm">Cancelar</button>
+                <button id="championship-start" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-4 rounded text-sm">Empezar temporada</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the last round and the driver and team standings
+     * @param {Championship} championship - Season in progress
+     * @param {Object} [lastRound] - Round just raced
+     * @returns {string} Panel HTML
+     */
+    renderStandings(championship, lastRound) {
+        const trackInfo = (id) => AVAILABLE_TRACKS.find(t => t.id === id) || { name: id, icon: '🏁' };
+        const complete = championship.isComplete();
+        const drivers = championship.getDriverStandings();
+        const teams = championship.getTeamStandings();
+        const title = complete
+            ? `🏆 Campeón: ${drivers[0].name}`
+            : `🏆 Campeonato · Ronda ${championship.getRoundNumber()}/${championship.tracks.length}`;
+
+        let roundHtml = '';
+        if (lastRound) {
+            const scorers = lastRound.results.filter(r => r.points > 0)
+                .map(r => `<span class="whitespace-nowrap">${r.position}. ${r.name} <b>+${r.points}</b></span>`)
+                .join(' · ');
+            const fastest = lastRound.fastestLap
+                ? `<div class="text-xs text-purple-600 mt-1">⏱️ Vuelta rápida: ${lastRound.fastestLap.name} (${formatRaceTime(lastRound.fastestLap.time)})</div>`
+                : '';
+            roundHtml = `
+                <div class="mb-3 p-2 rounded bg-gray-50 border border-gray-100">
+                    <div class="text-xs font-bold text-gray-500 uppercase mb-1">Ronda ${lastRound.round} · ${trackInfo(lastRound.track).icon} ${trackInfo(lastRound.track).name}</div>
+                    <div class="text-xs text-gray-700">${scorers || 'Nadie sumó puntos'}</div>
+                    ${fastest}
+                </div>
+            `;
+        }
+
+        const roundHeaders = championship.tracks.map((id, i) =>
+            `<th class="px-1 text-center" title="Ronda ${i + 1}: ${trackInfo(id).name}">${trackInfo(id).icon}</th>`
+        ).join('');
+        const teamColor = (id) => (teams.find(t => t.id === id) || { color: '#9ca3af' }).color;
+        const driverRows = drivers.map((driver, i) => `
+            <tr class="border-t border-gray-100">
+                <td class="py-0.5 text-gray-400 font-bold">${i + 1}</td>
+                <td class="py-0.5">
+                    <span class="inline-block w-2 h-2 rounded-full mr-1" style="background-color: ${teamColor(driver.team)}"></span>${driver.name}
+                </td>
+                ${championship.tracks.map((id, round) => {
+                    // Blank for rounds still to race, '-' when the rider did not take part
+                    const points = round < driver.results.length ? driver.results[round] : '';
+                    return `<td class="px-1 text-center tabular-nums text-gray-500">${points === null ? '-' : points}</td>`;
+                }).join('')}
+                <td class="py-0.5 text-right font-bold tabular-nums">${driver.points}</td>
+            </tr>
+        `).join('');
+        const teamRows = teams.map((team, i) => `
+            <tr class="border-t border-gray-100">
+                <td class="py-0.5 text-gray-400 font-bold">${i + 1}</td>
+                <td class="py-0.5" title="${team.riders.join(', ')}">
+                    <span class="inline-block w-2 h-2 rounded-full mr-1" style="background-color: ${team.color}"></span>${team.name}
+                </td>
+                <td class="py-0.5 text-center tabular-nums text-gray-500">${team.wins}</td>
+                <td class="py-0.5 text-right font-bold tabular-nums">${team.points}</td>
+            </tr>
+        `).join('');
+
+        const next = championship.getCurrentTrack();
+        const primaryButton = complete
+            ? '<button id="championship-new" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-4 rounded text-sm">Nueva temporada</button>'
+            : `<button id="championship-next" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-4 rounded text-sm">Correr ronda ${championship.getRoundNumber()}: ${trackInfo(next).icon} ${trackInfo(next).name}</button>`;
+
+        return `
+            <div class="flex items-center justify-between mb-3 pb-2 border-b border-gray-100">
+                <h3 class="font-bold text-gray-800">${title}</h3>
+                <span class="text-xs text-gray-500">Puntuación: ${championship.pointsSystem.name}</span>
+            </div>
+            ${roundHtml}
+            <div class="grid grid-cols-5 gap-4">
+                <table class="col-span-3 w-full text-xs">
+                    <tr class="text-gray-400 text-left">
+                        <th class="py-0.5">#</th><th class="py-0.5">Piloto</th>${roundHeaders}<th class="py-0.5 text-right">Pts</th>
+                    </tr>
+                    ${driverRows}
+                </table>
+                <table class="col-span-2 w-full text-xs self-start">
+                    <tr class="text-gray-400 text-left">
+                        <th class="py-0.5">#</th><th class="py-0.5">Equipo</th><th class="py-0.5 text-center" title="Victorias">🥇</th><th class="py-0.5 text-right">Pts</th>
+                    </tr>
+                    ${teamRows}
+                </table>
+            </div>
+            <div class="flex justify-between gap-2 mt-4 pt-3 border-t border-gray-100">
+                <button id="championship-abandon" class="text-red-600 hover:bg-red-50 font-bold py-1.5 px-3 rounded text-sm">${complete ? 'Cerrar temporada' : 'Abandonar temporada'}</button>
+                <div class="flex gap-2">
+                    <button id="championship-close" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-bold py-1.5 px-4 rounded text-sm">Cerrar</button>
+                    ${primaryButton}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Sets up the button handlers
+     */
+    setupEventListeners() {
+        const on = (id, handler) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        };
+
+        on('championship-close', () => this.close());
+        on('championship-start', () => {
+            const selected = this.panelEl.querySelector('input[name="pointsSystem"]:checked');
+            const onStart = this.config.onStart;
+            this.close();
+            if (onStart) {
+                onStart(selected ? selected.value : DEFAULT_POINTS_SYSTEM);
+            }
+        });
+        on('championship-next', () => {
+            const onNext = this.config.onNext;
+            this.close();
+            if (onNext) {
+                onNext();
+            }
+        });
+        on('championship-new', () => this.open({ ...this.config, championship: null, lastRound: null }));
+        on('championship-abandon', () => {
+            const onAbandon = this.config.onAbandon;
+            this.close();
+            if (onAbandon) {
+                onAbandon();
+            }
+        });
+    }
+
+    /**
+     * Removes the panel from DOM
+     */
+    close() {
+        if (this.panelEl) {
+            this.panelEl.remove();
+            this.panelEl = null;
+        }
+    }
+}
@@ -4,9 +4,15 @@
  *
  * Control Effects:
  * - Tire (T): Higher = more grip but faster wear
- * - Engine (E): Higher = more power but more fuel use
+ * - Engine (E): Higher = more power but more fuel use, heat and engine failures
  * - Risk (R): Higher = closer passes but more collisions
+ * - Box: Pit at the next pit entry to refuel and change tyres
+ * - Compound (S/M/H/W): Starting tyres while on the grid, next set once moving
+ * - Fuel (C): Starting fuel load, on the grid only - lighter is quicker but may need a stop
  */
+import { TIRE_COMPOUNDS, TIRE_COMPOUND_KEYS, FUEL_LOAD_LEVELS, ENGINE_ISSUES } from '../config/constants.js';
+import { GAME_CONFIG } from '../config/gameConfig.js';
+
 export class PlayerControls {
     constructor(containerElementId = 'playerControls') {
         this.containerEl = document.getElementById(containerElementId);
@@ -84,12 +90,28 @@ export class PlayerControls {
             const tirePercent = Math.round(racer.tires);
             const fuelPercent = Math.round(racer.fuel);
 
+            // Overtaking / defending move in progress
+            const racecraftIcon = racer.racecraft === 'overtaking'
+                ? '<span class="text-[8px]" title="Adelantando">⚔️</span>'
+                : racer.racecraft === 'defending'
+                    ? '<span class="text-[8px]" title="Defendiendo">🛡️</span>'
+                    : '';
+
+            // Engine warning: an issue, or a hot engine that risks one
+            let engineWarning = '';
+            if (racer.engineIssue) {
+                const issue = ENGINE_ISSUES[racer.engineIssue];
+                engineWarning = `<span class="text-[8px] animate-pulse" title="${issue.name}">${issue.icon}</span>`;
+            } else if (racer.engineHeat >= GAME_CONFIG.engineHeatWarning) {
+                engineWarning = `<span class="text-[8px]" title="Motor caliente (${Math.round(racer.engineHeat)}%): baja el mapa (E) para evitar averías">🌡️</span>`;
+            }
+
             // Create control row helper
-            const createControlRow = (label, paramKey, currentVal) => {
+            const createControlRow = (label, paramKey, currentVal, hint = '') => {
                 const levels = [20, 40, 60, 80, 100];
                 const colors = ['#22c55e', '#84cc16', '#3b82f6', '#f97316', '#ef4444'];
                 let html = `<div class="flex items-center gap-1">
-                    <span class="text-[9px] text-white/60 w-3 font-bold">${label}</span>`;
+                    <span class="text-[9px] text-white/60 w-3 font-bold" title="${hint}">${label}</span>`;
                 levels.forEach((val, i) => {
                     const isActive = val === currentVal;
                     const color = colors[i];
@@ -105,6 +127,30 @@ export class PlayerControls {
                 return html;
             };
 
+            // Compound selector: highlights the next set if one is chosen, else the fitted one
+            const selectedCompound = racer.nextTireCompound || racer.tireCompound;
+            const compoundButtons = TIRE_COMPOUND_KEYS.map(key => {
+                const compound = TIRE_COMPOUNDS[key];
+                const isActive = key === selectedCompound;
+                return `<button
+                    data-racer-id="${racer.id}"
+                    data-compound="${key}"
+                    class="ctrl-btn w-4 h-4 rounded-full text-[8px] font-bold ${isActive ? 'active' : 'opacity-40'}"
+                    style="border: 2px solid ${compound.color}; color: ${isActive ? compound.color : 'rgba(255,255,255,0.5)'}"
+                    title="${compound.name}: ${compound.description}">${compound.label}</button>`;
+            }).join('');
+
+            // Starting fuel selector, only while the bike is still on the grid
+            const fuelButtons = racer.isOnGrid() ? FUEL_LOAD_LEVELS.map(amount => {
+                const isActive = amount === racer.startingFuel;
+                return `<button
+                    data-racer-id="${racer.id}"
+                    data-fuel="${amount}"
+                    class="ctrl-btn px-0.5 h-4 rounded-sm text-[7px] font-bold tabular-nums ${isActive ? 'active' : 'opacity-40'}"
+                    style="background-color: ${isActive ? '#eab308' : 'rgba(255,255,255,0.2)'}; color: ${isActive ? 'white' : 'rgba(255,255,255,0.5)'}"
+                    title="Salir con ${amount}% de combustible">${amount}</button>`;
+            }).join('') : '';
+
             card.innerHTML = `
                 <!-- Header: Name + Bike -->
                 <div class="flex items-center justify-between cursor-pointer pilot-header" data-racer-id="${racer.id}">
@@ -112,6 +158,8 @@ export class PlayerControls {
                         <span class="w-2 h-2 rounded-full" style="background-color: ${racer.color}"></span>
                         <span class="text-[10px] font-bold text-white truncate max-w-[60px]">${racer.name}</span>
                         ${isSelected ? '<span class="text-[8px]">👁️</span>' : ''}
+                        ${racecraftIcon}
+                        ${engineWarning}
                     </div>
                     <span class="text-sm" title="${archetype ? archetype.name : ''}">${bikeIcon}</span>
                 </div>
@@ -129,9 +177,29 @@ export class PlayerControls {
                 <!-- Controls: T, E, R -->
                 <div class="flex flex-col gap-0.5">
                     ${createControlRow('T', 'tireAggression', params.tireAggression)}
-                    ${createControlRow('E', 'engineMap', params.engineMap)}
-                    ${createControlRow('R', 'risk', params.risk)}
+                    ${createControlRow('E', 'engineMap', params.engineMap, 'Motor: más alto = más potencia, pero más consumo, temperatura y riesgo de avería')}
+                    ${createControlRow('R', 'risk', params.risk, 'Riesgo: más alto = ataca antes, se tira por dentro y defiende la posición')}
                 </div>
+
+                <!-- Tyre compound: fitted now or at the next stop -->
+                <div class="flex items-center gap-1">
+                    <span class="text-[9px] text-white/60 w-3 font-bold" title="Neumáticos">N</span>
+                    ${compoundButtons}
+                </div>
+
+                <!-- Starting fuel (before the start) -->
+                ${fuelButtons ? `<div class="flex items-center gap-0.5">
+                    <span class="text-[9px] text-white/60 w-3 font-bold" title="Combustible de salida: menos peso, pero quizá haya que parar">C</span>
+                    ${fuelButtons}
+                </div>` : ''}
+
+                <!-- Pit: box this lap -->
+                <button
+                    data-racer-id="${racer.id}"
+                    data-action="pit"
+                    class="ctrl-btn w-full rounded-sm text-[9px] font-bold py-0.5 ${racer.pitRequested || racer.pitPhase ? 'active' : 'opacity-60'}"
+                    style="background-color: ${racer.pitRequested || racer.pitPhase ? '#f97316' : 'rgba(255,255,255,0.2)'}; color: white"
+                    title="Entrar a boxes esta vuelta (paradas: ${racer.pitStops})">${racer.pitPhase ? '🔧 EN BOXES' : racer.pitRequested ? '🔧 BOX ✓' : '🔧 BOX'}</button>
             `;
 
             this.containerEl.appendChild(card);
@@ -157,6 +225,32 @@ export class PlayerControls {
             });
         }
 
+        // Pit request handlers
+        if (callbacks.onTogglePit) {
+            this.containerEl.querySelectorAll('button[data-racer-id][data-action="pit"]').forEach(button => {
+                const racerId = parseInt(button.getAttribute('data-racer-id'));
+                button.addEventListener('click', () => callbacks.onTogglePit(racerId));
+            });
+        }
+
+        // Tyre compound handlers
+        if (callbacks.onSelectCompound) {
+            this.containerEl.querySelectorAll('button[data-racer-id][data-compound]').forEach(button => {
+                const racerId = parseInt(button.getAttribute('data-racer-id'));
+                const compound = button.getAttribute('data-compound');
+                button.addEventListener('click', () => callbacks.onSelectCompound(racerId, compound));
+            });
+        }
+
+        // Starting fuel handlers
+        if (callbacks.onSelectFuel) {
+            this.containerEl.querySelectorAll('button[data-racer-id][data-fuel]').forEach(button => {
+                const racerId = parseInt(button.getAttribute('data-racer-id'));
+                const amount = parseInt(button.getAttribute('data-fuel'));
+                button.addEventListener('click', () => callbacks.onSelectFuel(racerId, amount));
+            });
+        }
+
         // Parameter update handlers
         if (callbacks.onUpdateParam) {
             this.containerEl.querySelectorAll('button[data-racer-id][data-param][data-value]').forEach(button => {
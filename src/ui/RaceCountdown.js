@@ -1,13 +1,34 @@
 /**
  * RaceCountdown - Animated countdown overlay for race start
- * Shows 3, 2, 1, GO! with animations
+ * Shows 3, 2, 1, GO! (or the formation run of a rolling start) with animations.
+ * Steps follow the race's simulation clock (see StartProcedure.getLights), so the
+ * lights go out on the same frame the riders are released and pause with the game.
  */
+
+// What each start step shows
+const STEPS = {
+    3: { value: '3', color: 'text-red-500', label: 'Preparados...' },
+    2: { value: '2', color: 'text-yellow-500', label: 'Listos...' },
+    1: { value: '1', color: 'text-green-400', label: '¡Casi!' },
+    formation: { value: '🏍️', color: 'text-amber-400', label: 'Vuelta de formación' },
+    go: { value: '¡GO!', color: 'text-green-400', label: '' }
+};
+
+// Seconds into a step before each animation phase
+const STEP_EXIT_TIME = 0.7;
+const GO_EXIT_TIME = 0.6;
+const OVERLAY_FADE_TIME = 1.0;
+const COMPLETE_TIME = 1.3;
+
 export class RaceCountdown {
     constructor(containerElementId = 'gameContainer') {
         this.containerEl = document.getElementById(containerElementId);
         this.overlayEl = null;
         this.isRunning = false;
-        this.timeoutIds = [];
+        this.currentStep = null;
+        this.stepExited = false;
+        this.onComplete = null;
+        this.onStep = null;
     }
 
     /**
@@ -173,86 +194,76 @@ export class RaceCountdown {
     }
 
     /**
-     * Starts the countdown sequence
+     * Starts the countdown; steps are then shown by update()
      * @param {Function} onComplete - Called when countdown finishes
-     * @param {Function} onStep - Called for each step (step: 3, 2, 1, 'go')
+     * @param {Function} onStep - Called for each step (step: 3, 2, 1, 'formation', 'go')
      */
     start(onComplete, onStep) {
-        if (this.isRunning) {
-            return;
-        }
+        this.stop();
         this.isRunning = true;
-
-        // Clear any existing timeouts
-        this.clearTimeouts();
+        this.onComplete = onComplete;
+        this.onStep = onStep;
+        this.currentStep = null;
+        this.stepExited = false;
 
         // Create overlay
         this.createOverlay();
+    }
 
-        const steps = [
-            { value: '3', color: 'text-red-500', label: 'Preparados...', delay: 0 },
-            { value: '2', color: 'text-yellow-500', label: 'Listos...', delay: 1000 },
-            { value: '1', color: 'text-green-400', label: '¡Casi!', delay: 2000 },
-            { value: '¡GO!', color: 'text-green-400', label: '', delay: 3000, isGo: true }
-        ];
+    /**
+     * Shows the step for the current simulation frame
+     * @param {{step: number|string|null, elapsed: number}} lights - From StartProcedure.getLights()
+     */
+    update(lights) {
+        if (!this.isRunning || !lights) {
+            return;
+        }
 
-        steps.forEach((step, index) => {
-            // Show step
-            const showTimeout = setTimeout(() => {
-                this.showStep(step.value, step.color, step.label, step.isGo);
-                if (onStep) {
-                    onStep(step.isGo ? 'go' : parseInt(step.value));
+        const { step, elapsed } = lights;
+        if (step !== this.currentStep) {
+            this.currentStep = step;
+            this.stepExited = false;
+            if (STEPS[step]) {
+                const { value, color, label } = STEPS[step];
+                this.showStep(value, color, label, step === 'go');
+                // Let the formation run show through the overlay
+                if (this.overlayEl) {
+                    this.overlayEl.classList.toggle('backdrop-blur-sm', step !== 'formation');
+                }
+                if (this.onStep) {
+                    this.onStep(step);
                 }
-            }, step.delay);
-            this.timeoutIds.push(showTimeout);
-
-            // Exit animation (not for last step)
-            if (index < steps.length - 1) {
-                const exitTimeout = setTimeout(() => {
-                    this.exitStep(false);
-                }, step.delay + 700);
-                this.timeoutIds.push(exitTimeout);
             }
-        });
-
-        // Finish sequence
-        const finishTimeout = setTimeout(() => {
-            this.exitStep(true);
-        }, 3600);
-        this.timeoutIds.push(finishTimeout);
+        }
 
-        // Remove overlay
-        const removeTimeout = setTimeout(() => {
-            if (this.overlayEl) {
+        if (step === 'go') {
+            if (elapsed >= GO_EXIT_TIME && !this.stepExited) {
+                this.stepExited = true;
+                this.exitStep(true);
+            }
+            if (elapsed >= OVERLAY_FADE_TIME && this.overlayEl) {
                 this.overlayEl.classList.add('countdown-overlay-exit');
             }
-        }, 4000);
-        this.timeoutIds.push(removeTimeout);
-
-        // Complete callback and cleanup
-        const completeTimeout = setTimeout(() => {
-            this.stop();
-            if (onComplete) {
-                onComplete();
+            if (elapsed >= COMPLETE_TIME) {
+                const onComplete = this.onComplete;
+                this.stop();
+                if (onComplete) {
+                    onComplete();
+                }
             }
-        }, 4300);
-        this.timeoutIds.push(completeTimeout);
-    }
-
-    /**
-     * Clears all pending timeouts
-     */
-    clearTimeouts() {
-        this.timeoutIds.forEach(id => clearTimeout(id));
-        this.timeoutIds = [];
+        } else if (typeof step === 'number' && elapsed >= STEP_EXIT_TIME && !this.stepExited) {
+            this.stepExited = true;
+            this.exitStep(false);
+        }
     }
 
     /**
      * Stops the countdown and removes overlay
      */
     stop() {
-        this.clearTimeouts();
         this.isRunning = false;
+        this.onComplete = null;
+        this.onStep = null;
 
         if (this.overlayEl) {
             this.overlayEl.remove();
@@ -1,7 +1,11 @@
 /**
  * RaceHUD - Heads-Up Display for the followed racer
- * Shows speed, position, lap progress, and resource status
+ * Shows speed, position, lap progress, lap timing, resource and engine status
  */
+import { formatRaceTime } from '../utils/formatTime.js';
+import { ENGINE_ISSUES } from '../config/constants.js';
+import { GAME_CONFIG } from '../config/gameConfig.js';
+
 export class RaceHUD {
     constructor(containerElementId = 'gameContainer') {
         this.containerEl = document.getElementById(containerElementId);
@@ -55,6 +59,24 @@ export class RaceHUD {
 
                 <div class="w-px h-10 bg-white/20"></div>
 
+                <!-- Lap Timing -->
+                <div class="flex flex-col items-center min-w-[90px]">
+                    <span class="text-[10px] text-gray-400 uppercase tracking-wider">Tiempo</span>
+                    <span id="hud-lap-time" class="text-lg font-black text-white tabular-nums leading-tight">0:00.000</span>
+                    <div id="hud-sectors" class="flex gap-0.5 w-full"></div>
+                    <span id="hud-best-lap" class="text-[9px] text-gray-400 tabular-nums" title="Mejor vuelta">Mejor --</span>
+                </div>
+
+                <div class="w-px h-10 bg-white/20"></div>
+
+                <!-- Weather -->
+                <div class="flex flex-col items-center min-w-[50px]">
+                    <span class="text-[10px] text-gray-400 uppercase tracking-wider">Pista</span>
+                    <span id="hud-weather" class="text-xl" title="Seco">☀️</span>
+                </div>
+
+                <div class="w-px h-10 bg-white/20"></div>
+
                 <!-- Bike Type & Resources -->
                 <div class="flex flex-col items-center gap-1 min-w-[80px]">
                     <div class="flex items-center gap-2">
@@ -64,11 +86,18 @@ export class RaceHUD {
                     <div class="flex gap-2 w-full">
                         <!-- Tire indicator -->
                         <div class="flex-1 flex items-center gap-1" title="Neumáticos">
-                            <span class="text-[10px]">🛞</span>
+                            <span id="hud-compound" class="text-[9px] font-bold" title="Compuesto">M</span>
                             <div class="flex-1 h-1.5 bg-gray-700 rounded-full overflow-hidden">
                                 <div id="hud-tires" class="h-full bg-green-500 transition-all duration-300" style="width: 100%"></div>
                             </div>
                         </div>
+                        <!-- Engine heat indicator -->
+                        <div class="flex-1 flex items-center gap-1" title="Temperatura del motor">
+                            <span id="hud-engine-icon" class="text-[10px]">🌡️</span>
+                            <div class="flex-1 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                                <div id="hud-engine" class="h-full bg-blue-500 transition-all duration-300" style="width: 0%"></div>
+                            </div>
+                        </div>
                         <!-- Fuel indicator -->
                         <div class="flex-1 flex items-center gap-1" title="Combustible">
                             <span class="text-[10px]">⛽</span>
@@ -92,8 +121,10 @@ export class RaceHUD {
      * @param {number} position - Current race position (1-based)
      * @param {number} totalRacers - Total number of racers
      * @param {number} totalLaps - Total laps in the race
+     * @param {Object} [weather] - The session's WeatherSystem
+     * @param {Object} [timing] - Race timing: { raceTime, sectorCount, fastestLap, bestSectors }
      */
-    update(racer, position, totalRacers, totalLaps) {
+    update(racer, position, totalRacers, totalLaps, weather, timing) {
         if (!racer || !this.hudEl) {
             return;
         }
@@ -132,6 +163,20 @@ export class RaceHUD {
             totalLapsEl.textContent = totalLaps;
         }
 
+        // Update lap timing
+        if (timing) {
+            this.updateTiming(racer, timing);
+        }
+
+        // Update weather (arrow while the track is drying or getting wetter)
+        const weatherEl = document.getElementById('hud-weather');
+        if (weatherEl && weather) {
+            const info = weather.getConditionInfo();
+            const trend = weather.isTransitioning() ? '→' : '';
+            weatherEl.textContent = `${info.icon}${trend}`;
+            weatherEl.title = `${info.name} (${Math.round(weather.wetness * 100)}% agua)`;
+        }
+
         // Update racer info
         const nameEl = document.getElementById('hud-racer-name');
         const bikeIconEl = document.getElementById('hud-bike-icon');
@@ -144,10 +189,21 @@ export class RaceHUD {
             bikeIconEl.title = archetype ? `${archetype.name}: ${archetype.description}` : 'Moto';
         }
 
+        // Update engine status
+        this.updateEngine(racer);
+
         // Update resource bars
         const tiresEl = document.getElementById('hud-tires');
         const fuelEl = document.getElementById('hud-fuel');
 
+        const compoundEl = document.getElementById('hud-compound');
+        if (compoundEl && racer.getTireCompound) {
+            const compound = racer.getTireCompound();
+            compoundEl.textContent = compound.label;
+            compoundEl.style.color = compound.color;
+            compoundEl.title = `${compound.name}: ${compound.description}`;
+        }
+
         if (tiresEl) {
             tiresEl.style.width = `${racer.tires}%`;
             // Color based on level
@@ -172,6 +228,83 @@ export class RaceHUD {
         }
     }
 
+    /**
+     * Updates the engine heat bar, flashing a warning for a hot engine or an engine issue
+     * @param {Object} racer - The followed racer object
+     */
+    updateEngine(racer) {
+        const engineEl = document.getElementById('hud-engine');
+        const iconEl = document.getElementById('hud-engine-icon');
+        if (!engineEl || !iconEl) {
+            return;
+        }
+
+        const heat = racer.engineHeat || 0;
+        const hot = heat >= GAME_CONFIG.engineHeatWarning;
+        engineEl.style.width = `${heat}%`;
+        engineEl.className = `h-full transition-all duration-300 ${hot ? 'bg-red-500 animate-pulse' : heat >= 40 ? 'bg-orange-500' : 'bg-blue-500'}`;
+
+        if (racer.engineIssue) {
+            const issue = ENGINE_ISSUES[racer.engineIssue];
+            iconEl.textContent = issue.icon;
+            iconEl.className = 'text-[10px] animate-pulse';
+            iconEl.title = issue.name;
+        } else {
+            iconEl.textContent = '🌡️';
+            iconEl.className = 'text-[10px]';
+            iconEl.title = hot ? `Motor caliente (${Math.round(heat)}%): baja el mapa` : `Motor ${Math.round(heat)}%`;
+        }
+    }
+
+    /**
+     * Updates the lap clock, sector splits and best lap.
+     * Sectors are purple for the fastest of the race, green for a personal
+     * best and yellow otherwise, as on a timing screen.
+     * @param {Object} racer - The followed racer object
+     * @param {Object} timing - Race timing: { raceTime, sectorCount, fastestLap, bestSectors }
+     */
+    updateTiming(racer, timing) {
+        const lapTimeEl = document.getElementById('hud-lap-time');
+        if (lapTimeEl) {
+            // Finished and retired racers keep showing their last lap
+            const running = racer.isRunning ? racer.isRunning() : !racer.finished;
+            const lapTime = running ? racer.getCurrentLapTime(timing.raceTime) : racer.lastLapTime;
+            lapTimeEl.textContent = lapTime !== null ? formatRaceTime(lapTime) : '--';
+        }
+
+        // Splits of the lap in progress, or of the last lap at the line
+        const sectorsEl = document.getElementById('hud-sectors');
+        if (sectorsEl) {
+            const lastLap = racer.lapTimes[racer.lapTimes.length - 1];
+            const splits = racer.sectorTimes.length > 0 || !lastLap ? racer.sectorTimes : lastLap.sectors;
+            let html = '';
+            for (let i = 0; i < timing.sectorCount; i++) {
+                const split = splits[i];
+                let color = 'bg-gray-600';
+                if (split !== undefined) {
+                    if (split <= timing.bestSectors[i]) {
+                        color = 'bg-purple-500';
+                    } else if (split <= racer.bestSectorTimes[i]) {
+                        color = 'bg-green-500';
+                    } else {
+                        color = 'bg-yellow-500';
+                    }
+                }
+                const title = split !== undefined ? `S${i + 1}: ${split.toFixed(3)}s` : `S${i + 1}`;
+                html += `<div class="flex-1 h-1 rounded-full ${color}" title="${title}"></div>`;
+            }
+            sectorsEl.innerHTML = html;
+        }
+
+        const bestLapEl = document.getElementById('hud-best-lap');
+        if (bestLapEl) {
+            const isFastest = timing.fastestLap && timing.fastestLap.racer.id === racer.id;
+            bestLapEl.textContent = racer.bestLapTime !== null ? `Mejor ${formatRaceTime(racer.bestLapTime)}` : 'Mejor --';
+            bestLapEl.className = `text-[9px] tabular-nums ${isFastest ? 'text-purple-400 font-bold' : 'text-gray-400'}`;
+            bestLapEl.title = isFastest ? 'Vuelta rápida de la carrera' : 'Mejor vuelta';
+        }
+    }
+
     /**
      * Shows or hides the HUD
      * @param {boolean} visible - Whether to show the HUD
@@ -2,6 +2,10 @@
  * Scoreboard UI Component
  * Renders the race position list with racer status and position change animations
  */
+import { sortByRacePosition, getFastestLap, getLapsDown } from '../core/standings.js';
+import { formatRaceTime, formatGap } from '../utils/formatTime.js';
+import { ENGINE_ISSUES } from '../config/constants.js';
+
 export class Scoreboard {
     constructor(scoreboardElementId = 'scoreboard', lapCountElementId = 'lapCount', totalLapsElementId = 'totalLapsDisplay') {
         this.scoreboardEl = document.getElementById(scoreboardElementId);
@@ -50,6 +54,13 @@ export class Scoreboard {
             .racer-finished {
                 animation: finish-pulse 1s ease-in-out 3;
             }
+            .racer-retired {
+                opacity: 0.55;
+            }
+            .fastest-lap {
+                color: #9333ea;
+                font-weight: 700;
+            }
             .position-badge {
                 transition: all 0.2s ease;
             }
@@ -84,25 +95,27 @@ export class Scoreboard {
      * @param {number} totalLaps - Total laps in the race
      * @param {number} selectedRacerId - Currently selected racer ID
      * @param {Function} onSelectPilot - Callback when a pilot is selected
+     * @param {Object} [raceControl] - Race neutralisation state
+     * @param {Object} [raceControl.safetyCar] - The session's SafetyCar
      */
-    update(racers, totalLaps, selectedRacerId, onSelectPilot) {
+    update(racers, totalLaps, selectedRacerId, onSelectPilot, raceControl = {}) {
         if (!this.scoreboardEl || racers.length === 0) {
             return;
         }
 
-        // Sort racers by position
-        const sorted = [...racers].sort((a, b) => {
-            if (a.finished && b.finished) {
-                return a.finishTime - b.finishTime;
-            }
-            if (a.finished !== b.finished) {
-                return a.finished ? -1 : 1;
-            }
-            return b.progress - a.progress;
-        });
+        // Sort racers by position (race-clock finish time, then progress)
+        const sorted = sortByRacePosition(racers);
+        const winner = sorted[0];
+        const fastestLap = getFastestLap(racers);
 
-        // Build HTML for scoreboard
+        // Build HTML for scoreboard (safety car periods head the list)
         let html = '';
+        if (raceControl.safetyCar && raceControl.safetyCar.active) {
+            html += `
+            <li class="flex justify-center items-center p-1.5 rounded bg-yellow-300 border border-yellow-400 mb-1 text-xs font-bold text-yellow-900 gap-2" title="Adelantamientos prohibidos">
+                🟡 SAFETY CAR
+            </li>`;
+        }
         sorted.forEach((r, idx) => {
             const position = idx + 1;
             const previousPosition = this.previousPositions.get(r.id);
@@ -129,15 +142,50 @@ export class Scoreboard {
 
             // Status with visual enhancements
             let status = `<span class="tabular-nums">${Math.max(1, r.lap)}/${totalLaps}</span>`;
+            if (r.pitPhase) {
+                status = `<span class="text-orange-600 font-bold" title="En boxes">🔧 PIT</span>`;
+            } else if (r.pitRequested) {
+                status = `<span class="flex items-center gap-1"><span class="px-1 bg-orange-100 text-orange-700 rounded text-[9px] font-bold" title="Entra a boxes esta vuelta">BOX</span><span class="tabular-nums">${Math.max(1, r.lap)}/${totalLaps}</span></span>`;
+            }
             let finishedClass = '';
-            if (r.finished) {
-                status = `<span class="text-green-600 font-bold flex items-center gap-1">🏁 FIN</span>`;
+            if (r.retired) {
+                const reasons = { crash: 'Caída', damage: 'Daños', engine: 'Motor' };
+                const reason = reasons[r.retireReason] || 'Abandono';
+                status = `<span class="text-red-600 font-bold" title="${reason} en la vuelta ${Math.max(1, r.lap)}">💥 DNF</span>`;
+                finishedClass = 'racer-retired';
+            } else if (r.finished) {
+                // Winner shows total race time, everyone else the gap to the winner
+                const finishLabel = r === winner ? formatRaceTime(r.finishTime) : formatGap(r.finishTime - winner.finishTime);
+                status = `<span class="text-green-600 font-bold flex items-center gap-1 tabular-nums" title="${formatRaceTime(r.finishTime)}">🏁 ${finishLabel}</span>`;
                 finishedClass = 'racer-finished';
             }
 
+            // Lapped by the leader, and shown the blue flag while being passed
+            const lapsDown = getLapsDown(r, winner);
+            const lapped = lapsDown > 0
+                ? `<span class="px-1 bg-gray-100 text-gray-600 rounded text-[9px] font-bold tabular-nums flex-shrink-0" title="Doblado">+${lapsDown} ${lapsDown === 1 ? 'vuelta' : 'vueltas'}</span>`
+                : '';
+            const blueFlag = r.blueFlagFor !== null && r.blueFlagFor !== undefined && !r.finished && !r.retired
+                ? '<span class="text-[9px]" title="Bandera azul: deja pasar">🔵</span>'
+                : '';
+
+            // Engine issue (power loss or limp mode)
+            const engineIssue = r.engineIssue && !r.retired && !r.finished ? ENGINE_ISSUES[r.engineIssue] : null;
+
+            // Personal best lap, highlighted for the fastest lap of the race
+            let bestLap = '';
+            if (r.bestLapTime !== null && r.bestLapTime !== undefined) {
+                const isFastest = fastestLap && fastestLap.racer.id === r.id;
+                const lastLap = r.lastLapTime !== null ? ` · Última: ${formatRaceTime(r.lastLapTime)}` : '';
+                bestLap = `<span class="text-[9px] tabular-nums flex-shrink-0 ${isFastest ? 'fastest-lap' : 'text-gray-400'}" title="${isFastest ? 'Vuelta rápida' : 'Mejor vuelta'}${lastLap}">${isFastest ? '⏱️' : ''}${formatRaceTime(r.bestLapTime)}</span>`;
+            }
+
             // Position badge with medal icons for top 3
             let positionBadge = `<span class="w-5 font-bold text-center position-badge ${this.getPositionStyle(position)}">${position}</span>`;
-            if (position === 1) {
+            // Retired racers never get a medal, whatever their classification
+            if (r.retired) {
+                positionBadge = `<span class="w-5 font-bold text-center text-gray-400">${position}</span>`;
+            } else if (position === 1) {
                 positionBadge = `<span class="w-5 text-center" title="1º Lugar">🥇</span>`;
             } else if (position === 2) {
                 positionBadge = `<span class="w-5 text-center" title="2º Lugar">🥈</span>`;
@@ -155,7 +203,14 @@ export class Scoreboard {
                     <span class="w-6 font-mono text-gray-500 font-bold text-right text-[10px] bg-gray-50 px-1 rounded border border-gray-200">#${r.racingNumber}</span>
                     <span class="font-medium truncate text-gray-800 ${r.id === selectedRacerId ? 'text-blue-600 font-semibold' : ''}">${r.name}</span>
                     ${r.isPlayer ? '<span class="px-1.5 py-0.5 bg-blue-100 text-blue-700 rounded text-[9px] font-bold shadow-sm">TÚ</span>' : ''}
+                    ${r.getTireCompound ? `<span class="w-3.5 h-3.5 flex-shrink-0 rounded-full text-[8px] font-bold flex items-center justify-center bg-gray-800" style="color:${r.getTireCompound().color}" title="${r.getTireCompound().name}">${r.getTireCompound().label}</span>` : ''}
+                    ${engineIssue ? `<span class="text-[9px]" title="${engineIssue.name}">${engineIssue.icon}</span>` : ''}
+                    ${r.pitStops > 0 ? `<span class="text-[9px] text-gray-500 tabular-nums" title="Paradas en boxes">🔧${r.pitStops}</span>` : ''}
+                    ${r.penaltyTime > 0 ? `<span class="px-1 bg-red-100 text-red-700 rounded text-[9px] font-bold tabular-nums" title="${r.jumpStart ? 'Salida anticipada' : 'Penalización'}">+${r.penaltyTime}s</span>` : ''}
+                    ${blueFlag}
                 </div>
+                ${lapped}
+                ${bestLap}
                 ${status}
             </li>`;
         });
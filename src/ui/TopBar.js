@@ -3,6 +3,17 @@
  * Renders and manages the top navigation bar with track selection and controls
  */
 import { AVAILABLE_TRACKS, DEFAULT_TRACK } from '../config/tracks.js';
+import {
+    WEATHER_CONDITIONS,
+    WEATHER_CONDITION_KEYS,
+    DEFAULT_WEATHER,
+    START_PROCEDURES,
+    START_PROCEDURE_KEYS,
+    DEFAULT_START_PROCEDURE,
+    AI_DIFFICULTIES,
+    AI_DIFFICULTY_KEYS,
+    DEFAULT_AI_DIFFICULTY
+} from '../config/constants.js';
 
 export class TopBar {
     constructor(containerElementId = 'topBarContainer') {
@@ -15,22 +26,42 @@ export class TopBar {
      * @param {Object} config - Configuration object
      * @param {string} config.title - Title to display
      * @param {string} config.defaultTrack - Default track ID
+     * @param {string} config.weather - Selected weather (condition key or 'random')
+     * @param {string} config.startProcedure - Selected start procedure key
+     * @param {string} config.aiDifficulty - Selected AI difficulty key
      */
     render(config = {}) {
         const title = config.title || 'GP Vector Manager';
         this.currentTrack = config.defaultTrack || DEFAULT_TRACK;
+        const weather = config.weather || DEFAULT_WEATHER;
+        const startProcedure = config.startProcedure || DEFAULT_START_PROCEDURE;
+        const aiDifficulty = config.aiDifficulty || DEFAULT_AI_DIFFICULTY;
 
         // Build track options
         const trackOptions = AVAILABLE_TRACKS.map(track =>
             `<option value="${track.id}" ${track.id === this.currentTrack ? 'selected' : ''}>${track.icon} ${track.name}</option>`
         ).join('');
 
+        const weatherOptions = WEATHER_CONDITION_KEYS.map(key =>
+            `<option value="${key}" ${key === weather ? 'selected' : ''}>${WEATHER_CONDITIONS[key].icon} ${WEATHER_CONDITIONS[key].name}</option>`
+        ).join('') + `<option value="random" ${weather === 'random' ? 'selected' : ''}>🎲 Variable</option>`;
+
+        const startOptions = START_PROCEDURE_KEYS.map(key =>
+            `<option value="${key}" ${key === startProcedure ? 'selected' : ''}>${START_PROCEDURES[key].icon} ${START_PROCEDURES[key].name}</option>`
+        ).join('');
+
+        const aiOptions = AI_DIFFICULTY_KEYS.map(key =>
+            `<option value="${key}" ${key === aiDifficulty ? 'selected' : ''}>${AI_DIFFICULTIES[key].icon} ${AI_DIFFICULTIES[key].name}</option>`
+        ).join('');
+
         const html = `
             <div class="flex-shrink-0 flex justify-between items-center mb-4 bg-white p-3 rounded-lg shadow-sm border border-gray-200">
                 <h1 class="text-xl font-bold text-gray-800 flex items-center gap-2">
                     🏍️ <span>${title}</span>
                 </h1>
                 <div class="flex items-center gap-3">
+                    <span id="weatherIndicator" class="text-sm text-gray-700 font-medium px-2 py-1 bg-gray-50 border border-gray-200 rounded" title="Meteorología">☀️ Seco</span>
+
                     <div class="flex items-center gap-2">
                         <label for="trackSelect" class="text-sm text-gray-600 font-medium">Pista:</label>
                         <select id="trackSelect" class="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 py-1.5 px-3 cursor-pointer">
@@ -38,6 +69,27 @@ export class TopBar {
                         </select>
                     </div>
 
+                    <div class="flex items-center gap-2">
+                        <label for="weatherSelect" class="text-sm text-gray-600 font-medium">Clima:</label>
+                        <select id="weatherSelect" class="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 py-1.5 px-3 cursor-pointer">
+                            ${weatherOptions}
+                        </select>
+                    </div>
+
+                    <div class="flex items-center gap-2">
+                        <label for="startSelect" class="text-sm text-gray-600 font-medium">Salida:</label>
+                        <select id="startSelect" class="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 py-1.5 px-3 cursor-pointer">
+                            ${startOptions}
+                        </select>
+                    </div>
+
+                    <div class="flex items-center gap-2">
+                        <label for="aiSelect" class="text-sm text-gray-600 font-medium">IA:</label>
+                        <select id="aiSelect" class="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 py-1.5 px-3 cursor-pointer">
+                            ${aiOptions}
+                        </select>
+                    </div>
+
                     <div class="w-px h-6 bg-gray-300"></div>
 
                     <button id="pauseBtn" class="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-1.5 px-4 rounded shadow-sm text-sm w-24 text-center">
@@ -49,6 +101,14 @@ export class TopBar {
                         <label for="debugMode" class="text-sm text-red-700 font-bold cursor-pointer select-none">Editar Trazada</label>
                     </div>
 
+                    <button id="championshipBtn" class="bg-amber-50 hover:bg-amber-100 text-amber-800 font-bold py-1.5 px-4 rounded shadow-sm text-sm border border-amber-300" title="Temporada con clasificación de pilotos y equipos">
+                        🏆 Campeonato
+                    </button>
+
+                    <button id="setupBtn" class="bg-gray-100 hover:bg-gray-200 text-gray-700 font-bold py-1.5 px-4 rounded shadow-sm text-sm border border-gray-300" title="Reglajes de la moto para esta pista">
+                        🔧 Reglajes
+                    </button>
+
                     <button id="restartBtn" class="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1.5 px-4 rounded shadow-sm text-sm transition-transform active:scale-95 flex items-center gap-2">
                         <span>🔄</span> Reiniciar
                     </button>
@@ -70,12 +130,22 @@ export class TopBar {
      * @param {Function} handlers.onRestart - Called when restart is clicked
      * @param {Function} handlers.onDebugToggle - Called when debug mode is toggled
      * @param {Function} handlers.onTrackChange - Called when track is changed
+     * @param {Function} handlers.onWeatherChange - Called when the weather is changed
+     * @param {Function} handlers.onStartChange - Called when the start procedure is changed
+     * @param {Function} handlers.onAiDifficultyChange - Called when the AI difficulty is changed
+     * @param {Function} handlers.onSetupOpen - Called when the bike setup button is clicked
+     * @param {Function} handlers.onChampionshipOpen - Called when the championship button is clicked
      */
     bindEventHandlers(handlers = {}) {
         const pauseBtn = document.getElementById('pauseBtn');
         const restartBtn = document.getElementById('restartBtn');
         const debugMode = document.getElementById('debugMode');
         const trackSelect = document.getElementById('trackSelect');
+        const weatherSelect = document.getElementById('weatherSelect');
+        const startSelect = document.getElementById('startSelect');
+        const aiSelect = document.getElementById('aiSelect');
+        const setupBtn = document.getElementById('setupBtn');
+        const championshipBtn = document.getElementById('championshipBtn');
 
         if (pauseBtn && handlers.onPauseToggle) {
             pauseBtn.addEventListener('click', () => handlers.onPauseToggle());
@@ -95,6 +165,26 @@ export class TopBar {
                 handlers.onTrackChange(e.target.value);
             });
         }
+
+        if (weatherSelect && handlers.onWeatherChange) {
+            weatherSelect.addEventListener('change', (e) => handlers.onWeatherChange(e.target.value));
+        }
+
+        if (startSelect && handlers.onStartChange) {
+            startSelect.addEventListener('change', (e) => handlers.onStartChange(e.target.value));
+        }
+
+        if (aiSelect && handlers.onAiDifficultyChange) {
+            aiSelect.addEventListener('change', (e) => handlers.onAiDifficultyChange(e.target.value));
+        }
+
+        if (setupBtn && handlers.onSetupOpen) {
+            setupBtn.addEventListener('click', () => handlers.onSetupOpen());
+        }
+
+        if (championshipBtn && handlers.onChampionshipOpen) {
+            championshipBtn.addEventListener('click', () => handlers.onChampionshipOpen());
+        }
     }
 
     /**
@@ -114,6 +204,58 @@ export class TopBar {
         }
     }
 
+    /**
+     * Shows the selected track (when it changes without the track select)
+     * @param {string} trackId - Track ID
+     */
+    updateTrack(trackId) {
+        this.currentTrack = trackId;
+        const trackSelect = document.getElementById('trackSelect');
+        if (trackSelect) {
+            trackSelect.value = trackId;
+        }
+    }
+
+    /**
+     * Updates the championship button with the season's progress
+     * @param {Championship|null} championship - Season in progress (see core/championship)
+     */
+    updateChampionship(championship) {
+        const championshipBtn = document.getElementById('championshipBtn');
+        if (!championshipBtn) {
+            return;
+        }
+
+        if (!championship) {
+            championshipBtn.textContent = '🏆 Campeonato';
+        } else if (championship.isComplete()) {
+            championshipBtn.textContent = '🏆 Temporada terminada';
+        } else {
+            championshipBtn.textContent = `🏆 Ronda ${championship.getRoundNumber()}/${championship.tracks.length}`;
+        }
+    }
+
+    /**
+     * Updates the weather indicator
+     * @param {Object} weather - The session's WeatherSystem
+     */
+    updateWeather(weather) {
+        const indicator = document.getElementById('weatherIndicator');
+        if (!indicator || !weather) {
+            return;
+        }
+
+        const info = weather.getConditionInfo();
+        let text = `${info.icon} ${info.name}`;
+        if (weather.isTransitioning()) {
+            const target = WEATHER_CONDITIONS[weather.targetCondition];
+            text += ` → ${target.icon}`;
+        }
+        if (indicator.textContent !== text) {
+            indicator.textContent = text;
+        }
+    }
+
     /**
      * Resets the pause button to default state
      */
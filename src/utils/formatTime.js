@@ -0,0 +1,34 @@
+/**
+ * Time formatting helpers for race-clock values.
+ * @module utils/formatTime
+ */
+
+/**
+ * Formats a race-clock time as m:ss.mmm.
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ *
+ * @example
+ * formatRaceTime(83.4567); // "1:23.457"
+ */
+export function formatRaceTime(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const minutes = Math.floor(totalMs / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${minutes}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Formats a time gap as +s.mmm.
+ *
+ * @param {number} seconds - Gap in seconds
+ * @returns {string} Formatted gap
+ *
+ * @example
+ * formatGap(0.0421); // "+0.042"
+ */
+export function formatGap(seconds) {
+    return `+${Math.max(0, seconds).toFixed(3)}`;
+}
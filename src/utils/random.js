@@ -0,0 +1,44 @@
+/**
+ * Seedable pseudo-random number generation.
+ * Lets a race be replayed exactly by reusing the seed it was started with.
+ * @module utils/random
+ */
+
+/**
+ * Creates a seeded random number generator (Mulberry32).
+ * The returned function is a drop-in replacement for Math.random: every call
+ * yields a float in [0, 1), and the same seed always yields the same sequence.
+ *
+ * @param {number} seed - Integer seed (coerced to an unsigned 32-bit value)
+ * @returns {Function} Generator function returning numbers in [0, 1)
+ *
+ * @example
+ * const random = createRandom(1234);
+ * random(); // 0.0732...
+ * random(); // 0.7034...
+ *
+ * @example
+ * // Two generators with the same seed stay in lockstep
+ * const a = createRandom(42);
+ * const b = createRandom(42);
+ * a() === b(); // true
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generates a fresh seed for races that were not given one explicitly.
+ *
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
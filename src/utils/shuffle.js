@@ -11,6 +11,7 @@
  * Space Complexity: O(1)
  *
  * @param {Array} array - The array to shuffle (modified in-place)
+ * @param {Function} [random=Math.random] - Random source returning numbers in [0, 1)
  * @returns {Array} The same array reference, now shuffled
  *
  * @example
@@ -22,10 +23,14 @@
  * // Create a shuffled copy without modifying original
  * const original = [1, 2, 3, 4, 5];
  * const shuffled = shuffleArray([...original]);
+ *
+ * @example
+ * // Reproducible shuffle using a seeded generator
+ * shuffleArray(racerNames, createRandom(1234));
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
     return array;